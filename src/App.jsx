@@ -4,10 +4,21 @@ import dayjs from 'dayjs'
 import customParseFormat from 'dayjs/plugin/customParseFormat'
 import isoWeek from 'dayjs/plugin/isoWeek'
 import oaneonLogo from './assets/oaneon.png'
-import { parseCsvToRows } from './lib/parseTimesheets.js'
+import { parseAndMergeFiles } from './lib/mergeUploads.js'
+import { SUPPORTED_EXTENSIONS, isSupportedFile } from './lib/importFile.js'
+import { UPLOAD_MODES, appendReplaceRange } from './lib/appendUploads.js'
 import { FILTER_DEFAULTS, PERIOD_OPTIONS, PRODUCTIVITY_OPTIONS } from './lib/filterDefaults.js'
 import { applyFilters, getDistinctValues, getLatestCompleteMonth, derivePeriodDefaults } from './lib/applyFilters.js'
 import { saveFilters, loadFilters, resetFilters } from './lib/filterPersistence.js'
+import { SETTINGS_DEFAULTS } from './lib/settingsDefaults.js'
+import { saveSettings, loadSettings } from './lib/settingsPersistence.js'
+import { saveDataset, loadDataset, clearStoredDataset } from './lib/datasetPersistence.js'
+import { buildColumnMapping } from './lib/mapping.js'
+import { DERIVED_SETTING_KEYS, rederiveRows } from './lib/deriveFields.js'
+import { suggestMemberDuplicates } from './lib/memberIdentity.js'
+import { suggestCompanyMerges } from './lib/companyIdentity.js'
+import { detectQualityIssues, getExcludedRows } from './lib/dataQuality.js'
+import { createWorkingCalendar } from './lib/workingCalendar.js'
 import { roundToQuarter, formatHours, formatTooltipHours, EmptyState, ACCESSIBLE_COLORS } from './lib/utils.jsx'
 import { uiTheme } from './theme'
 import Overview from './sections/Overview.jsx'
@@ -15,6 +26,14 @@ import Clients from './sections/Clients.jsx'
 import Projects from './sections/Projects.jsx'
 import People from './sections/People.jsx'
 import Governance from './sections/Governance.jsx'
+import Settings from './sections/Settings.jsx'
+import UploadSummary from './components/UploadSummary.jsx'
+import IngestionReport from './components/IngestionReport.jsx'
+import UploadChangelog from './components/UploadChangelog.jsx'
+import ColumnMappingDialog from './components/ColumnMappingDialog.jsx'
+import SheetPickerDialog from './components/SheetPickerDialog.jsx'
+import ParseProgress from './components/ParseProgress.jsx'
+import UploadDiff from './components/UploadDiff.jsx'
 import {
   BarChart,
   Bar,
@@ -37,7 +56,7 @@ import { Upload, Trash2, Download, ChevronDown } from 'lucide-react'
 dayjs.extend(customParseFormat)
 dayjs.extend(isoWeek)
 
-function Header({ onUpload, onClear, hasData }) {
+function Header({ onUpload, onClear, hasData, uploadMode, onUploadModeChange }) {
   const inputRef = useRef(null)
   return (
     <header className="sticky top-0 z-40 oryx-nav border-b">
@@ -68,7 +87,7 @@ function Header({ onUpload, onClear, hasData }) {
               <div className="text-center">
                 <p className="font-medium mb-1">Your data stays on your device</p>
                 <p className="text-brand-muted leading-relaxed">
-                  CSV files are processed entirely in your web browser using JavaScript. 
+                  CSV and Excel files are processed entirely in your web browser using JavaScript. 
                   No data is uploaded to servers or stored externally. 
                   Your timesheet information remains completely private and secure.
                 </p>
@@ -77,14 +96,27 @@ function Header({ onUpload, onClear, hasData }) {
               <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-b-4 border-transparent border-b-brand-surface"></div>
             </div>
           </div>
+          {hasData && (
+            <select
+              value={uploadMode}
+              onChange={(e) => onUploadModeChange(e.target.value)}
+              className="oryx-input h-9 rounded-md border px-2 text-sm"
+              title="Append replaces the stored rows of the new export's members inside its date range and keeps everything else"
+            >
+              {Object.entries(UPLOAD_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+          )}
           <input
             ref={inputRef}
             type="file"
-            accept=".csv"
+            accept={SUPPORTED_EXTENSIONS.join(',')}
+            multiple
             className="hidden"
             onChange={(e) => {
-              const file = e.target.files?.[0]
-              if (file) onUpload(file)
+              const files = Array.from(e.target.files || [])
+              if (files.length > 0) onUpload(files)
               e.currentTarget.value = ''
             }}
           />
@@ -92,7 +124,7 @@ function Header({ onUpload, onClear, hasData }) {
             className="oryx-primary inline-flex h-9 items-center gap-2 rounded-md px-3 text-sm font-medium shadow-lg hover:opacity-90 transition-opacity"
             onClick={() => inputRef.current?.click()}
           >
-            <Upload size={16} /> Upload CSV
+            <Upload size={16} /> Upload CSV / XLSX / JSON
           </button>
           <button
             className="oryx-secondary inline-flex h-9 items-center gap-2 rounded-md px-3 text-sm hover:bg-slate-600 disabled:opacity-50 transition-colors"
@@ -217,49 +249,96 @@ export default function App() {
     fiscalYears: []
   })
   const [filters, setFilters] = useState(() => loadFilters(FILTER_DEFAULTS))
-  const [missingHeaders, setMissingHeaders] = useState([])
+  const [settings, setSettings] = useState(() => loadSettings(SETTINGS_DEFAULTS))
+  const settingsRef = useRef(settings)
+  const [mappingRequest, setMappingRequest] = useState(null)
+  const [sheetRequest, setSheetRequest] = useState(null)
   const [dateRange, setDateRange] = useState({ min: null, max: null })
+  const [loadedAt, setLoadedAt] = useState(null)
+  const hasUploadedRef = useRef(false)
+  const [parseProgress, setParseProgress] = useState(null)
+  const parseAbortRef = useRef(null)
+  const [uploadResult, setUploadResult] = useState(null)
+  const [isDragging, setIsDragging] = useState(false)
 
   // Save filters to localStorage when they change
   useEffect(() => {
     saveFilters(filters)
   }, [filters])
 
-  // Upload & parse CSV
-  async function handleUpload(file) {
+  // Save settings to localStorage when they change
+  useEffect(() => {
+    saveSettings(settings)
+    settingsRef.current = settings
+  }, [settings])
+
+  // Restore the last loaded dataset from IndexedDB on startup
+  useEffect(() => {
+    let cancelled = false
+    loadDataset().then(dataset => {
+      // Skip if an upload finished first
+      if (cancelled || !dataset || hasUploadedRef.current) return
+      // Re-derive so the stored rows reflect the current settings (e.g. member aliases)
+      const restoredRows = rederiveRows(dataset.rows, settingsRef.current)
+      setRows(restoredRows)
+      setDistinctValues(getDistinctValues(restoredRows))
+      setDateRange(dataset.dateRange)
+      setLoadedAt(dataset.loadedAt)
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  // Parse options taken from the current settings, shared by uploads and the upload diff
+  function getParseOptions(mappingProfiles = settings.columnMappingProfiles) {
+    return {
+      columnMapping: buildColumnMapping(mappingProfiles),
+      exclusionRules: settings.exclusionRules,
+      excludeZeroHours: settings.excludeZeroHours,
+      adapterRole: settings.adapterRole,
+      memberAliases: settings.memberAliases,
+      companyAliases: settings.companyAliases,
+      workTypeMapping: settings.workTypeMapping,
+      internalCompanies: settings.internalCompanies,
+      internalProjectTypePatterns: settings.internalProjectTypePatterns,
+      billableProductivityValues: settings.billableProductivityValues,
+      nonBillableProductivityValues: settings.nonBillableProductivityValues,
+      billabilityOverrides: settings.billabilityOverrides,
+      defaultBillable: settings.defaultBillable,
+      fiscalYearStartMonth: settings.fiscalYearStartMonth,
+      fiscalYearLabelStyle: settings.fiscalYearLabelStyle
+    }
+  }
+
+  // Upload & parse one or more CSV/XLSX/JSON files into a single deduplicated dataset
+  // sheetChoices maps a workbook file name to the worksheet picked for it
+  async function handleUpload(files, mappingProfiles = settings.columnMappingProfiles, sheetChoices = {}) {
+    const abortController = new AbortController()
+    parseAbortRef.current = abortController
+    
     try {
-      const cleanRows = await parseCsvToRows(file)
+      const { rows: uploadedRows, summary, reports } = await parseAndMergeFiles(files, {
+        ...getParseOptions(mappingProfiles),
+        sheetNames: sheetChoices,
+        signal: abortController.signal,
+        onProgress: setParseProgress
+      })
+      setParseProgress(null)
       
-      if (cleanRows.length === 0) {
-        alert('No valid data found in CSV. Please check the file format and headers.')
+      if (uploadedRows.length === 0) {
+        setUploadResult({ summary, reports, changelog: null })
+        alert('No valid data found in the uploaded file(s). Please check the file format and headers.')
         return
       }
       
-      console.log(`Loaded ${cleanRows.length} clean rows`)
-      console.log('Sample row keys:', Object.keys(cleanRows[0]))
-      
-      // DEBUG: Check productivity breakdown immediately after parsing
-      const productivityBreakdown = {
-        Productive: cleanRows.filter(r => r.Productivity === "Productive").length,
-        Unproductive: cleanRows.filter(r => r.Productivity === "Unproductive").length,
-        Other: cleanRows.filter(r => r.Productivity !== "Productive" && r.Productivity !== "Unproductive").length,
-        Total: cleanRows.length
-      }
-      console.log('App.jsx - Productivity breakdown after parsing:', productivityBreakdown)
+      // Append mode replaces only the uploaded members' stored rows inside the new export's date range
+      const appending = settings.uploadMode === 'append' && rows.length > 0
+      const { rows: cleanRows, changelog } = appending
+        ? appendReplaceRange(rows, uploadedRows)
+        : { rows: uploadedRows, changelog: null }
+      setUploadResult({ summary, reports, changelog })
       
-      // DEBUG: Show sample unproductive rows if they exist
-      const unproductiveRows = cleanRows.filter(r => r.Productivity === "Unproductive")
-      if (unproductiveRows.length > 0) {
-        console.log('App.jsx - Sample unproductive rows:', unproductiveRows.slice(0, 5))
-      } else {
-        console.log('App.jsx - NO UNPRODUCTIVE ROWS FOUND!')
-        console.log('App.jsx - First 5 rows:', cleanRows.slice(0, 5).map(r => ({
-          Member: r.Member,
-          Productivity: r.Productivity,
-          Hours: r.Hours,
-          Role: r.Role
-        })))
-      }
+      console.log(`Loaded ${cleanRows.length} clean rows from ${files.length} file(s)`)
+      console.log('Sample row keys:', Object.keys(cleanRows[0]))
       
       // Compute distinct values for filters
       const distinct = getDistinctValues(cleanRows)
@@ -293,7 +372,7 @@ export default function App() {
       setDateRange({ min: minDate, max: maxDate })
       
       if (latestMonth) {
-        const { quarter, fy } = derivePeriodDefaults(latestMonth)
+        const { quarter, fy } = derivePeriodDefaults(latestMonth, settings)
         setFilters(prev => ({
           ...prev,
           month: latestMonth,
@@ -307,9 +386,26 @@ export default function App() {
         console.log(`Date range for pickers: ${minDate?.toISOString().split('T')[0]} to ${maxDate?.toISOString().split('T')[0]}`)
       }
       
+      const uploadedAt = Date.now()
+      hasUploadedRef.current = true
       setRows(cleanRows)
-      setMissingHeaders([]) // Clear any previous errors
+      setLoadedAt(uploadedAt)
+      saveDataset({
+        rows: cleanRows,
+        distinctValues: distinct,
+        dateRange: { min: minDate, max: maxDate },
+        loadedAt: uploadedAt
+      })
+      setMappingRequest(null) // Clear any previous mapping prompt
+      setSheetRequest(null)
     } catch (error) {
+      setParseProgress(null)
+      
+      if (error.name === 'AbortError') {
+        console.info('Upload cancelled')
+        return
+      }
+      
       console.error('CSV parse error:', error)
       console.error('Error details:', {
         message: error.message,
@@ -317,17 +413,88 @@ export default function App() {
         name: error.name
       })
       
-      if (error.missingHeaders) {
-        setMissingHeaders(error.missingHeaders)
+      if (error.sheetNames) {
+        // Ask which worksheet to read, then retry the whole upload
+        setSheetRequest({
+          files,
+          mappingProfiles,
+          sheetChoices,
+          fileName: error.fileName || null,
+          sheetNames: error.sheetNames
+        })
+      } else if (error.missingHeaders) {
+        // Ask the user to map the renamed columns, then retry the whole upload
+        setMappingRequest({
+          files,
+          sheetChoices,
+          fileName: error.fileName || null,
+          missingHeaders: error.missingHeaders,
+          availableHeaders: error.availableHeaders || [],
+          previewRows: error.previewRows || []
+        })
       } else {
-        alert('Failed to parse CSV. Please ensure it has the correct headers and uses dd/MM/yyyy dates.')
+        const source = error.fileName ? ` "${error.fileName}"` : ''
+        alert(`Failed to parse${source}. Please ensure it has the correct headers and uses dd/MM/yyyy dates.`)
+      }
+    }
+  }
+
+  // Store the new mapping profile and re-run the upload that needed it
+  function handleSaveMappingProfile(profileName, profile) {
+    const { files, sheetChoices } = mappingRequest
+    const profiles = { ...settings.columnMappingProfiles, [profileName]: profile }
+    setSettings(prev => ({ ...prev, columnMappingProfiles: profiles }))
+    setMappingRequest(null)
+    handleUpload(files, profiles, sheetChoices)
+  }
+
+  // Remember the worksheet picked for a workbook and re-run the upload
+  function handleSelectSheet(sheetName) {
+    const { files, mappingProfiles, sheetChoices, fileName } = sheetRequest
+    setSheetRequest(null)
+    handleUpload(files, mappingProfiles, { ...sheetChoices, [fileName]: sheetName })
+  }
+
+  // Settings edits that change derived row fields (e.g. member aliases) re-derive the loaded rows
+  function handleSettingsChange(updater) {
+    const nextSettings = typeof updater === 'function' ? updater(settings) : updater
+    setSettings(nextSettings)
+    
+    // New board categories start selected in the Work Type filter
+    const addedCategories = nextSettings.boardCategories.filter(category => !settings.boardCategories.includes(category))
+    if (addedCategories.length > 0) {
+      setFilters(prev => ({
+        ...prev,
+        workTypesBoard: Array.isArray(prev.workTypesBoard) ? [...prev.workTypesBoard, ...addedCategories] : prev.workTypesBoard
+      }))
+    }
+    
+    const derivedChanged = DERIVED_SETTING_KEYS.some(key => nextSettings[key] !== settings[key])
+    if (rows.length > 0 && derivedChanged) {
+      const updatedRows = rederiveRows(rows, nextSettings)
+      const distinct = getDistinctValues(updatedRows)
+      setRows(updatedRows)
+      setDistinctValues(distinct)
+      saveDataset({ rows: updatedRows, distinctValues: distinct, dateRange, loadedAt })
+      
+      // A new FY start or label style renames every quarter and FY, so reselect the ones holding the latest month
+      const fiscalChanged = nextSettings.fiscalYearStartMonth !== settings.fiscalYearStartMonth ||
+        nextSettings.fiscalYearLabelStyle !== settings.fiscalYearLabelStyle
+      const latestMonth = getLatestCompleteMonth(updatedRows)
+      if (fiscalChanged && latestMonth) {
+        setFilters(prev => ({ ...prev, ...derivePeriodDefaults(latestMonth, nextSettings) }))
       }
     }
   }
 
   function clearAll() {
     setRows([])
-    setMissingHeaders([])
+    setLoadedAt(null)
+    setDateRange({ min: null, max: null })
+    clearStoredDataset()
+    setMappingRequest(null)
+    setSheetRequest(null)
+    setUploadResult(null)
     setDistinctValues({
       roles: [],
       members: [],
@@ -341,10 +508,41 @@ export default function App() {
     setFilters({ ...FILTER_DEFAULTS })
   }
 
+  // Duplicate and suspicious entries; the ones excluded in review are left out of every chart
+  const qualityFlags = useMemo(() => detectQualityIssues(rows), [rows])
+  const analysisRows = useMemo(() => {
+    const excludedRows = getExcludedRows(qualityFlags, settings.excludedQualityFlags)
+    return excludedRows.size > 0 ? rows.filter(row => !excludedRows.has(row)) : rows
+  }, [rows, qualityFlags, settings.excludedQualityFlags])
+
+  // Working days: weekends, the chosen bank holiday calendar and company closures
+  const workingCalendar = useMemo(() => createWorkingCalendar({
+    region: settings.bankHolidayRegion,
+    closures: settings.companyClosures
+  }), [settings.bankHolidayRegion, settings.companyClosures])
+
+  // Financial year start and label style, for turning FY and quarter filters into date windows
+  const fiscalOptions = useMemo(() => ({
+    fiscalYearStartMonth: settings.fiscalYearStartMonth,
+    fiscalYearLabelStyle: settings.fiscalYearLabelStyle
+  }), [settings.fiscalYearStartMonth, settings.fiscalYearLabelStyle])
+
   // Apply filters to clean rows
   const filteredRows = useMemo(() => {
-    return applyFilters(rows, filters)
-  }, [rows, filters])
+    return applyFilters(analysisRows, filters)
+  }, [analysisRows, filters])
+
+  // Members that are probably the same person under different names
+  const memberSuggestions = useMemo(() => {
+    return suggestMemberDuplicates(rows)
+      .filter(suggestion => !settings.dismissedMemberSuggestions.includes(`${suggestion.alias}|${suggestion.canonical}`))
+  }, [rows, settings.dismissedMemberSuggestions])
+
+  // Company names that probably belong to the same client
+  const companySuggestions = useMemo(() => {
+    return suggestCompanyMerges(rows)
+      .filter(suggestion => !settings.dismissedCompanySuggestions.includes(`${suggestion.alias}|${suggestion.canonical}`))
+  }, [rows, settings.dismissedCompanySuggestions])
 
 
 
@@ -384,42 +582,109 @@ export default function App() {
     resetFilters(FILTER_DEFAULTS, setFilters)
   }
 
+  // Drag & drop of one or more CSV/XLSX/JSON files anywhere on the page
+  function handleDragOver(e) {
+    if (!Array.from(e.dataTransfer?.types || []).includes('Files')) return
+    e.preventDefault()
+    setIsDragging(true)
+  }
+
+  function handleDrop(e) {
+    e.preventDefault()
+    setIsDragging(false)
+    const files = Array.from(e.dataTransfer?.files || [])
+      .filter(isSupportedFile)
+    if (files.length > 0) {
+      handleUpload(files)
+    } else {
+      alert('Drop one or more .csv, .xlsx or ConnectWise .json timesheet exports to upload.')
+    }
+  }
+
   return (
-    <div className="flex min-h-full flex-col">
-      <Header onUpload={handleUpload} onClear={clearAll} hasData={rows.length > 0} />
+    <div
+      className="flex min-h-full flex-col"
+      onDragOver={handleDragOver}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false)
+      }}
+      onDrop={handleDrop}
+    >
+      <Header
+        onUpload={handleUpload}
+        onClear={clearAll}
+        hasData={rows.length > 0}
+        uploadMode={settings.uploadMode}
+        onUploadModeChange={(uploadMode) => setSettings(prev => ({ ...prev, uploadMode }))}
+      />
 
-      {/* Missing Headers Banner */}
-      {missingHeaders.length > 0 && (
-        <div className="bg-red-500 border-l-4 border-red-700 text-white p-4">
-          <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <span className="text-red-200">⚠️</span>
-              </div>
-              <div className="ml-3">
-                <p className="text-sm font-medium">
-                  Missing required CSV headers: <span className="font-bold">{missingHeaders.join(', ')}</span>
-                </p>
-                <p className="text-xs text-red-200 mt-1">
-                  Please ensure your CSV contains all required columns or their legacy equivalents.
-                </p>
-              </div>
-              <div className="ml-auto pl-3">
-                <button
-                  onClick={() => setMissingHeaders([])}
-                  className="inline-flex text-red-200 hover:text-white transition-colors"
-                >
-                  <span className="sr-only">Dismiss</span>
-                  ✕
-                </button>
-              </div>
-            </div>
+      {/* Drop overlay */}
+      {isDragging && (
+        <div className="pointer-events-none fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm">
+          <div className="oryx-card p-8 text-center">
+            <Upload size={32} className="mx-auto mb-3 text-lime-600" />
+            <p className="oryx-heading text-lg">Drop CSV, XLSX or JSON files to upload</p>
+            <p className="text-sm text-slate-400">Multiple exports are merged and deduplicated</p>
           </div>
         </div>
       )}
 
+      {/* Streaming parse progress */}
+      <ParseProgress
+        progress={parseProgress}
+        onCancel={() => parseAbortRef.current?.abort()}
+      />
+
+      {/* Worksheet picker for multi-sheet workbooks */}
+      {sheetRequest && (
+        <SheetPickerDialog
+          fileName={sheetRequest.fileName}
+          sheetNames={sheetRequest.sheetNames}
+          onSelect={handleSelectSheet}
+          onCancel={() => setSheetRequest(null)}
+        />
+      )}
+
+      {/* Column Mapping Wizard */}
+      {mappingRequest && (
+        <ColumnMappingDialog
+          fileName={mappingRequest.fileName}
+          availableHeaders={mappingRequest.availableHeaders}
+          previewRows={mappingRequest.previewRows}
+          missingHeaders={mappingRequest.missingHeaders}
+          columnMapping={buildColumnMapping(settings.columnMappingProfiles)}
+          profileNames={Object.keys(settings.columnMappingProfiles)}
+          onSave={handleSaveMappingProfile}
+          onCancel={() => setMappingRequest(null)}
+        />
+      )}
+
       <main className="flex-1">
         <div className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
+          {/* Upload Summary & Ingestion Report */}
+          {uploadResult && (
+            <>
+              <UploadSummary summary={uploadResult.summary} onDismiss={() => setUploadResult(null)} />
+              {(memberSuggestions.length > 0 || companySuggestions.length > 0) && (
+                <div className="oryx-card p-4 mb-6 flex flex-wrap items-center justify-between gap-3">
+                  <span className="text-sm text-slate-300">
+                    {memberSuggestions.length > 0 && `👥 ${memberSuggestions.length} possible duplicate member${memberSuggestions.length === 1 ? '' : 's'} `}
+                    {companySuggestions.length > 0 && `🏢 ${companySuggestions.length} possible duplicate compan${companySuggestions.length === 1 ? 'y' : 'ies'} `}
+                    found
+                  </span>
+                  <button
+                    onClick={() => setTab('settings')}
+                    className="oryx-secondary px-4 py-2 rounded-lg text-sm hover:bg-slate-600 transition-colors"
+                  >
+                    Review in Settings
+                  </button>
+                </div>
+              )}
+              <UploadChangelog changelog={uploadResult.changelog} />
+              <IngestionReport reports={uploadResult.reports} />
+            </>
+          )}
+
           {/* Filters */}
           <section className="oryx-card p-6">
             <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
@@ -429,8 +694,15 @@ export default function App() {
                 </span>
                 Filters
               </h2>
-              <div className="text-xs text-slate-400 bg-slate-700/50 px-3 py-1 rounded-full">
-                {rows.length ? `${rows.length} rows loaded, ${filteredRows.length} after filters` : 'Upload a CSV to get started'}
+              <div className="flex flex-wrap items-center gap-2">
+                {loadedAt && (
+                  <div className="text-xs text-slate-400 bg-slate-700/50 px-3 py-1 rounded-full" title="Restored automatically on reload until cleared">
+                    Data loaded {dayjs(loadedAt).format('DD/MM/YYYY HH:mm')}
+                  </div>
+                )}
+                <div className="text-xs text-slate-400 bg-slate-700/50 px-3 py-1 rounded-full">
+                  {rows.length ? `${rows.length} rows loaded, ${filteredRows.length} after filters` : 'Upload a CSV or XLSX to get started'}
+                </div>
               </div>
             </div>
             
@@ -642,7 +914,7 @@ export default function App() {
           </section>
 
           {/* Tabs */}
-          <div className="mt-8 grid grid-cols-3 md:grid-cols-4 lg:grid-cols-7 gap-2">
+          <div className="mt-8 grid grid-cols-3 md:grid-cols-5 lg:grid-cols-9 gap-2">
             <button
               className={`h-16 px-3 text-sm font-medium transition-all ${
                 tab === 'overview' 
@@ -699,17 +971,48 @@ export default function App() {
               }`}
               onClick={() => setTab('governance')}
             >📋 Governance</button>
+            <button
+              className={`h-16 px-3 text-sm font-medium transition-all ${
+                tab === 'compare' 
+                  ? 'oryx-primary shadow-lg' 
+                  : 'oryx-secondary hover:bg-slate-600'
+              }`}
+              onClick={() => setTab('compare')}
+            >🔀 Compare Uploads</button>
+            <button
+              className={`h-16 px-3 text-sm font-medium transition-all ${
+                tab === 'settings' 
+                  ? 'oryx-primary shadow-lg' 
+                  : 'oryx-secondary hover:bg-slate-600'
+              }`}
+              onClick={() => setTab('settings')}
+            >⚙️ Settings</button>
           </div>
 
           {/* Charts area */}
           <section className="mt-6 space-y-6">
-            {rows.length === 0 ? (
+            {tab === 'settings' ? (
+              <Settings
+                settings={settings}
+                onSettingsChange={handleSettingsChange}
+                rows={rows}
+                members={distinctValues.members}
+                memberSuggestions={memberSuggestions}
+                companies={distinctValues.companies}
+                companySuggestions={companySuggestions}
+              />
+            ) : tab === 'compare' ? (
+              <UploadDiff
+                storedRows={rows}
+                parseFiles={(files) => parseAndMergeFiles(files, getParseOptions())}
+              />
+            ) : rows.length === 0 ? (
               <div className="oryx-card p-12 text-center">
                 <div className="mx-auto flex h-16 w-16 items-center justify-center rounded-2xl bg-lime-400/20 mb-4">
                   <Upload size={32} className="text-lime-400" />
                 </div>
                 <h3 className="oryx-heading text-xl mb-2">Get Started</h3>
-                <p className="text-slate-400 mb-4">Upload a CSV to see insights. Expected UK date format dd/MM/yyyy.</p>
+                <p className="text-slate-400 mb-4">Upload or drop one or more CSV, XLSX or ConnectWise JSON exports to see insights. Expected UK date format dd/MM/yyyy.</p>
                 <div className="bg-slate-700/50 rounded-lg p-4 max-w-2xl mx-auto">
                   <div className="flex items-start gap-3">
                     <div className="flex-shrink-0 mt-0.5">
@@ -718,7 +1021,7 @@ export default function App() {
                     <div className="text-left">
                       <p className="text-sm text-slate-300 font-medium mb-1">Your Data Stays Private</p>
                       <p className="text-xs text-slate-400 leading-relaxed">
-                        All CSV processing happens locally in your browser. Your data never leaves your device or gets sent to any server. 
+                        All file processing happens locally in your browser. Your data never leaves your device or gets sent to any server. 
                         This ensures complete privacy and security of your timesheet information.
                       </p>
                     </div>
@@ -727,8 +1030,22 @@ export default function App() {
               </div>
             ) : (
               <>
-                {tab === 'overview' && <Overview filteredRows={filteredRows} onCompanyFilter={handleCompanyFilter} onReset={handleResetFilters} />}
-                {tab === 'people' && <People filteredRows={filteredRows} onCompanyFilter={handleCompanyFilter} onReset={handleResetFilters} />}
+                {tab === 'overview' && <Overview filteredRows={filteredRows} workSchedules={settings.workSchedules} workingCalendar={workingCalendar} memberRoster={settings.memberRoster} utilisationTargets={settings.utilisationTargets} onCompanyFilter={handleCompanyFilter} onReset={handleResetFilters} />}
+                {tab === 'people' && (
+                  <People
+                    filteredRows={filteredRows}
+                    rows={analysisRows}
+                    filters={filters}
+                    dateRange={dateRange}
+                    workSchedules={settings.workSchedules}
+                    workingCalendar={workingCalendar}
+                    memberRoster={settings.memberRoster}
+                    fiscalOptions={fiscalOptions}
+                    utilisationTargets={settings.utilisationTargets}
+                    onCompanyFilter={handleCompanyFilter}
+                    onReset={handleResetFilters}
+                  />
+                )}
                 {tab === 'clients' && <Clients filteredRows={filteredRows} onCompanyFilter={handleCompanyFilter} onReset={handleResetFilters} />}
                 {tab === 'projects' && <Projects filteredRows={filteredRows} onCompanyFilter={handleCompanyFilter} onReset={handleResetFilters} />}
                 {tab === 'usage' && <ProjectTypeBars filteredRows={filteredRows} onExport={(node) => exportPng(node, 'time-allocation-project-type.png')} onReset={handleResetFilters} />}
@@ -746,7 +1063,20 @@ export default function App() {
                      />
                   </>
                 )}
-                {tab === 'governance' && <Governance filteredRows={filteredRows} onReset={handleResetFilters} />}
+                {tab === 'governance' && (
+                  <Governance
+                    filteredRows={filteredRows}
+                    rows={analysisRows}
+                    filters={filters}
+                    workSchedules={settings.workSchedules}
+                    overtimePolicies={settings.overtimePolicies}
+                    toilWorkType={settings.toilWorkType}
+                    qualityFlags={qualityFlags}
+                    excludedQualityFlags={settings.excludedQualityFlags}
+                    onExcludedQualityFlagsChange={(excludedQualityFlags) => setSettings(prev => ({ ...prev, excludedQualityFlags }))}
+                    onReset={handleResetFilters}
+                  />
+                )}
               </>
             )}
           </section>
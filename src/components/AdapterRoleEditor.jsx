@@ -0,0 +1,32 @@
+import { DASHBOARD_ROLES } from '../lib/formatAdapters.js'
+
+export default function AdapterRoleEditor({ role, onRoleChange }) {
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🔌</span>
+          </span>
+          Other Time-Tracking Exports
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Harvest, Toggl and Clockify exports have no team Role. Rows whose Harvest role or Clockify group is not one of the dashboard roles are given this role, so the default role filter shows them. Changes apply to the next upload.
+        </p>
+      </div>
+
+      <label className="flex items-center gap-3 text-sm text-slate-300">
+        Role for imported rows
+        <select
+          value={role}
+          onChange={(e) => onRoleChange(e.target.value)}
+          className="oryx-input h-9 rounded-md border px-3 text-sm"
+        >
+          {DASHBOARD_ROLES.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )
+}
@@ -0,0 +1,148 @@
+import { useState } from 'react'
+import { Trash2 } from 'lucide-react'
+
+// Alias table with suggested merges, shared by member and company identities
+export default function AliasEditor({
+  title,
+  icon,
+  description,
+  aliasPlaceholder,
+  targetPlaceholder,
+  aliasLabel = 'Alias',
+  targetLabel = 'Canonical Name',
+  listId,
+  aliases,
+  options,
+  suggestions,
+  normalizeName = (name) => name.trim(),
+  onAliasesChange,
+  onDismissSuggestion
+}) {
+  const [draft, setDraft] = useState({ alias: '', canonical: '' })
+  const canAdd = draft.alias.trim() && draft.canonical.trim() && normalizeName(draft.alias) !== normalizeName(draft.canonical)
+
+  function addAlias(alias, canonical) {
+    onAliasesChange({ ...aliases, [normalizeName(alias)]: normalizeName(canonical) })
+  }
+
+  function removeAlias(alias) {
+    const next = { ...aliases }
+    delete next[alias]
+    onAliasesChange(next)
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">{icon}</span>
+          </span>
+          {title}
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">{description}</p>
+      </div>
+
+      {/* Suggested duplicates */}
+      {suggestions.length > 0 && (
+        <div className="mb-6 bg-slate-700/20 rounded-lg p-4">
+          <h3 className="text-sm text-slate-300 font-medium mb-3">Possible duplicates</h3>
+          <div className="space-y-2">
+            {suggestions.map(suggestion => (
+              <div key={`${suggestion.alias}|${suggestion.canonical}`} className="flex flex-wrap items-center justify-between gap-3 text-sm">
+                <div>
+                  <span className="text-white font-medium">{suggestion.alias}</span>
+                  <span className="text-slate-400"> → </span>
+                  <span className="text-white font-medium">{suggestion.canonical}</span>
+                  <span className="ml-2 text-xs text-slate-400">{suggestion.reason}</span>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => addAlias(suggestion.alias, suggestion.canonical)}
+                    className="oryx-primary px-3 py-1 rounded-lg text-xs font-medium hover:opacity-90 transition-opacity"
+                  >
+                    Merge
+                  </button>
+                  <button
+                    onClick={() => onDismissSuggestion(suggestion)}
+                    className="oryx-secondary px-3 py-1 rounded-lg text-xs hover:bg-slate-600 transition-colors"
+                  >
+                    Not the same
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Alias table */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-3 text-slate-300 font-medium">{aliasLabel}</th>
+              <th className="text-left p-3 text-slate-300 font-medium">{targetLabel}</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.keys(aliases).length === 0 && (
+              <tr>
+                <td colSpan={3} className="p-4 text-center text-slate-400">No aliases</td>
+              </tr>
+            )}
+            {Object.entries(aliases).map(([alias, canonical]) => (
+              <tr key={alias} className="border-b border-slate-700">
+                <td className="p-3 text-slate-300">{alias}</td>
+                <td className="p-3 text-white font-medium">{canonical}</td>
+                <td className="p-3 text-right">
+                  <button
+                    onClick={() => removeAlias(alias)}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                    title="Delete alias"
+                  >
+                    <Trash2 size={16} className="text-slate-400" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* New alias */}
+      <div className="mt-4 flex flex-wrap items-center gap-3">
+        <input
+          type="text"
+          value={draft.alias}
+          onChange={(e) => setDraft(prev => ({ ...prev, alias: e.target.value }))}
+          placeholder={aliasPlaceholder}
+          className="oryx-input h-10 flex-1 min-w-48 rounded-md border px-3 text-sm"
+        />
+        <span className="text-slate-400">→</span>
+        <input
+          type="text"
+          list={listId}
+          value={draft.canonical}
+          onChange={(e) => setDraft(prev => ({ ...prev, canonical: e.target.value }))}
+          placeholder={targetPlaceholder}
+          className="oryx-input h-10 flex-1 min-w-48 rounded-md border px-3 text-sm"
+        />
+        <datalist id={listId}>
+          {options.map(option => <option key={option} value={option} />)}
+        </datalist>
+        <button
+          onClick={() => {
+            addAlias(draft.alias, draft.canonical)
+            setDraft({ alias: '', canonical: '' })
+          }}
+          disabled={!canAdd}
+          className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+        >
+          Add Alias
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,248 @@
+import { useState } from 'react'
+import { ArrowUp, ArrowDown, Trash2 } from 'lucide-react'
+import ChipList from './ChipList.jsx'
+import { BILLABILITY_OVERRIDE_FIELDS } from '../lib/billability.js'
+
+function ProductivityValues({ title, values, options, listId, onChange }) {
+  const [newValue, setNewValue] = useState('')
+  const value = newValue.trim()
+  const canAdd = value.length > 0 && !values.some(v => v.trim().toLowerCase() === value.toLowerCase())
+
+  function addValue() {
+    if (!canAdd) return
+    onChange([...values, value])
+    setNewValue('')
+  }
+
+  return (
+    <div>
+      <h3 className="text-sm text-slate-300 font-medium mb-3">{title}</h3>
+      <ChipList items={values} onRemove={(item) => onChange(values.filter(v => v !== item))} />
+      <div className="mt-3 flex gap-3">
+        <input
+          type="text"
+          list={listId}
+          value={newValue}
+          onChange={(e) => setNewValue(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addValue() }}
+          placeholder="Productivity value"
+          className="oryx-input h-10 flex-1 rounded-md border px-3 text-sm"
+        />
+        <datalist id={listId}>
+          {options.map(option => <option key={option} value={option} />)}
+        </datalist>
+        <button
+          onClick={addValue}
+          disabled={!canAdd}
+          className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default function BillabilityRulesEditor({
+  billableValues,
+  nonBillableValues,
+  overrides,
+  defaultBillable,
+  productivityOptions,
+  workTypeOptions,
+  companyOptions,
+  onBillableValuesChange,
+  onNonBillableValuesChange,
+  onOverridesChange,
+  onDefaultBillableChange
+}) {
+  const [draft, setDraft] = useState({ field: 'Work Type', value: '', billable: false })
+  const draftValue = draft.value.trim()
+  const optionsByField = { 'Work Type': workTypeOptions, 'Company': companyOptions }
+
+  function addOverride() {
+    if (!draftValue) return
+    onOverridesChange([
+      ...overrides,
+      { id: `override-${Date.now()}`, field: draft.field, value: draftValue, billable: draft.billable, enabled: true }
+    ])
+    setDraft(prev => ({ ...prev, value: '' }))
+  }
+
+  function updateOverride(id, patch) {
+    onOverridesChange(overrides.map(override => (override.id === id ? { ...override, ...patch } : override)))
+  }
+
+  // Overrides are tried top to bottom, so moving one changes which wins
+  function moveOverride(index, offset) {
+    const next = [...overrides]
+    const [moved] = next.splice(index, 1)
+    next.splice(index + offset, 0, moved)
+    onOverridesChange(next)
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">💷</span>
+          </span>
+          Billability Rules
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Each row is classified by the first rule that applies: its Productivity value (trimmed, any case), then the overrides below from top to bottom, then the default. The rule used is recorded on the row and broken down under the Billable vs Non-billable chart.
+        </p>
+      </div>
+
+      {/* 1. Productivity values */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ProductivityValues
+          title="1. Billable Productivity Values"
+          values={billableValues}
+          options={productivityOptions}
+          listId="billable-productivity-options"
+          onChange={onBillableValuesChange}
+        />
+        <ProductivityValues
+          title="1. Non-billable Productivity Values"
+          values={nonBillableValues}
+          options={productivityOptions}
+          listId="non-billable-productivity-options"
+          onChange={onNonBillableValuesChange}
+        />
+      </div>
+
+      {/* 2. Overrides */}
+      <h3 className="text-sm text-slate-300 font-medium mt-6 mb-3">2. Overrides (rows whose Productivity value is not listed above)</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-3 text-slate-300 font-medium">Enabled</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Field</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Value</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Classify As</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {overrides.length === 0 && (
+              <tr>
+                <td colSpan={5} className="p-4 text-center text-slate-400">No overrides</td>
+              </tr>
+            )}
+            {overrides.map((override, index) => (
+              <tr key={override.id} className="border-b border-slate-700">
+                <td className="p-3">
+                  <input
+                    type="checkbox"
+                    checked={override.enabled !== false}
+                    onChange={(e) => updateOverride(override.id, { enabled: e.target.checked })}
+                  />
+                </td>
+                <td className="p-3 text-white font-medium">{override.field}</td>
+                <td className="p-3">
+                  <input
+                    type="text"
+                    value={override.value}
+                    onChange={(e) => updateOverride(override.id, { value: e.target.value })}
+                    className="oryx-input h-9 w-full rounded-md border px-3 text-sm"
+                  />
+                </td>
+                <td className="p-3">
+                  <select
+                    value={override.billable ? 'billable' : 'non-billable'}
+                    onChange={(e) => updateOverride(override.id, { billable: e.target.value === 'billable' })}
+                    className="oryx-input h-9 rounded-md border px-3 text-sm"
+                  >
+                    <option value="billable">Billable</option>
+                    <option value="non-billable">Non-billable</option>
+                  </select>
+                </td>
+                <td className="p-3 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => moveOverride(index, -1)}
+                    disabled={index === 0}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <ArrowUp size={16} className="text-slate-400" />
+                  </button>
+                  <button
+                    onClick={() => moveOverride(index, 1)}
+                    disabled={index === overrides.length - 1}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <ArrowDown size={16} className="text-slate-400" />
+                  </button>
+                  <button
+                    onClick={() => onOverridesChange(overrides.filter(o => o.id !== override.id))}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                    title="Delete override"
+                  >
+                    <Trash2 size={16} className="text-slate-400" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* New override */}
+      <div className="mt-4 flex flex-wrap items-center gap-3">
+        <select
+          value={draft.field}
+          onChange={(e) => setDraft(prev => ({ ...prev, field: e.target.value }))}
+          className="oryx-input h-10 rounded-md border px-3 text-sm"
+        >
+          {BILLABILITY_OVERRIDE_FIELDS.map(field => (
+            <option key={field} value={field}>{field}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          list="billability-override-options"
+          value={draft.value}
+          onChange={(e) => setDraft(prev => ({ ...prev, value: e.target.value }))}
+          onKeyDown={(e) => { if (e.key === 'Enter') addOverride() }}
+          placeholder={`${draft.field} value`}
+          className="oryx-input h-10 flex-1 min-w-48 rounded-md border px-3 text-sm"
+        />
+        <datalist id="billability-override-options">
+          {(optionsByField[draft.field] || []).map(option => <option key={option} value={option} />)}
+        </datalist>
+        <select
+          value={draft.billable ? 'billable' : 'non-billable'}
+          onChange={(e) => setDraft(prev => ({ ...prev, billable: e.target.value === 'billable' }))}
+          className="oryx-input h-10 rounded-md border px-3 text-sm"
+        >
+          <option value="billable">Billable</option>
+          <option value="non-billable">Non-billable</option>
+        </select>
+        <button
+          onClick={addOverride}
+          disabled={!draftValue}
+          className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+        >
+          Add Override
+        </button>
+      </div>
+
+      {/* 3. Default */}
+      <label className="mt-6 flex items-center gap-3 text-sm text-slate-300">
+        <span className="font-medium">3. Default for anything else</span>
+        <select
+          value={defaultBillable ? 'billable' : 'non-billable'}
+          onChange={(e) => onDefaultBillableChange(e.target.value === 'billable')}
+          className="oryx-input h-10 rounded-md border px-3 text-sm"
+        >
+          <option value="billable">Billable</option>
+          <option value="non-billable">Non-billable</option>
+        </select>
+      </label>
+    </div>
+  )
+}
@@ -206,6 +206,31 @@ export default function BillableVsNonbillableArea({ filteredRows }) {
     return result
   }, [filteredRows])
   
+  // Hours per billability rule, so the split above can be traced back to the rule that decided each row
+  const ruleBreakdown = useMemo(() => {
+    if (!filteredRows || filteredRows.length === 0) return []
+    
+    const byRule = {}
+    filteredRows.forEach(row => {
+      const rule = row.billableRule || 'Unclassified'
+      const key = `${rule}|${row.isBillable}`
+      if (!byRule[key]) {
+        byRule[key] = { rule, isBillable: Boolean(row.isBillable), rows: 0, hours: 0 }
+      }
+      byRule[key].rows++
+      byRule[key].hours += row.Hours || 0
+    })
+    
+    const totalHours = filteredRows.reduce((sum, row) => sum + (row.Hours || 0), 0)
+    return Object.values(byRule)
+      .sort((a, b) => b.hours - a.hours)
+      .map(item => ({
+        ...item,
+        hours: Math.round(item.hours * 4) / 4,
+        share: totalHours > 0 ? Math.round((item.hours / totalHours) * 1000) / 10 : 0
+      }))
+  }, [filteredRows])
+  
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
       const total = payload.reduce((sum, entry) => sum + entry.value, 0)
@@ -308,6 +333,35 @@ export default function BillableVsNonbillableArea({ filteredRows }) {
           <span>Non-billable Hours</span>
         </div>
       </div>
+      
+      {/* Which rule classified the hours */}
+      <div className="mt-6 overflow-x-auto">
+        <h4 className="text-sm text-slate-300 font-medium mb-2">Classified By</h4>
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-2 text-slate-300 font-medium">Rule</th>
+              <th className="text-left p-2 text-slate-300 font-medium">Classified As</th>
+              <th className="text-right p-2 text-slate-300 font-medium">Rows</th>
+              <th className="text-right p-2 text-slate-300 font-medium">Hours</th>
+              <th className="text-right p-2 text-slate-300 font-medium">Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ruleBreakdown.map(item => (
+              <tr key={`${item.rule}|${item.isBillable}`} className="border-b border-slate-700">
+                <td className="p-2 text-slate-300">{item.rule}</td>
+                <td className="p-2 font-medium" style={{ color: item.isBillable ? tooltipColors[0] : tooltipColors[1] }}>
+                  {item.isBillable ? 'Billable' : 'Non-billable'}
+                </td>
+                <td className="p-2 text-right text-slate-300">{item.rows}</td>
+                <td className="p-2 text-right text-slate-300">{item.hours}h</td>
+                <td className="p-2 text-right text-slate-400">{item.share}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
     </div>
   )
 }
@@ -2,32 +2,14 @@ import { useMemo, useState, useEffect } from 'react'
 import dayjs from 'dayjs'
 import isoWeek from 'dayjs/plugin/isoWeek'
 import { X } from 'lucide-react'
+import { createScheduleResolver } from '../lib/workSchedules.js'
 
 dayjs.extend(isoWeek)
 
 // Overtime rules - using the same logic as OvertimeIncidence
 const OUTLIER_DAILY_THRESHOLD = 12
 
-/**
- * Normalizes member names to handle variations like "Bolton, Mark" vs "Mark Bolton"
- * @param {string} memberName 
- * @returns {string}
- */
-function normalizeMemberName(memberName) {
-  if (!memberName) return 'Unknown'
-  
-  // Handle "Last, First" format
-  if (memberName.includes(',')) {
-    const parts = memberName.split(',').map(part => part.trim())
-    if (parts.length >= 2) {
-      return `${parts[1]} ${parts[0]}`
-    }
-  }
-  
-  return memberName.trim()
-}
-
-export default function CalendarHeatmap({ filteredRows }) {
+export default function CalendarHeatmap({ filteredRows, workSchedules }) {
   const [selectedDay, setSelectedDay] = useState(null)
   const [selectedMember, setSelectedMember] = useState(null)
   
@@ -35,11 +17,12 @@ export default function CalendarHeatmap({ filteredRows }) {
     if (!filteredRows || filteredRows.length === 0) return { calendarData: {}, members: [] }
     
     // Group by member and date
+    const dailyBaselineFor = createScheduleResolver(workSchedules)
     const memberDateData = {}
     const allMembers = new Set()
     
     for (const row of filteredRows) {
-      const member = normalizeMemberName(row.Member || 'Unknown')
+      const member = row.Member || 'Unknown' // resolved to the canonical identity at parse time
       const date = dayjs(row.dateObj)
       const dateKey = date.format('YYYY-MM-DD')
       const dow = date.isoWeekday() // 1=Monday, 7=Sunday
@@ -59,7 +42,7 @@ export default function CalendarHeatmap({ filteredRows }) {
           isBankHoliday: false,
           productiveHours: 0,
           nonWorkingHours: 0,
-          dailyBaseline: 0,
+          dailyBaseline: dailyBaselineFor(member, date),
           entries: []
         }
       }
@@ -69,17 +52,6 @@ export default function CalendarHeatmap({ filteredRows }) {
       
       if (hours <= 0) continue
       
-      // Set daily baseline based on member and day
-      if (dayData.dailyBaseline === 0) {
-        if (dow >= 6) {
-          dayData.dailyBaseline = 0 // Weekends
-        } else if (member === 'Mark Bolton') {
-          dayData.dailyBaseline = dow <= 4 ? 8.25 : 4.5 // Compressed schedule
-        } else {
-          dayData.dailyBaseline = 7.5 // Standard
-        }
-      }
-      
       // Check if this is a bank holiday entry
       if (row["Work Type"] === "Bank/Holiday Leave") {
         dayData.isBankHoliday = true
@@ -90,7 +62,7 @@ export default function CalendarHeatmap({ filteredRows }) {
         dayData.nonWorkingHours += hours
       }
       // Productive work
-      else if (row.Productivity === "Productive") {
+      else if (row.isBillable) {
         dayData.productiveHours += hours
       }
       
@@ -135,7 +107,7 @@ export default function CalendarHeatmap({ filteredRows }) {
       calendarData: memberDateData,
       members: Array.from(allMembers).sort()
     }
-  }, [filteredRows])
+  }, [filteredRows, workSchedules])
   
   // Get color intensity based on overtime hours
   const getDayColor = (dayData) => {
@@ -0,0 +1,19 @@
+import { X } from 'lucide-react'
+
+export default function ChipList({ items, onRemove, mono = false }) {
+  if (items.length === 0) {
+    return <div className="text-xs text-slate-400">None</div>
+  }
+  return (
+    <div className="flex flex-wrap gap-2">
+      {items.map(item => (
+        <div key={item} className={`bg-slate-700/50 rounded-lg px-3 py-1 text-xs text-slate-300 flex items-center gap-2 ${mono ? 'font-mono' : ''}`}>
+          {item}
+          <button onClick={() => onRemove(item)} title="Remove">
+            <X size={12} className="text-slate-400" />
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,165 @@
+import { useMemo, useState } from 'react'
+import { X } from 'lucide-react'
+import { CANONICAL_HEADERS } from '../lib/mapping.js'
+
+/**
+ * Picks the file header that currently satisfies a canonical header, if any
+ * @param {string} canonical
+ * @param {Array<string>} availableHeaders
+ * @param {Object} columnMapping
+ * @returns {string}
+ */
+function initialSelection(canonical, availableHeaders, columnMapping) {
+  if (availableHeaders.includes(canonical)) return canonical
+  return availableHeaders.find(header => columnMapping[header] === canonical) || ''
+}
+
+export default function ColumnMappingDialog({
+  fileName,
+  availableHeaders,
+  previewRows,
+  missingHeaders,
+  columnMapping,
+  profileNames,
+  onSave,
+  onCancel
+}) {
+  const [selections, setSelections] = useState(() => Object.fromEntries(
+    CANONICAL_HEADERS.map(canonical => [canonical, initialSelection(canonical, availableHeaders, columnMapping)])
+  ))
+  const [profileName, setProfileName] = useState(fileName ? fileName.replace(/\.[^.]+$/, '') : '')
+
+  const unmapped = CANONICAL_HEADERS.filter(canonical => !selections[canonical])
+  const trimmedName = profileName.trim()
+  const nameTaken = profileNames.includes(trimmedName)
+  const canSave = unmapped.length === 0 && trimmedName.length > 0
+
+  // Live preview of the first rows as they will be read with the chosen mapping
+  const preview = useMemo(() => {
+    return previewRows.map(row => Object.fromEntries(
+      CANONICAL_HEADERS.map(canonical => [canonical, selections[canonical] ? row[selections[canonical]] : ''])
+    ))
+  }, [previewRows, selections])
+
+  function handleSave() {
+    // Only renamed columns need storing; exact matches are found without a profile
+    const profile = {}
+    CANONICAL_HEADERS.forEach(canonical => {
+      const header = selections[canonical]
+      if (header && header !== canonical) {
+        profile[header] = canonical
+      }
+    })
+    onSave(trimmedName, profile)
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm">
+      <div className="oryx-card w-full max-w-5xl max-h-[90vh] mx-4 overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <div>
+            <h2 className="oryx-heading text-xl">Map Columns</h2>
+            <p className="text-sm text-slate-400">
+              {fileName ? `"${fileName}" is` : 'This file is'} missing {missingHeaders.join(', ')}. Choose which column holds each field.
+            </p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+          >
+            <X size={20} className="text-slate-400" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Mapping dropdowns */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {CANONICAL_HEADERS.map(canonical => (
+              <label key={canonical} className="flex flex-col gap-2">
+                <span className={`text-sm font-medium ${missingHeaders.includes(canonical) ? 'text-orange-600' : 'text-slate-300'}`}>
+                  {canonical}
+                </span>
+                <select
+                  value={selections[canonical]}
+                  onChange={(e) => setSelections(prev => ({ ...prev, [canonical]: e.target.value }))}
+                  className="oryx-input h-10 rounded-md border px-3 text-sm"
+                >
+                  <option value="">Select column</option>
+                  {availableHeaders.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {/* Live preview */}
+          <div className="bg-slate-700/20 rounded-lg p-4">
+            <h3 className="oryx-heading text-lg mb-4">Preview (first {preview.length} rows)</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="border-b border-slate-600">
+                    {CANONICAL_HEADERS.map(canonical => (
+                      <th key={canonical} className="text-left p-2 text-slate-300 font-medium whitespace-nowrap">{canonical}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((row, index) => (
+                    <tr key={index} className="border-b border-slate-700">
+                      {CANONICAL_HEADERS.map(canonical => (
+                        <td key={canonical} className="p-2 text-slate-300 max-w-40">
+                          <div className="truncate" title={row[canonical]}>{row[canonical]}</div>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Profile name */}
+          <label className="flex flex-col gap-2 max-w-md">
+            <span className="text-sm text-slate-300 font-medium">Save mapping as profile</span>
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder="e.g. PSA export (2025 layout)"
+              className="oryx-input h-10 rounded-md border px-3 text-sm"
+            />
+            {nameTaken && (
+              <span className="text-xs text-orange-600">A profile with this name exists and will be replaced.</span>
+            )}
+          </label>
+        </div>
+
+        {/* Footer */}
+        <div className="border-t border-slate-700 p-4 flex items-center justify-between gap-3">
+          <span className="text-xs text-slate-400">
+            {unmapped.length > 0 ? `Still unmapped: ${unmapped.join(', ')}` : 'All required columns mapped'}
+          </span>
+          <div className="flex gap-3">
+            <button
+              onClick={onCancel}
+              className="oryx-secondary px-4 py-2 rounded-lg text-sm hover:bg-slate-600 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!canSave}
+              className="oryx-primary px-6 py-2 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+            >
+              Save Profile & Import
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
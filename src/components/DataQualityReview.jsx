@@ -0,0 +1,126 @@
+import { useMemo, useState } from 'react'
+import { QUALITY_FLAGS } from '../lib/dataQuality.js'
+
+const MAX_VISIBLE_FLAGS = 100
+
+export default function DataQualityReview({ flags, excludedIds, onExcludedIdsChange }) {
+  const [typeFilter, setTypeFilter] = useState('ALL')
+  const excluded = useMemo(() => new Set(excludedIds), [excludedIds])
+
+  const countsByType = useMemo(() => {
+    const counts = {}
+    flags.forEach(flag => { counts[flag.type] = (counts[flag.type] || 0) + 1 })
+    return counts
+  }, [flags])
+
+  const shown = typeFilter === 'ALL' ? flags : flags.filter(flag => flag.type === typeFilter)
+  const excludedCount = flags.filter(flag => excluded.has(flag.id)).length
+
+  function setExcluded(ids, exclude) {
+    const next = new Set(excludedIds)
+    ids.forEach(id => (exclude ? next.add(id) : next.delete(id)))
+    onExcludedIdsChange([...next])
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h3 className="oryx-heading text-lg">Data Quality Review</h3>
+          <p className="text-sm text-slate-400 mt-1">
+            Entries that look double-submitted or mistyped. Tick "Exclude" to leave an entry out of every chart; the choice is remembered for this data.
+          </p>
+        </div>
+        <div className="text-sm text-slate-300">
+          {flags.length} flagged · <span className="text-orange-500 font-medium">{excludedCount} excluded</span>
+        </div>
+      </div>
+
+      {flags.length === 0 ? (
+        <div className="text-center text-sm text-slate-400 py-4">
+          No duplicate or suspicious entries found
+        </div>
+      ) : (
+        <>
+          {/* Flag type filter */}
+          <div className="mb-4 flex flex-wrap items-center gap-2">
+            {['ALL', ...Object.keys(QUALITY_FLAGS)].map(type => (
+              <button
+                key={type}
+                onClick={() => setTypeFilter(type)}
+                title={QUALITY_FLAGS[type] || 'All flags'}
+                className={`rounded-lg px-3 py-2 text-xs transition-colors ${
+                  typeFilter === type ? 'oryx-primary' : 'bg-slate-700/50 text-slate-300 hover:bg-slate-600'
+                }`}
+              >
+                <span className="font-mono font-semibold">{type}</span>
+                <span className="ml-2 font-bold">{type === 'ALL' ? flags.length : countsByType[type] || 0}</span>
+              </button>
+            ))}
+            <div className="ml-auto flex gap-2">
+              <button
+                onClick={() => setExcluded(shown.map(flag => flag.id), true)}
+                className="oryx-secondary px-3 py-2 rounded-lg text-xs hover:bg-slate-600 transition-colors"
+              >
+                Exclude all shown
+              </button>
+              <button
+                onClick={() => setExcluded(shown.map(flag => flag.id), false)}
+                className="oryx-secondary px-3 py-2 rounded-lg text-xs hover:bg-slate-600 transition-colors"
+              >
+                Include all shown
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-600">
+                  <th className="text-left p-3 text-slate-300 font-medium">Exclude</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Flag</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Member</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Date</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Ticket</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Work Type</th>
+                  <th className="text-right p-3 text-slate-300 font-medium">Hours</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Detail</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.slice(0, MAX_VISIBLE_FLAGS).map(flag => (
+                  <tr key={flag.id} className={`border-b border-slate-700 hover:bg-slate-700/30 ${excluded.has(flag.id) ? 'opacity-60' : ''}`}>
+                    <td className="p-3">
+                      <input
+                        type="checkbox"
+                        checked={excluded.has(flag.id)}
+                        onChange={(e) => setExcluded([flag.id], e.target.checked)}
+                      />
+                    </td>
+                    <td className="p-3 font-mono text-xs text-orange-600" title={QUALITY_FLAGS[flag.type]}>{flag.type}</td>
+                    <td className="p-3 text-white font-medium">{flag.row.Member}</td>
+                    <td className="p-3 text-slate-300">{flag.row.Date}</td>
+                    <td className="p-3 text-slate-300">{flag.row.Ticket}</td>
+                    <td className="p-3 text-slate-300 max-w-48">
+                      <div className="truncate" title={flag.row['Work Type']}>{flag.row['Work Type']}</div>
+                    </td>
+                    <td className="p-3 text-right text-slate-300">{flag.row.Hours}h</td>
+                    <td className="p-3 text-slate-400 max-w-64">
+                      <div className="truncate" title={flag.detail}>{flag.detail}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {shown.length > MAX_VISIBLE_FLAGS && (
+            <div className="mt-4 text-center text-xs text-slate-400">
+              Showing first {MAX_VISIBLE_FLAGS} of {shown.length} flags. "Exclude all shown" applies to all of them.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -1,7 +1,6 @@
 import { useMemo } from 'react'
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as ReTooltip, ResponsiveContainer } from 'recharts'
-import dayjs from 'dayjs'
-import { DAY_HOURS } from '../lib/invariants.js'
+import { scheduledCapacity } from '../lib/workingCalendar.js'
 
 // Custom color palette matching the Project Type Trends & Summary chart
 const CUSTOM_COLORS = [
@@ -22,28 +21,6 @@ const CUSTOM_COLORS = [
   '#A58BFF'  // Light Lavender
 ]
 
-/**
- * Calculates working days in a month (excludes weekends)
- * @param {string} calendarMonth - YYYY-MM format
- * @returns {number} - Number of working days
- */
-function getWorkingDaysInMonth(calendarMonth) {
-  const [year, month] = calendarMonth.split('-')
-  const date = dayjs(`${year}-${month}-01`)
-  const daysInMonth = date.daysInMonth()
-  
-  let workingDays = 0
-  for (let day = 1; day <= daysInMonth; day++) {
-    const currentDay = date.date(day)
-    const dayOfWeek = currentDay.day() // 0=Sunday, 6=Saturday
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-      workingDays++
-    }
-  }
-  
-  return workingDays
-}
-
 /**
  * Calculates 3-month moving average
  * @param {Array} data - Array of data points with utilisation values
@@ -63,7 +40,7 @@ function calculateMovingAverage(data) {
   })
 }
 
-export default function DeptUtilTrend({ filteredRows }) {
+export default function DeptUtilTrend({ filteredRows, workSchedules, workingCalendar, memberRoster }) {
   const data = useMemo(() => {
     if (!filteredRows || filteredRows.length === 0) return []
     
@@ -75,24 +52,22 @@ export default function DeptUtilTrend({ filteredRows }) {
       if (!monthlyData[month]) {
         monthlyData[month] = {
           billableHours: 0,
-          totalWorkedHours: 0,
-          memberMonths: new Set()
+          totalWorkedHours: 0
         }
       }
       
-      // Add billable hours (productive work) - use Productivity field directly
-      const productivity = (row.Productivity || '').trim()
-      if (productivity === "Productive") {
+      // Add billable hours (productive work) as classified by the billability rules
+      if (row.isBillable) {
         monthlyData[month].billableHours += row.Hours
       }
       
       // Add ALL worked hours (productive + non-productive)
       monthlyData[month].totalWorkedHours += row.Hours
-      
-      // Track unique member-month combinations
-      monthlyData[month].memberMonths.add(`${row.Member}-${month}`)
     }
     
+    // Scheduled hours per month, less bank holidays and closures
+    const capacityByMonth = scheduledCapacity(filteredRows, row => row.calendarMonth, { workSchedules, calendar: workingCalendar, roster: memberRoster })
+    
     // Calculate utilisation per month
     const monthlyUtilisation = []
     for (const [month, data] of Object.entries(monthlyData)) {
@@ -103,7 +78,8 @@ export default function DeptUtilTrend({ filteredRows }) {
         month,
         utilisation: Math.round(utilisation * 10) / 10, // Round to 1 decimal
         billableHours: Math.round(data.billableHours * 4) / 4,
-        totalWorkedHours: Math.round(data.totalWorkedHours * 4) / 4
+        totalWorkedHours: Math.round(data.totalWorkedHours * 4) / 4,
+        capacityHours: Math.round((capacityByMonth[month] || 0) * 4) / 4
       })
     }
     
@@ -113,7 +89,7 @@ export default function DeptUtilTrend({ filteredRows }) {
     
     // Add moving average
     return calculateMovingAverage(last6Months)
-  }, [filteredRows])
+  }, [filteredRows, workSchedules, workingCalendar, memberRoster])
   
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -141,6 +117,16 @@ export default function DeptUtilTrend({ filteredRows }) {
               <span style={{ color: '#EFECD2' }}>Worked:</span>
               <span className="font-bold" style={{ color: CUSTOM_COLORS[0] }}>{barData.totalWorkedHours}h</span>
             </div>
+            <div className="flex justify-between items-center text-xs">
+              <span style={{ color: '#EFECD2' }}>Capacity:</span>
+              <span className="font-bold" style={{ color: CUSTOM_COLORS[0] }}>{barData.capacityHours}h</span>
+            </div>
+            {barData.capacityHours > 0 && (
+              <div className="flex justify-between items-center text-xs">
+                <span style={{ color: '#EFECD2' }}>Of Capacity:</span>
+                <span className="font-bold" style={{ color: CUSTOM_COLORS[0] }}>{Math.round(barData.billableHours / barData.capacityHours * 100)}%</span>
+              </div>
+            )}
             <div className="flex justify-between items-center text-xs">
               <span style={{ color: '#EFECD2' }}>Dept Util:</span>
               <span className="font-bold" style={{ color: CUSTOM_COLORS[0] }}>{barData.utilisation?.toFixed(1)}%</span>
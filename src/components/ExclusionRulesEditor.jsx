@@ -0,0 +1,132 @@
+import { useState } from 'react'
+import { Trash2 } from 'lucide-react'
+import { EXCLUSION_FIELDS, isRegexField, validateRule } from '../lib/exclusionRules.js'
+
+export default function ExclusionRulesEditor({ rules, excludeZeroHours, onRulesChange, onExcludeZeroHoursChange }) {
+  const [draft, setDraft] = useState({ field: 'Role', pattern: '' })
+  const draftError = draft.pattern.trim() ? validateRule(draft) : null
+
+  function addRule() {
+    if (!draft.pattern.trim() || draftError) return
+    onRulesChange([
+      ...rules,
+      { id: `rule-${Date.now()}`, field: draft.field, pattern: draft.pattern.trim(), enabled: true }
+    ])
+    setDraft(prev => ({ ...prev, pattern: '' }))
+  }
+
+  function updateRule(id, patch) {
+    onRulesChange(rules.map(rule => (rule.id === id ? { ...rule, ...patch } : rule)))
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🚫</span>
+          </span>
+          Exclusion Rules
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Rows matching an enabled rule are dropped at ingest and listed in the ingestion report. Changes apply to the next upload.
+        </p>
+      </div>
+
+      <label className="mb-4 flex items-center gap-3 text-sm text-slate-300">
+        <input
+          type="checkbox"
+          checked={excludeZeroHours}
+          onChange={(e) => onExcludeZeroHoursChange(e.target.checked)}
+        />
+        Drop entries with zero hours
+      </label>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-3 text-slate-300 font-medium">Enabled</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Field</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Match</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Value / Pattern</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.length === 0 && (
+              <tr>
+                <td colSpan={5} className="p-4 text-center text-slate-400">No exclusion rules</td>
+              </tr>
+            )}
+            {rules.map(rule => {
+              const error = validateRule(rule)
+              return (
+                <tr key={rule.id} className="border-b border-slate-700">
+                  <td className="p-3">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled !== false}
+                      onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                    />
+                  </td>
+                  <td className="p-3 text-white font-medium">{rule.field}</td>
+                  <td className="p-3 text-slate-400">{isRegexField(rule.field) ? 'regex' : 'equals'}</td>
+                  <td className="p-3">
+                    <input
+                      type="text"
+                      value={rule.pattern}
+                      onChange={(e) => updateRule(rule.id, { pattern: e.target.value })}
+                      className="oryx-input h-9 w-full rounded-md border px-3 text-sm font-mono"
+                    />
+                    {error && <div className="mt-1 text-xs text-orange-600">{error}</div>}
+                  </td>
+                  <td className="p-3 text-right">
+                    <button
+                      onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))}
+                      className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                      title="Delete rule"
+                    >
+                      <Trash2 size={16} className="text-slate-400" />
+                    </button>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* New rule */}
+      <div className="mt-4 flex flex-wrap items-start gap-3">
+        <select
+          value={draft.field}
+          onChange={(e) => setDraft(prev => ({ ...prev, field: e.target.value }))}
+          className="oryx-input h-10 rounded-md border px-3 text-sm"
+        >
+          {EXCLUSION_FIELDS.map(field => (
+            <option key={field} value={field}>{field}</option>
+          ))}
+        </select>
+        <div className="flex flex-col flex-1 min-w-48">
+          <input
+            type="text"
+            value={draft.pattern}
+            onChange={(e) => setDraft(prev => ({ ...prev, pattern: e.target.value }))}
+            onKeyDown={(e) => { if (e.key === 'Enter') addRule() }}
+            placeholder={isRegexField(draft.field) ? 'e.g. ^INT-\\d+' : `Exact ${draft.field} value`}
+            className="oryx-input h-10 rounded-md border px-3 text-sm font-mono"
+          />
+          {draftError && <span className="mt-1 text-xs text-orange-600">{draftError}</span>}
+        </div>
+        <button
+          onClick={addRule}
+          disabled={!draft.pattern.trim() || Boolean(draftError)}
+          className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+        >
+          Add Rule
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,56 @@
+import dayjs from 'dayjs'
+import { FISCAL_YEAR_LABEL_STYLES, MONTH_NAMES, createFiscalCalendar } from '../lib/fiscalYear.js'
+
+export default function FiscalYearEditor({ startMonth, labelStyle, onStartMonthChange, onLabelStyleChange }) {
+  // Preview of the current financial year under the chosen settings
+  const fiscal = createFiscalCalendar({ fiscalYearStartMonth: startMonth, fiscalYearLabelStyle: labelStyle })
+  const today = dayjs()
+  const currentFy = fiscal.fiscalYearOf(today)
+  const currentWindow = fiscal.fiscalYearWindow(currentFy)
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">📅</span>
+          </span>
+          Financial Year
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Sets how the Fiscal Year and Quarter filters group months. A financial year is named after the calendar year it starts in, and quarters count from its first month.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-6">
+        <label className="flex flex-col gap-2">
+          <span className="text-sm text-slate-300 font-medium">Starts In</span>
+          <select
+            value={startMonth}
+            onChange={(e) => onStartMonthChange(parseInt(e.target.value, 10))}
+            className="oryx-input h-10 rounded-md border px-3 text-sm"
+          >
+            {MONTH_NAMES.map((name, index) => (
+              <option key={name} value={index + 1}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-2">
+          <span className="text-sm text-slate-300 font-medium">Label</span>
+          <select
+            value={labelStyle}
+            onChange={(e) => onLabelStyleChange(e.target.value)}
+            className="oryx-input h-10 rounded-md border px-3 text-sm"
+          >
+            {Object.entries(FISCAL_YEAR_LABEL_STYLES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <div className="text-sm text-slate-300 pb-2">
+          Today is in <span className="text-white font-medium">{fiscal.fiscalQuarterOf(today)}</span>; {currentFy} runs {currentWindow.from.format('DD/MM/YYYY')} to {currentWindow.to.format('DD/MM/YYYY')}
+        </div>
+      </div>
+    </div>
+  )
+}
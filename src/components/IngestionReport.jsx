@@ -0,0 +1,121 @@
+import { useMemo } from 'react'
+import { Download } from 'lucide-react'
+import { REJECTION_REASONS, sumCountsByReason, downloadRejectedRows } from '../lib/ingestionReport.js'
+
+const MAX_VISIBLE_ROWS = 50
+
+export default function IngestionReport({ reports }) {
+  const { totalRows, acceptedRows, countsByReason, rejectedRows } = useMemo(() => {
+    const list = reports || []
+    return {
+      totalRows: list.reduce((sum, report) => sum + report.totalRows, 0),
+      acceptedRows: list.reduce((sum, report) => sum + report.acceptedRows, 0),
+      countsByReason: sumCountsByReason(list),
+      rejectedRows: list.flatMap(report => report.rejectedRows.map(rejected => ({
+        ...rejected,
+        fileName: report.fileName
+      })))
+    }
+  }, [reports])
+
+  if (!reports || reports.length === 0) return null
+
+  return (
+    <div className="oryx-card p-6 mb-6">
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🧾</span>
+          </span>
+          Ingestion Report
+        </h2>
+        <button
+          onClick={() => downloadRejectedRows(reports)}
+          disabled={rejectedRows.length === 0}
+          className="oryx-primary inline-flex h-9 items-center gap-2 rounded-lg px-3 text-sm font-medium shadow-lg hover:opacity-90 disabled:opacity-50 transition-opacity"
+        >
+          <Download size={16} /> Download Rejected Rows
+        </button>
+      </div>
+
+      {/* Summary stats */}
+      <div className="mb-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-slate-700/50 rounded-lg p-3 text-center">
+          <p className="text-2xl font-bold text-slate-300">{totalRows}</p>
+          <p className="text-xs text-slate-300">Rows Read</p>
+        </div>
+        <div className="bg-slate-700/50 rounded-lg p-3 text-center">
+          <p className="text-2xl font-bold text-lime-600">{acceptedRows}</p>
+          <p className="text-xs text-slate-300">Accepted</p>
+        </div>
+        <div className="bg-slate-700/50 rounded-lg p-3 text-center">
+          <p className="text-2xl font-bold text-orange-500">{rejectedRows.length}</p>
+          <p className="text-xs text-slate-300">Rejected</p>
+        </div>
+      </div>
+
+      {rejectedRows.length === 0 ? (
+        <div className="text-center text-sm text-slate-400 py-4">
+          Every row passed validation
+        </div>
+      ) : (
+        <>
+          {/* Counts per reason */}
+          <div className="mb-4 flex flex-wrap gap-2">
+            {Object.entries(countsByReason).map(([reason, count]) => (
+              <div key={reason} className="bg-slate-700/50 rounded-lg px-3 py-2 text-xs" title={REJECTION_REASONS[reason] || reason}>
+                <span className="font-mono font-semibold text-slate-300">{reason}</span>
+                <span className="ml-2 font-bold text-orange-500">{count}</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Rejected rows */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-600">
+                  {reports.length > 1 && <th className="text-left p-3 text-slate-300 font-medium">File</th>}
+                  <th className="text-right p-3 text-slate-300 font-medium">Row</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Reason</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Detail</th>
+                  <th className="text-left p-3 text-slate-300 font-medium">Original Values</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rejectedRows.slice(0, MAX_VISIBLE_ROWS).map(rejected => {
+                  const original = Object.entries(rejected.values || {})
+                    .map(([column, value]) => `${column}: ${value}`)
+                    .join(' · ')
+                  return (
+                    <tr key={`${rejected.fileName}-${rejected.rowNumber}`} className="border-b border-slate-700 hover:bg-slate-700/30">
+                      {reports.length > 1 && (
+                        <td className="p-3 text-slate-300 max-w-40">
+                          <div className="truncate" title={rejected.fileName}>{rejected.fileName}</div>
+                        </td>
+                      )}
+                      <td className="p-3 text-right text-slate-300">{rejected.rowNumber}</td>
+                      <td className="p-3 font-mono text-xs text-orange-600" title={REJECTION_REASONS[rejected.reason]}>{rejected.reason}</td>
+                      <td className="p-3 text-slate-300 max-w-32">
+                        <div className="truncate" title={rejected.detail}>{rejected.detail || '—'}</div>
+                      </td>
+                      <td className="p-3 text-xs text-slate-400 max-w-96">
+                        <div className="truncate" title={original}>{original}</div>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {rejectedRows.length > MAX_VISIBLE_ROWS && (
+            <div className="mt-4 text-center text-xs text-slate-400">
+              Showing first {MAX_VISIBLE_ROWS} rejected rows. Download the CSV for all {rejectedRows.length}.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
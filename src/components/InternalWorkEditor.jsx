@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import ChipList from './ChipList.jsx'
+
+/**
+ * Checks a Project Type pattern compiles as a regular expression
+ * @param {string} pattern 
+ * @returns {string|null} - Error message, or null when valid
+ */
+function patternError(pattern) {
+  try {
+    new RegExp(pattern, 'i')
+    return null
+  } catch (error) {
+    return `Invalid regular expression: ${error.message}`
+  }
+}
+
+export default function InternalWorkEditor({ companies, projectTypePatterns, companyOptions, onCompaniesChange, onPatternsChange }) {
+  const [newCompany, setNewCompany] = useState('')
+  const [newPattern, setNewPattern] = useState('')
+  const company = newCompany.trim()
+  const pattern = newPattern.trim()
+  const newPatternError = pattern ? patternError(pattern) : null
+  const canAddCompany = company.length > 0 && !companies.some(c => c.toLowerCase() === company.toLowerCase())
+  const canAddPattern = pattern.length > 0 && !newPatternError && !projectTypePatterns.includes(pattern)
+
+  function addCompany() {
+    if (!canAddCompany) return
+    onCompaniesChange([...companies, company])
+    setNewCompany('')
+  }
+
+  function addPattern() {
+    if (!canAddPattern) return
+    onPatternsChange([...projectTypePatterns, pattern])
+    setNewPattern('')
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🏠</span>
+          </span>
+          Internal Work
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Rows for an internal company, or whose Project Type matches a pattern, count as internal. This drives the Internal Hours Share KPI, Internal Hours chart and the client charts that exclude internal work.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Internal companies */}
+        <div>
+          <h3 className="text-sm text-slate-300 font-medium mb-3">Internal Companies</h3>
+          <ChipList items={companies} onRemove={(item) => onCompaniesChange(companies.filter(c => c !== item))} />
+          <div className="mt-3 flex gap-3">
+            <input
+              type="text"
+              list="internal-company-options"
+              value={newCompany}
+              onChange={(e) => setNewCompany(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') addCompany() }}
+              placeholder="e.g. OryxAlign-Internal c/code"
+              className="oryx-input h-10 flex-1 rounded-md border px-3 text-sm"
+            />
+            <datalist id="internal-company-options">
+              {companyOptions.map(option => <option key={option} value={option} />)}
+            </datalist>
+            <button
+              onClick={addCompany}
+              disabled={!canAddCompany}
+              className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+
+        {/* Project Type patterns */}
+        <div>
+          <h3 className="text-sm text-slate-300 font-medium mb-3">Project Type Patterns (regex)</h3>
+          <ChipList items={projectTypePatterns} mono onRemove={(item) => onPatternsChange(projectTypePatterns.filter(p => p !== item))} />
+          <div className="mt-3 flex gap-3">
+            <div className="flex flex-col flex-1">
+              <input
+                type="text"
+                value={newPattern}
+                onChange={(e) => setNewPattern(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter') addPattern() }}
+                placeholder="e.g. ^Internal"
+                className="oryx-input h-10 rounded-md border px-3 text-sm font-mono"
+              />
+              {newPatternError && <span className="mt-1 text-xs text-orange-600">{newPatternError}</span>}
+            </div>
+            <button
+              onClick={addPattern}
+              disabled={!canAddPattern}
+              className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
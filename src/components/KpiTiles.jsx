@@ -1,50 +1,18 @@
-import { useMemo } from 'react'
+import { useMemo, useState } from 'react'
+import { Info } from 'lucide-react'
 import dayjs from 'dayjs'
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts'
-import { ROLE_TARGETS, DAY_HOURS } from '../lib/invariants.js'
 import { roundToQuarter, EmptyState } from '../lib/utils.jsx'
+import { scheduledCapacityByMember } from '../lib/workingCalendar.js'
+import { createTargetResolver, rolesWithTargets, weightedTarget } from '../lib/utilisationTargets.js'
 
-/**
- * Calculates working days in a month (excludes weekends)
- * @param {string} calendarMonth - YYYY-MM format
- * @returns {number} - Number of working days
- */
-function getWorkingDaysInMonth(calendarMonth) {
-  if (!calendarMonth || typeof calendarMonth !== 'string') {
-    console.warn('Invalid calendarMonth:', calendarMonth)
-    return 22 // Fallback to average working days per month
-  }
-  
-  try {
-    const [year, month] = calendarMonth.split('-')
-    if (!year || !month || isNaN(parseInt(year)) || isNaN(parseInt(month))) {
-      console.warn('Invalid calendarMonth format:', calendarMonth)
-      return 22
-    }
-    
-    const date = dayjs(`${year}-${month}-01`)
-    if (!date.isValid()) {
-      console.warn('Invalid date from calendarMonth:', calendarMonth)
-      return 22
-    }
-    
-    const daysInMonth = date.daysInMonth()
-    let workingDays = 0
-    
-    for (let day = 1; day <= daysInMonth; day++) {
-      const currentDay = date.date(day)
-      const dayOfWeek = currentDay.day() // 0=Sunday, 6=Saturday
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-        workingDays++
-      }
-    }
-    
-    return workingDays
-  } catch (error) {
-    console.warn('Error calculating working days for month:', calendarMonth, error)
-    return 22 // Fallback to average working days per month
-  }
+// Tile styling for the established teams; other roles with a target use ROLE_TILE_FALLBACK
+const ROLE_TILE_STYLES = {
+  Cloud: { icon: '☁️', color: 'from-cyan-500/20 to-cyan-600/20', iconColor: 'text-cyan-400', chartColor: '#22d3ee', bgColor: 'bg-cyan-500/10' },
+  Network: { icon: '🌐', color: 'from-purple-500/20 to-purple-600/20', iconColor: 'text-purple-400', chartColor: '#a78bfa', bgColor: 'bg-purple-500/10' },
+  PM: { icon: '📋', color: 'from-orange-500/20 to-orange-600/20', iconColor: 'text-orange-400', chartColor: '#fb923c', bgColor: 'bg-orange-500/10' }
 }
+const ROLE_TILE_FALLBACK = { icon: '👥', color: 'from-slate-500/20 to-slate-600/20', iconColor: 'text-slate-300', chartColor: '#cbd5e1', bgColor: 'bg-slate-500/10' }
 
 /**
  * Calculates utilization metrics for roles
@@ -54,54 +22,6 @@ function getWorkingDaysInMonth(calendarMonth) {
 function calcUtilisation(rows) {
   const roleData = {}
   
-  console.log('calcUtilisation - input rows:', rows.length)
-  console.log('calcUtilisation - sample row:', rows[0])
-  
-  // Debug: Show all unique roles in the data
-  const uniqueRoles = [...new Set(rows.map(row => row.Role).filter(Boolean))]
-  console.log('calcUtilisation - unique roles found:', uniqueRoles)
-  
-  // Debug: Show productivity values for each role
-  uniqueRoles.forEach(role => {
-    const roleRows = rows.filter(row => row.Role === role)
-    const productivityCounts = {}
-    const productivityValues = new Set()
-    
-    roleRows.forEach(row => {
-      const productivity = row.Productivity || 'Unknown'
-      const trimmedProductivity = productivity.trim()
-      const isProductive = trimmedProductivity === "Productive"
-      
-      productivityCounts[productivity] = (productivityCounts[productivity] || 0) + 1
-      productivityValues.add(productivity)
-      
-      // Debug individual row processing
-      if (roleRows.indexOf(row) < 3) { // Only first 3 rows
-        console.log(`calcUtilisation - Row processing for ${role}:`, {
-          rawProductivity: `"${productivity}"`,
-          trimmedProductivity: `"${trimmedProductivity}"`,
-          isProductive,
-          isBillable: row.isBillable,
-          hours: row.Hours,
-          member: row.Member
-        })
-      }
-    })
-    
-    console.log(`calcUtilisation - productivity breakdown for "${role}":`, productivityCounts)
-    console.log(`calcUtilisation - unique productivity values for "${role}":`, Array.from(productivityValues))
-    
-    // Show sample rows with billable flag
-    const sampleRows = roleRows.slice(0, 3).map(row => ({
-      Member: row.Member,
-      Hours: row.Hours,
-      Productivity: row.Productivity,
-      isBillable: row.isBillable,
-      Role: row.Role
-    }))
-    console.log(`calcUtilisation - sample data for role "${role}":`, sampleRows)
-  })
-  
   // Group by role and calculate actual utilization
   for (const row of rows) {
     const role = row.Role
@@ -121,9 +41,8 @@ function calcUtilisation(rows) {
       }
     }
     
-    // Add billable hours (productive work) - use Productivity field directly
-    const productivity = (row.Productivity || '').trim()
-    if (productivity === "Productive") {
+    // Add billable hours (productive work) as classified by the billability rules
+    if (row.isBillable) {
       roleData[role].totalBillableHours += row.Hours
     }
     
@@ -134,8 +53,6 @@ function calcUtilisation(rows) {
     roleData[role].memberMonths.add(`${member}-${month}`)
   }
   
-  console.log('calcUtilisation - roleData before utilization calculation:', roleData)
-  
   // Calculate utilization based on actual worked hours
   for (const role in roleData) {
     // Utilization = Billable Hours / Total Worked Hours
@@ -144,81 +61,6 @@ function calcUtilisation(rows) {
     roleData[role].utilization = roleData[role].totalWorkedHours > 0 
       ? roleData[role].totalBillableHours / roleData[role].totalWorkedHours 
       : 0
-    
-    // Debug: Show calculation for each role
-    console.log(`calcUtilisation - ${role} calculation:`, {
-      billableHours: roleData[role].totalBillableHours,
-      workedHours: roleData[role].totalWorkedHours,
-      utilization: roleData[role].utilization,
-      formula: `${roleData[role].totalBillableHours} / ${roleData[role].totalWorkedHours} = ${roleData[role].utilization}`
-    })
-  }
-  
-  console.log('calcUtilisation - final roleData:', roleData)
-  
-  // Debug: Show expected vs actual utilization
-  console.log('calcUtilisation - UTILIZATION SUMMARY:')
-  for (const role in roleData) {
-    const roleRows = rows.filter(row => row.Role === role)
-    const totalHours = roleRows.reduce((sum, row) => sum + row.Hours, 0)
-    
-    // Debug: Show all rows for this role first
-    console.log(`calcUtilisation - ${role} Team - ALL ROWS (${roleRows.length} total):`)
-    roleRows.forEach((row, index) => {
-      console.log(`  Row ${index + 1}:`, {
-        Member: row.Member,
-        Productivity: `"${row.Productivity}"`,
-        Hours: row.Hours,
-        Date: row.Date
-      })
-    })
-    
-    // Debug: Show raw productivity values for this role
-    const productivityValues = [...new Set(roleRows.map(row => row.Productivity))]
-    console.log(`calcUtilisation - ${role} Team - Raw Productivity values found:`, productivityValues)
-    
-    const productiveHours = roleRows.filter(row => {
-      const productivity = (row.Productivity || '').trim()
-      const isProductive = productivity === "Productive"
-      if (row.Member === roleRows[0]?.Member) { // Log first few rows for debugging
-        console.log(`calcUtilisation - ${role} - Row check:`, {
-          rawProductivity: `"${row.Productivity}"`,
-          trimmed: `"${productivity}"`,
-          isProductive,
-          hours: row.Hours,
-          member: row.Member
-        })
-      }
-      return isProductive
-    }).reduce((sum, row) => sum + row.Hours, 0)
-    
-    const unproductiveHours = roleRows.filter(row => {
-      const productivity = (row.Productivity || '').trim()
-      const isUnproductive = productivity === "Unproductive"
-      if (row.Member === roleRows[0]?.Member) { // Log first few rows for debugging
-        console.log(`calcUtilisation - ${role} - Row check:`, {
-          rawProductivity: `"${row.Productivity}"`,
-          trimmed: `"${productivity}"`,
-          isUnproductive,
-          hours: row.Hours,
-          member: row.Member
-        })
-      }
-      return isUnproductive
-    }).reduce((sum, row) => sum + row.Hours, 0)
-    
-    const expectedUtilization = totalHours > 0 ? productiveHours / totalHours : 0
-    const actualUtilization = roleData[role].utilization
-    
-    console.log(`${role} Team:`, {
-      totalHours: Math.round(totalHours * 100) / 100,
-      productiveHours: Math.round(productiveHours * 100) / 100,
-      unproductiveHours: Math.round(unproductiveHours * 100) / 100,
-      expectedUtilization: Math.round(expectedUtilization * 1000) / 10 + '%',
-      actualUtilization: Math.round(actualUtilization * 1000) / 10 + '%',
-      difference: Math.round((expectedUtilization - actualUtilization) * 1000) / 10 + '%',
-      check: Math.abs(productiveHours + unproductiveHours - totalHours) < 0.01 ? '✅' : '❌'
-    })
   }
   
   return roleData
@@ -231,6 +73,28 @@ function calcUtilisation(rows) {
  */
 // Use imported roundToQuarter function
 
+/**
+ * Totals scheduled capacity per member, keeping the members the roster prorated
+ * @param {Array<Object>} groups - { [member]: { hours, fullHours } } per group from scheduledCapacityByMember
+ * @returns {{hours: number, fullHours: number, prorated: Array<{member: string, hours: number, fullHours: number}>}}
+ */
+function summarizeCapacity(groups) {
+  const byMember = {}
+  for (const group of groups) {
+    for (const [member, capacity] of Object.entries(group || {})) {
+      if (!byMember[member]) byMember[member] = { member, hours: 0, fullHours: 0 }
+      byMember[member].hours += capacity.hours
+      byMember[member].fullHours += capacity.fullHours
+    }
+  }
+  const members = Object.values(byMember)
+  return {
+    hours: members.reduce((sum, entry) => sum + entry.hours, 0),
+    fullHours: members.reduce((sum, entry) => sum + entry.fullHours, 0),
+    prorated: members.filter(entry => entry.hours < entry.fullHours - 0.01).sort((a, b) => a.member.localeCompare(b.member))
+  }
+}
+
 /**
  * Formats percentage to 0 decimals
  * @param {number} value - Decimal value (0.75 = 75%)
@@ -241,16 +105,18 @@ function formatPercent(value) {
   return `${Math.round(value * 100)}%`
 }
 
-export default function KpiTiles({ filteredRows, onReset }) {
+export default function KpiTiles({ filteredRows, workSchedules, workingCalendar, memberRoster, utilisationTargets, onReset }) {
+  const [openExplanation, setOpenExplanation] = useState(null)
+
   const metrics = useMemo(() => {
     if (!filteredRows?.length) {
       return {
         deptUtilPercent: 0,
+        capacityUtilPercent: 0,
+        deptCapacity: null,
         billableHours: 0,
         internalHoursSharePercent: 0,
-        cloudUtilPercent: 0,
-        networkUtilPercent: 0,
-        pmUtilPercent: 0
+        roleUtils: []
       }
     }
     
@@ -271,6 +137,12 @@ export default function KpiTiles({ filteredRows, onReset }) {
     }
     const deptUtilPercent = totalWorkedHours > 0 ? totalBillableHours / totalWorkedHours : 0
     
+    // Capacity utilization: productive hours against the hours the team was scheduled to work,
+    // prorated by the roster for starters, leavers and part-time FTE
+    const capacityByRole = scheduledCapacityByMember(filteredRows, row => row.Role, { workSchedules, calendar: workingCalendar, roster: memberRoster })
+    const deptCapacity = summarizeCapacity(Object.values(capacityByRole))
+    const capacityUtilPercent = deptCapacity.hours > 0 ? totalBillableHours / deptCapacity.hours : 0
+    
     // Billable hours total
     const billableHours = filteredRows
       .filter(row => row.isBillable)
@@ -283,18 +155,21 @@ export default function KpiTiles({ filteredRows, onReset }) {
       .reduce((sum, row) => sum + row.Hours, 0)
     const internalHoursSharePercent = totalHours > 0 ? internalHours / totalHours : 0
     
-    // Individual role utilizations
-    const cloudUtilPercent = roleUtils['Cloud']?.utilization || 0
-    const networkUtilPercent = roleUtils['Network']?.utilization || 0
-    const pmUtilPercent = roleUtils['PM']?.utilization || 0
+    // Individual role utilizations, each against the targets that applied to its entries
+    const targetFor = createTargetResolver(utilisationTargets)
+    const roleTargets = rolesWithTargets(filteredRows, utilisationTargets).map(role => ({
+      role,
+      utilization: roleUtils[role]?.utilization || 0,
+      target: weightedTarget(filteredRows.filter(row => row.Role === role), targetFor),
+      productiveHours: roleUtils[role]?.totalBillableHours || 0,
+      capacity: summarizeCapacity([capacityByRole[role]])
+    }))
     
     console.log('KpiTiles - calculated metrics:', {
       deptUtilPercent,
       billableHours,
       internalHoursSharePercent,
-      cloudUtilPercent,
-      networkUtilPercent,
-      pmUtilPercent
+      roleTargets
     })
     
     // Debug: Show role breakdown
@@ -307,24 +182,28 @@ export default function KpiTiles({ filteredRows, onReset }) {
     
     return {
       deptUtilPercent,
+      capacityUtilPercent,
+      deptCapacity,
+      deptProductiveHours: totalBillableHours,
       billableHours,
       internalHoursSharePercent,
-      cloudUtilPercent,
-      networkUtilPercent,
-      pmUtilPercent
+      roleUtils: roleTargets
     }
-  }, [filteredRows])
+  }, [filteredRows, workSchedules, workingCalendar, memberRoster, utilisationTargets])
   
   const tiles = [
     {
       title: 'Dept Util %',
       value: formatPercent(metrics.deptUtilPercent),
+      subtitle: `${formatPercent(metrics.capacityUtilPercent)} of scheduled capacity`,
       icon: '📈',
       color: 'from-blue-500/20 to-blue-600/20',
       iconColor: 'text-blue-400',
       chartColor: '#60a5fa',
       bgColor: 'bg-blue-500/10',
-      description: 'Percentage of productive vs total work time across all roles'
+      description: 'Percentage of productive vs total work time across all roles',
+      capacity: metrics.deptCapacity,
+      productiveHours: metrics.deptProductiveHours
     },
     {
       title: 'Billable Hours',
@@ -346,39 +225,15 @@ export default function KpiTiles({ filteredRows, onReset }) {
       bgColor: 'bg-yellow-500/10',
       description: 'Time spent on internal company work'
     },
-    {
-      title: 'Cloud Util %',
-      value: formatPercent(metrics.cloudUtilPercent),
-      subtitle: `vs ${formatPercent(ROLE_TARGETS.Cloud)} target`,
-      icon: '☁️',
-      color: 'from-cyan-500/20 to-cyan-600/20',
-      iconColor: 'text-cyan-400',
-      chartColor: '#22d3ee',
-      bgColor: 'bg-cyan-500/10',
-      description: 'Cloud team productive work efficiency'
-    },
-    {
-      title: 'Network Util %',
-      value: formatPercent(metrics.networkUtilPercent),
-      subtitle: `vs ${formatPercent(ROLE_TARGETS.Network)} target`,
-      icon: '🌐',
-      color: 'from-purple-500/20 to-purple-600/20',
-      iconColor: 'text-purple-400',
-      chartColor: '#a78bfa',
-      bgColor: 'bg-purple-500/10',
-      description: 'Network team productive work efficiency'
-    },
-    {
-      title: 'PM Util %',
-      value: formatPercent(metrics.pmUtilPercent),
-      subtitle: `vs ${formatPercent(ROLE_TARGETS.PM)} target`,
-      icon: '📋',
-      color: 'from-orange-500/20 to-orange-600/20',
-      iconColor: 'text-orange-400',
-      chartColor: '#fb923c',
-      bgColor: 'bg-orange-500/10',
-      description: 'PM team productive work efficiency'
-    }
+    ...metrics.roleUtils.map(({ role, utilization, target, productiveHours, capacity }) => ({
+      title: `${role} Util %`,
+      value: formatPercent(utilization),
+      subtitle: target === null ? 'No target' : `vs ${formatPercent(target)} target`,
+      ...(ROLE_TILE_STYLES[role] || ROLE_TILE_FALLBACK),
+      description: `${role} team productive work efficiency`,
+      capacity,
+      productiveHours
+    }))
   ]
 
   // Helper function to get status colors
@@ -421,8 +276,7 @@ export default function KpiTiles({ filteredRows, onReset }) {
       
       // Add hours based on KPI type
       if (title === 'Dept Util %') {
-        const productivity = (row.Productivity || '').trim()
-        if (productivity === "Productive") {
+        if (row.isBillable) {
           weeklyData[weekStart].totalBillableHours += row.Hours
         }
         weeklyData[weekStart].totalWorkedHours += row.Hours
@@ -436,8 +290,7 @@ export default function KpiTiles({ filteredRows, onReset }) {
         }
         weeklyData[weekStart].totalWorkedHours += row.Hours
       } else if (title.includes('Util %')) {
-        const productivity = (row.Productivity || '').trim()
-        if (productivity === "Productive") {
+        if (row.isBillable) {
           weeklyData[weekStart].totalBillableHours += row.Hours
         }
         weeklyData[weekStart].totalWorkedHours += row.Hours
@@ -530,6 +383,7 @@ export default function KpiTiles({ filteredRows, onReset }) {
         <div 
           key={index} 
           className="oryx-card p-4 relative"
+          onMouseLeave={() => setOpenExplanation(null)}
         >
                      {/* Header with icon, title, and value on the right */}
            <div className="flex items-start justify-between mb-3">
@@ -538,8 +392,15 @@ export default function KpiTiles({ filteredRows, onReset }) {
                  <span className="text-xl">{tile.icon}</span>
                </div>
                <div className="flex-1">
-                 <h3 className="text-base font-semibold text-slate-300 mb-1">
+                 <h3 className="text-base font-semibold text-slate-300 mb-1 flex items-center gap-1">
                    {tile.title}
+                   <button
+                     onClick={() => setOpenExplanation(openExplanation === index ? null : index)}
+                     className="p-1 rounded hover:bg-slate-700 transition-colors"
+                     title="How is this calculated?"
+                   >
+                     <Info size={14} className="text-slate-400" />
+                   </button>
                  </h3>
                  {tile.subtitle && (
                    <div className="text-xs text-slate-400">
@@ -555,6 +416,44 @@ export default function KpiTiles({ filteredRows, onReset }) {
              </div>
            </div>
 
+           {/* Explanation popover, with the prorated capacity behind capacity-based figures */}
+           {openExplanation === index && (
+             <div className="absolute left-4 right-4 top-16 z-10 rounded-lg border border-slate-600 bg-slate-800 p-3 text-xs text-slate-300 shadow-2xl">
+               <p className="mb-2">{tile.description}</p>
+               {tile.capacity && (
+                 <>
+                   <div className="flex justify-between">
+                     <span>Productive hours</span>
+                     <span className="font-bold text-white">{roundToQuarter(tile.productiveHours).toFixed(2)}h</span>
+                   </div>
+                   <div className="flex justify-between">
+                     <span>Scheduled capacity</span>
+                     <span className="font-bold text-white">{roundToQuarter(tile.capacity.hours).toFixed(2)}h</span>
+                   </div>
+                   <div className="flex justify-between">
+                     <span>Of capacity</span>
+                     <span className="font-bold text-white">{formatPercent(tile.capacity.hours > 0 ? tile.productiveHours / tile.capacity.hours : 0)}</span>
+                   </div>
+                   {tile.capacity.prorated.length > 0 ? (
+                     <div className="mt-2 border-t border-slate-600 pt-2">
+                       <p className="mb-1 text-slate-400">
+                         Prorated from {roundToQuarter(tile.capacity.fullHours).toFixed(2)}h for starters, leavers and part-time FTE:
+                       </p>
+                       {tile.capacity.prorated.map(entry => (
+                         <div key={entry.member} className="flex justify-between">
+                           <span>{entry.member}</span>
+                           <span>{roundToQuarter(entry.hours).toFixed(2)}h of {roundToQuarter(entry.fullHours).toFixed(2)}h</span>
+                         </div>
+                       ))}
+                     </div>
+                   ) : (
+                     <p className="mt-2 text-slate-400">Everyone counted at full time for the period</p>
+                   )}
+                 </>
+               )}
+             </div>
+           )}
+
            {/* Trend chart below */}
            <div className="flex justify-end mb-3">
              <MiniTrendChart 
@@ -0,0 +1,116 @@
+import { Trash2 } from 'lucide-react'
+import { normalizeFte } from '../lib/memberRoster.js'
+
+export default function MemberRosterEditor({ roster, memberOptions, onRosterChange }) {
+  function addEntry() {
+    onRosterChange([
+      ...roster,
+      { id: `roster-${Date.now()}`, member: '', startDate: '', endDate: '', fte: 1 }
+    ])
+  }
+
+  function updateEntry(id, patch) {
+    onRosterChange(roster.map(entry => (entry.id === id ? { ...entry, ...patch } : entry)))
+  }
+
+  const invalidDates = (entry) => entry.startDate && entry.endDate && entry.endDate < entry.startDate
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="oryx-heading text-lg flex items-center gap-2">
+            <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+              <span className="text-lime-400">🪪</span>
+            </span>
+            Member Roster
+          </h2>
+          <p className="text-sm text-slate-400 mt-1">
+            Start and end dates and FTE for starters, leavers and part-time members. Scheduled capacity and timesheet completeness only count the days someone was employed, at their FTE share of their working schedule. Members not listed are full time throughout. Use FTE or a reduced working schedule for part-timers, not both.
+          </p>
+        </div>
+        <button
+          onClick={addEntry}
+          className="oryx-primary px-4 py-2 rounded-lg text-sm font-medium hover:opacity-90 transition-opacity"
+        >
+          Add Member
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-3 text-slate-300 font-medium">Member</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Start Date</th>
+              <th className="text-left p-3 text-slate-300 font-medium">End Date</th>
+              <th className="text-right p-3 text-slate-300 font-medium">FTE</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {roster.length === 0 && (
+              <tr>
+                <td colSpan={5} className="p-4 text-center text-slate-400">Everyone is full time for the whole dataset</td>
+              </tr>
+            )}
+            {roster.map(entry => (
+              <tr key={entry.id} className="border-b border-slate-700">
+                <td className="p-3">
+                  <input
+                    type="text"
+                    list="member-roster-members"
+                    value={entry.member}
+                    onChange={(e) => updateEntry(entry.id, { member: e.target.value })}
+                    placeholder="Member"
+                    className="oryx-input h-9 w-48 rounded-md border px-3 text-sm"
+                  />
+                </td>
+                <td className="p-3">
+                  <input
+                    type="date"
+                    value={entry.startDate}
+                    onChange={(e) => updateEntry(entry.id, { startDate: e.target.value })}
+                    className="oryx-input h-9 rounded-md border px-2 text-sm"
+                  />
+                </td>
+                <td className="p-3">
+                  <input
+                    type="date"
+                    value={entry.endDate}
+                    onChange={(e) => updateEntry(entry.id, { endDate: e.target.value })}
+                    className={`oryx-input h-9 rounded-md border px-2 text-sm ${invalidDates(entry) ? 'border-orange-500' : ''}`}
+                    title={invalidDates(entry) ? 'End Date is before Start Date' : undefined}
+                  />
+                </td>
+                <td className="p-3 text-right">
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.1"
+                    value={entry.fte}
+                    onChange={(e) => updateEntry(entry.id, { fte: normalizeFte(e.target.value) })}
+                    className="oryx-input h-9 w-20 rounded-md border px-2 text-sm text-right"
+                  />
+                </td>
+                <td className="p-3 text-right">
+                  <button
+                    onClick={() => onRosterChange(roster.filter(e => e.id !== entry.id))}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                    title="Delete roster entry"
+                  >
+                    <Trash2 size={16} className="text-slate-400" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <datalist id="member-roster-members">
+          {memberOptions.map(option => <option key={option} value={option} />)}
+        </datalist>
+      </div>
+    </div>
+  )
+}
@@ -1,35 +1,21 @@
-import React, { useMemo, useRef } from 'react'
+import React, { useMemo, useRef, useState } from 'react'
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as ReTooltip, Legend, ResponsiveContainer } from 'recharts'
 import { toBlob } from 'html-to-image'
 import { Download } from 'lucide-react'
 import dayjs from 'dayjs'
 import isoWeek from 'dayjs/plugin/isoWeek'
 import { uiTheme } from '../theme'
+import { computeDailyOvertime, computeWeeklyOvertime } from '../lib/computeOvertime.js'
+import { DEFAULT_OVERTIME_POLICY, describePolicy } from '../lib/overtimePolicy.js'
 
 // Extend dayjs with ISO week plugin
 dayjs.extend(isoWeek)
 
-/**
- * Normalizes member names to handle variations like "Bolton, Mark" vs "Mark Bolton"
- * @param {string} memberName 
- * @returns {string}
- */
-function normalizeMemberName(memberName) {
-  if (!memberName) return 'Unknown'
-  
-  // Handle "Last, First" format
-  if (memberName.includes(',')) {
-    const parts = memberName.split(',').map(part => part.trim())
-    if (parts.length >= 2) {
-      return `${parts[1]} ${parts[0]}`
-    }
-  }
-  
-  return memberName.trim()
-}
-
-export default function OvertimeIncidence({ filteredRows }) {
+export default function OvertimeIncidence({ filteredRows, workSchedules, overtimePolicies }) {
   const ref = useRef(null)
+  const policies = useMemo(() => (overtimePolicies?.length > 0 ? overtimePolicies : [DEFAULT_OVERTIME_POLICY]), [overtimePolicies])
+  const [chartPolicyId, setChartPolicyId] = useState(null)
+  const chartPolicy = policies.find(policy => policy.id === chartPolicyId) || policies[0]
   
   const data = useMemo(() => {
     try {
@@ -86,105 +72,24 @@ export default function OvertimeIncidence({ filteredRows }) {
         if (allDates.length > 0 && allDates[allDates.length - 1].date.isSame(latestDate, 'day')) break
       }
       
-      // Group entries by member and date to calculate daily overtime
-      const memberDateGroups = {}
-      const allMembers = new Set()
-      
-      for (const entry of filteredRows) {
-        const member = normalizeMemberName(entry.Member)
-        if (!member) continue
-        
-        allMembers.add(member)
-        
-        // Handle both Date field and dateObj field from parsed timesheets
-        let date
-        if (entry.dateObj) {
-          date = dayjs(entry.dateObj)
-        } else if (entry.Date) {
-          date = dayjs(entry.Date, ['DD/MM/YYYY', 'D/M/YYYY', 'DD/MM/YY'])
-        } else {
-          continue
-        }
-        
-        if (!date.isValid()) continue
-        
-        // Only process dates within our calculated 6-week window
-        if (date.isBefore(sixWeeksAgo) || date.isAfter(latestDate)) continue
-        
-        const dateKey = date.format('YYYY-MM-DD')
-        
-        if (!memberDateGroups[member]) {
-          memberDateGroups[member] = {}
-        }
-        
-        if (!memberDateGroups[member][dateKey]) {
-          memberDateGroups[member][dateKey] = {
-            productiveHours: 0,
-            nonWorkingHours: 0,
-            isWeekend: date.isoWeekday() >= 6,
-            isBankHoliday: false,
-            dailyBaseline: 0
-          }
-        }
-        
-        const dayData = memberDateGroups[member][dateKey]
-        const hours = parseFloat(entry.Hours) || 0
-        
-        if (hours <= 0) continue
-        
-        // Set daily baseline based on member and day
-        if (dayData.dailyBaseline === 0) {
-          const dayOfWeek = date.isoWeekday()
-          if (dayOfWeek >= 6) {
-            dayData.dailyBaseline = 0 // Weekends
-          } else if (member === 'Mark Bolton') {
-            dayData.dailyBaseline = dayOfWeek <= 4 ? 8.25 : 4.5 // Compressed schedule
-          } else {
-            dayData.dailyBaseline = 7.5 // Standard
-          }
-        }
-        
-        // Check if this is a bank holiday entry
-        if (entry["Work Type"] === "Bank/Holiday Leave") {
-          dayData.isBankHoliday = true
-          dayData.nonWorkingHours += hours
-        }
-        // Check if this is other non-working time
-        else if (["Sick Leave", "Training"].includes(entry["Work Type"])) {
-          dayData.nonWorkingHours += hours
-        }
-        // Productive work
-        else if (entry.Productivity === "Productive") {
-          dayData.productiveHours += hours
-        }
-      }
-      
-      // Calculate daily overtime for each member and date
-      const dailyOvertimeData = {}
+      // Entries in the 6-week window, split into daily overtime under the charted policy
+      const windowRows = filteredRows.filter(entry => {
+        if (!entry.Member) return false
+        const date = entry.dateObj ? dayjs(entry.dateObj) : dayjs(entry.Date, ['DD/MM/YYYY', 'D/M/YYYY', 'DD/MM/YY'])
+        return date.isValid() && !date.isBefore(sixWeeksAgo) && !date.isAfter(latestDate)
+      })
+      const allMembers = new Set(windowRows.map(entry => entry.Member))
+      const dailyOvertimeData = computeDailyOvertime(windowRows, workSchedules, chartPolicy)
       
-      for (const [member, dateGroups] of Object.entries(memberDateGroups)) {
-        for (const [dateKey, dayData] of Object.entries(dateGroups)) {
-          let dailyOvertime = 0
-          
-          if (dayData.isWeekend) {
-            // All productive hours on weekends are overtime
-            dailyOvertime = dayData.productiveHours
-          } else if (dayData.isBankHoliday) {
-            // Any productive hours on bank holiday dates are overtime
-            dailyOvertime = dayData.productiveHours
-          } else {
-            // Normal weekday - calculate overtime above baseline
-            dailyOvertime = Math.max(0, dayData.productiveHours - dayData.dailyBaseline)
-          }
-          
-          if (dailyOvertime > 0) {
-            if (!dailyOvertimeData[dateKey]) {
-              dailyOvertimeData[dateKey] = {}
-            }
-            dailyOvertimeData[dateKey][member] = dailyOvertime
-          }
+      // Each policy's overtime over the window per member, weekly overflow included
+      const comparison = policies.map(policy => {
+        const byMember = {}
+        for (const week of computeWeeklyOvertime(windowRows, workSchedules, policy)) {
+          if (!byMember[week.member]) byMember[week.member] = { dailyWeekday: 0, weeklyOverflow: 0, weekendHoliday: 0, total: 0 }
+          for (const key of Object.keys(byMember[week.member])) byMember[week.member][key] += week.overtime[key]
         }
-      }
+        return { policy, byMember }
+      })
       
       // Calculate total overtime hours per member to find top contributors
       const memberTotals = {}
@@ -215,13 +120,18 @@ export default function OvertimeIncidence({ filteredRows }) {
         return dayEntry
       })
       
-      return { chartData, topMembers, latestDate: latestDate.format('DD/MM/YYYY') }
+      // Comparison rows: everyone with overtime under any policy, ordered by the first policy
+      const comparisonMembers = [...new Set(comparison.flatMap(entry => Object.keys(entry.byMember)))]
+        .filter(member => comparison.some(entry => entry.byMember[member]?.total > 0))
+        .sort((a, b) => (comparison[0].byMember[b]?.total || 0) - (comparison[0].byMember[a]?.total || 0) || a.localeCompare(b))
+      
+      return { chartData, topMembers, comparison, comparisonMembers, latestDate: latestDate.format('DD/MM/YYYY') }
       
     } catch (error) {
       console.error('OvertimeIncidence - Error:', error)
       return { chartData: [], topMembers: [] }
     }
-  }, [filteredRows])
+  }, [filteredRows, workSchedules, policies, chartPolicy])
   
   // Custom color palette for members - expanded to handle more than 10 people
   const memberColors = [
@@ -373,12 +283,26 @@ export default function OvertimeIncidence({ filteredRows }) {
           </span>
           Overtime Incidence - 6 Week View
         </h3>
-        <button 
-          onClick={exportPng}
+        <div className="flex items-center gap-3">
+          {policies.length > 1 && (
+            <select
+              value={chartPolicy.id}
+              onChange={(e) => setChartPolicyId(e.target.value)}
+              className="oryx-input h-9 rounded-md border px-3 text-sm"
+              title="Overtime policy charted"
+            >
+              {policies.map(policy => (
+                <option key={policy.id} value={policy.id}>{policy.name}</option>
+              ))}
+            </select>
+          )}
+          <button 
+            onClick={exportPng}
           className="oryx-primary inline-flex h-9 items-center gap-2 rounded-lg px-3 text-sm font-medium shadow-lg hover:opacity-90 transition-opacity"
         >
-          <Download size={16} /> Export PNG
-        </button>
+            <Download size={16} /> Export PNG
+          </button>
+        </div>
       </div>
       
       {/* Summary breakdown section */}
@@ -463,9 +387,56 @@ export default function OvertimeIncidence({ filteredRows }) {
       </div>
       
       <div className="mt-4 space-y-1 text-center text-xs text-slate-400">
-        <p>Shows daily overtime hours for up to 6 weeks ending on {data.latestDate || 'the latest available date'}.</p>
+        <p>Shows daily overtime hours for up to 6 weeks ending on {data.latestDate || 'the latest available date'}, under the {chartPolicy.name} policy ({describePolicy(chartPolicy)}).</p>
         <p>Each bar represents one day with overtime hours stacked by person. Days with no overtime show as 0 height.</p>
       </div>
+      
+      {/* Policy comparison over the same window, weekly overflow included */}
+      {data.comparisonMembers.length > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <h4 className="text-sm text-slate-300 font-medium mb-2">Policy Comparison - Total Overtime Hours</h4>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left p-2 text-slate-300 font-medium">Member</th>
+                {data.comparison.map(({ policy }) => (
+                  <th key={policy.id} className="text-right p-2 text-slate-300 font-medium" title={describePolicy(policy)}>{policy.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.comparisonMembers.map(member => (
+                <tr key={member} className="border-b border-slate-700">
+                  <td className="p-2 text-white">{member}</td>
+                  {data.comparison.map(({ policy, byMember }) => {
+                    const overtime = byMember[member] || { dailyWeekday: 0, weeklyOverflow: 0, weekendHoliday: 0, total: 0 }
+                    return (
+                      <td
+                        key={policy.id}
+                        className="p-2 text-right text-slate-300"
+                        title={`Daily ${overtime.dailyWeekday}h, weekly overflow ${overtime.weeklyOverflow}h, weekend/holiday ${overtime.weekendHoliday}h`}
+                      >
+                        {overtime.total.toFixed(2)}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+              <tr>
+                <td className="p-2 text-slate-300 font-medium">Total</td>
+                {data.comparison.map(({ policy, byMember }) => (
+                  <td key={policy.id} className="p-2 text-right text-white font-bold">
+                    {Object.values(byMember).reduce((sum, overtime) => sum + overtime.total, 0).toFixed(2)}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+          {policies.length === 1 && (
+            <p className="mt-2 text-xs text-slate-400">Add overtime policies in Settings to compare them side by side.</p>
+          )}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,204 @@
+import { useState } from 'react'
+import { Copy, Trash2 } from 'lucide-react'
+import ChipList from './ChipList.jsx'
+import { DEFAULT_OVERTIME_POLICY, OVERTIME_ROUNDING_OPTIONS, normalizePolicy } from '../lib/overtimePolicy.js'
+
+function NonWorkingTypes({ policy, workTypeOptions, onChange }) {
+  const [newType, setNewType] = useState('')
+  const value = newType.trim()
+  const canAdd = value.length > 0 && !policy.nonWorkingWorkTypes.some(type => type.toLowerCase() === value.toLowerCase())
+  const listId = `non-working-types-${policy.id}`
+
+  function addType() {
+    if (!canAdd) return
+    onChange([...policy.nonWorkingWorkTypes, value])
+    setNewType('')
+  }
+
+  return (
+    <div>
+      <h4 className="text-xs text-slate-400 mb-2">Non-working Work Types (reduce the weekly threshold)</h4>
+      <ChipList items={policy.nonWorkingWorkTypes} onRemove={(item) => onChange(policy.nonWorkingWorkTypes.filter(type => type !== item))} />
+      <div className="mt-2 flex gap-2">
+        <input
+          type="text"
+          list={listId}
+          value={newType}
+          onChange={(e) => setNewType(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addType() }}
+          placeholder="Work Type"
+          className="oryx-input h-9 flex-1 rounded-md border px-3 text-sm"
+        />
+        <datalist id={listId}>
+          {workTypeOptions.map(option => <option key={option} value={option} />)}
+        </datalist>
+        <button
+          onClick={addType}
+          disabled={!canAdd}
+          className="oryx-primary h-9 px-3 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default function OvertimePoliciesEditor({ policies, workTypeOptions, toilWorkType, onPoliciesChange, onToilWorkTypeChange }) {
+  function addPolicy(template = DEFAULT_OVERTIME_POLICY) {
+    onPoliciesChange([
+      ...policies,
+      { ...normalizePolicy(template), id: `policy-${Date.now()}`, name: `${template.name} copy` }
+    ])
+  }
+
+  function updatePolicy(id, patch) {
+    onPoliciesChange(policies.map(policy => (policy.id === id ? { ...policy, ...patch } : policy)))
+  }
+
+  // The first policy is the default wherever only one applies
+  function makeDefault(id) {
+    onPoliciesChange([...policies.filter(policy => policy.id === id), ...policies.filter(policy => policy.id !== id)])
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="oryx-heading text-lg flex items-center gap-2">
+            <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+              <span className="text-lime-400">⚡</span>
+            </span>
+            Overtime Policies
+          </h2>
+          <p className="text-sm text-slate-400 mt-1">
+            How overtime is counted: hours over each member's daily schedule, weekly overflow above the threshold (less non-working time), and weekend and bank holiday hours at the weekend rate. Overtime Incidence compares every policy side by side; the first is the default.
+          </p>
+        </div>
+        <button
+          onClick={() => addPolicy()}
+          className="oryx-primary px-4 py-2 rounded-lg text-sm font-medium hover:opacity-90 transition-opacity"
+        >
+          Add Policy
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        {policies.map((stored, index) => {
+          const policy = normalizePolicy(stored)
+          return (
+            <div key={policy.id} className="rounded-lg border border-slate-700 p-4">
+              <div className="mb-4 flex flex-wrap items-center gap-3">
+                <input
+                  type="text"
+                  value={policy.name}
+                  onChange={(e) => updatePolicy(policy.id, { name: e.target.value })}
+                  placeholder="Policy name"
+                  className="oryx-input h-9 w-56 rounded-md border px-3 text-sm font-medium"
+                />
+                {index === 0 ? (
+                  <span className="text-xs text-lime-400">Default</span>
+                ) : (
+                  <button
+                    onClick={() => makeDefault(policy.id)}
+                    className="oryx-secondary px-3 py-1 rounded-lg text-xs hover:bg-slate-600 transition-colors"
+                  >
+                    Make default
+                  </button>
+                )}
+                <div className="ml-auto flex gap-1">
+                  <button
+                    onClick={() => addPolicy(policy)}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                    title="Duplicate policy"
+                  >
+                    <Copy size={16} className="text-slate-400" />
+                  </button>
+                  <button
+                    onClick={() => onPoliciesChange(policies.filter(p => p.id !== policy.id))}
+                    disabled={policies.length === 1}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors disabled:opacity-50"
+                    title={policies.length === 1 ? 'At least one policy is needed' : 'Delete policy'}
+                  >
+                    <Trash2 size={16} className="text-slate-400" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="flex flex-wrap gap-4">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs text-slate-400">Weekly threshold (h)</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={policy.weeklyThreshold ?? ''}
+                      onChange={(e) => updatePolicy(policy.id, { weeklyThreshold: e.target.value === '' ? null : Math.max(0, parseFloat(e.target.value) || 0) })}
+                      placeholder="Schedule"
+                      title="Blank = each member's scheduled week"
+                      className="oryx-input h-9 w-28 rounded-md border px-2 text-sm text-right"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs text-slate-400">Weekend multiplier</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.25"
+                      value={policy.weekendMultiplier}
+                      onChange={(e) => updatePolicy(policy.id, { weekendMultiplier: Math.max(0, parseFloat(e.target.value) || 0) })}
+                      className="oryx-input h-9 w-24 rounded-md border px-2 text-sm text-right"
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs text-slate-400">Rounding</span>
+                    <select
+                      value={policy.roundingIncrement}
+                      onChange={(e) => updatePolicy(policy.id, { roundingIncrement: parseFloat(e.target.value) })}
+                      className="oryx-input h-9 rounded-md border px-2 text-sm"
+                    >
+                      {OVERTIME_ROUNDING_OPTIONS.map(increment => (
+                        <option key={increment} value={increment}>{increment > 0 ? `${increment}h` : 'None'}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-slate-300 self-end h-9">
+                    <input
+                      type="checkbox"
+                      checked={policy.countUnproductive}
+                      onChange={(e) => updatePolicy(policy.id, { countUnproductive: e.target.checked })}
+                    />
+                    Count unproductive hours
+                  </label>
+                </div>
+                <NonWorkingTypes
+                  policy={policy}
+                  workTypeOptions={workTypeOptions}
+                  onChange={(nonWorkingWorkTypes) => updatePolicy(policy.id, { nonWorkingWorkTypes })}
+                />
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      {/* TOIL taken is identified by Work Type; the ledger accrues under the default policy */}
+      <div className="mt-6 flex flex-wrap items-center gap-3">
+        <span className="text-sm text-slate-300 font-medium">TOIL taken Work Type</span>
+        <input
+          type="text"
+          list="toil-work-types"
+          value={toilWorkType}
+          onChange={(e) => onToilWorkTypeChange(e.target.value)}
+          placeholder="e.g. TOIL"
+          className="oryx-input h-9 w-56 rounded-md border px-3 text-sm"
+        />
+        <datalist id="toil-work-types">
+          {workTypeOptions.map(option => <option key={option} value={option} />)}
+        </datalist>
+        <span className="text-xs text-slate-400">The TOIL ledger deducts these entries from overtime accrued under the default policy.</span>
+      </div>
+    </div>
+  )
+}
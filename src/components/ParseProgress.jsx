@@ -0,0 +1,38 @@
+export default function ParseProgress({ progress, onCancel }) {
+  if (!progress) return null
+
+  const percent = progress.totalBytes > 0
+    ? Math.min(100, Math.round((progress.processedBytes / progress.totalBytes) * 100))
+    : 0
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm">
+      <div className="oryx-card w-full max-w-md mx-4 p-6">
+        <h2 className="oryx-heading text-lg mb-1">Parsing Timesheet</h2>
+        <p className="text-sm text-slate-400 mb-4 truncate" title={progress.fileName}>{progress.fileName}</p>
+
+        <div className="h-3 w-full rounded-full bg-slate-700/50 overflow-hidden">
+          <div
+            className="h-full rounded-full bg-lime-600 transition-all duration-200"
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+
+        <div className="mt-3 flex items-center justify-between text-xs text-slate-300">
+          <span>{percent}%</span>
+          <span>{progress.processedRows.toLocaleString()} rows</span>
+          <span>{progress.rowsPerSecond.toLocaleString()} rows/sec</span>
+        </div>
+
+        <div className="mt-6 flex justify-end">
+          <button
+            onClick={onCancel}
+            className="oryx-secondary px-4 py-2 rounded-lg text-sm hover:bg-slate-600 transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
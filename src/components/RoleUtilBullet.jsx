@@ -1,7 +1,7 @@
 import { useMemo } from 'react'
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as ReTooltip, ResponsiveContainer, ReferenceLine, Cell } from 'recharts'
-import dayjs from 'dayjs'
-import { ROLE_TARGETS, DAY_HOURS } from '../lib/invariants.js'
+import { scheduledCapacity } from '../lib/workingCalendar.js'
+import { createTargetResolver, rolesWithTargets, weightedTarget } from '../lib/utilisationTargets.js'
 import { uiTheme } from '../theme'
 
 // Custom color palette matching the Project Type Trends & Summary chart
@@ -23,44 +23,25 @@ const CUSTOM_COLORS = [
   '#A58BFF'  // Light Lavender
 ]
 
-/**
- * Calculates working days in a month (excludes weekends)
- * @param {string} calendarMonth - YYYY-MM format
- * @returns {number} - Number of working days
- */
-function getWorkingDaysInMonth(calendarMonth) {
-  const [year, month] = calendarMonth.split('-')
-  const date = dayjs(`${year}-${month}-01`)
-  const daysInMonth = date.daysInMonth()
-  
-  let workingDays = 0
-  for (let day = 1; day <= daysInMonth; day++) {
-    const currentDay = date.date(day)
-    const dayOfWeek = currentDay.day() // 0=Sunday, 6=Saturday
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-      workingDays++
-    }
-  }
-  
-  return workingDays
-}
-
 /**
  * Calculates role utilisation data for bullet chart
  * @param {Array} rows - Filtered timesheet rows
+ * @param {Object} capacityOptions - { workSchedules, calendar, roster } for scheduledCapacity
+ * @param {Array} utilisationTargets - Targets from settings
  * @returns {Array} - Array of role utilisation data
  */
-function calculateRoleUtilisation(rows) {
+function calculateRoleUtilisation(rows, capacityOptions, utilisationTargets) {
   const roleData = {}
+  const targetFor = createTargetResolver(utilisationTargets)
   
-  // Initialize data for target roles
-  const targetRoles = ['Cloud', 'Network', 'PM']
+  // Initialize data for roles that have a target
+  const targetRoles = rolesWithTargets(rows, utilisationTargets)
   for (const role of targetRoles) {
     roleData[role] = {
       role,
       billableHours: 0,
       totalWorkedHours: 0,
-      memberMonths: new Set()
+      rows: []
     }
   }
   
@@ -69,22 +50,19 @@ function calculateRoleUtilisation(rows) {
     const role = row.Role
     if (!targetRoles.includes(role)) continue
     
-    const member = row.Member
-    const month = row.calendarMonth
-    
-    // Add billable hours (productive work) - use Productivity field directly
-    const productivity = (row.Productivity || '').trim()
-    if (productivity === "Productive") {
+    // Add billable hours (productive work) as classified by the billability rules
+    if (row.isBillable) {
       roleData[role].billableHours += row.Hours
     }
     
     // Add ALL worked hours (productive + non-productive)
     roleData[role].totalWorkedHours += row.Hours
-    
-    // Track unique member-month combinations
-    roleData[role].memberMonths.add(`${member}-${month}`)
+    roleData[role].rows.push(row)
   }
   
+  // Scheduled hours per role, less bank holidays and closures, prorated for starters, leavers and FTE
+  const capacityByRole = scheduledCapacity(rows, row => row.Role, capacityOptions)
+  
   // Calculate utilisation based on actual worked hours
   const result = []
   for (const role of targetRoles) {
@@ -92,24 +70,26 @@ function calculateRoleUtilisation(rows) {
     
     // Calculate utilisation: Billable Hours / Total Worked Hours
     const utilisation = data.totalWorkedHours > 0 ? (data.billableHours / data.totalWorkedHours) * 100 : 0
-    const target = (ROLE_TARGETS[role] || 0) * 100
+    // Target that applied to each entry, weighted by hours
+    const target = Math.round((weightedTarget(data.rows, targetFor) || 0) * 100)
     
     result.push({
       role,
       utilisation: Math.round(utilisation),
       target,
       billableHours: Math.round(data.billableHours * 4) / 4, // Round to 0.25
-      totalWorkedHours: Math.round(data.totalWorkedHours * 4) / 4
+      totalWorkedHours: Math.round(data.totalWorkedHours * 4) / 4,
+      capacityHours: Math.round((capacityByRole[role] || 0) * 4) / 4
     })
   }
   
   return result
 }
 
-export default function RoleUtilBullet({ filteredRows }) {
+export default function RoleUtilBullet({ filteredRows, workSchedules, workingCalendar, memberRoster, utilisationTargets }) {
   const data = useMemo(() => {
-    return calculateRoleUtilisation(filteredRows || [])
-  }, [filteredRows])
+    return calculateRoleUtilisation(filteredRows || [], { workSchedules, calendar: workingCalendar, roster: memberRoster }, utilisationTargets)
+  }, [filteredRows, workSchedules, workingCalendar, memberRoster, utilisationTargets])
   
   // Group teams by target values to combine duplicate lines
   const targetGroups = data.reduce((groups, item) => {
@@ -154,6 +134,10 @@ export default function RoleUtilBullet({ filteredRows }) {
               <span style={{ color: '#EFECD2' }}>Worked:</span>
               <span className="font-bold" style={{ color: barColor }}>{barData.totalWorkedHours}h</span>
             </div>
+            <div className="flex justify-between items-center text-xs">
+              <span style={{ color: '#EFECD2' }}>Capacity:</span>
+              <span className="font-bold" style={{ color: barColor }}>{barData.capacityHours}h</span>
+            </div>
             <div className="flex justify-between items-center text-xs">
               <span style={{ color: '#EFECD2' }}>Utilisation:</span>
               <span className="font-bold" style={{ color: barColor }}>{barData.utilisation}%</span>
@@ -1,10 +1,10 @@
 import { useMemo } from 'react'
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as ReTooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as ReTooltip, Legend, ResponsiveContainer } from 'recharts'
 import dayjs from 'dayjs'
-import { DAY_HOURS, ROLE_TARGETS } from '../lib/invariants.js'
+import { createTargetResolver, rolesWithTargets, weightedTarget } from '../lib/utilisationTargets.js'
 import { uiTheme } from '../theme'
 
-export default function RoleUtilTrend({ filteredRows }) {
+export default function RoleUtilTrend({ filteredRows, utilisationTargets }) {
   // Custom color palette for tooltip values - matching Project Type Trends
   const tooltipColors = [
     '#B5C933', // Lime Zest (brand secondary, high contrast yellow-green)
@@ -24,10 +24,12 @@ export default function RoleUtilTrend({ filteredRows }) {
     '#A58BFF'  // Light Lavender (gentle purple highlight)
   ]
 
-  const data = useMemo(() => {
-    if (!filteredRows || filteredRows.length === 0) return []
+  const { data, roles } = useMemo(() => {
+    if (!filteredRows || filteredRows.length === 0) return { data: [], roles: [] }
     
     // Group by week and role - using the same logic as KPI tiles
+    const targetFor = createTargetResolver(utilisationTargets)
+    const targetRoles = rolesWithTargets(filteredRows, utilisationTargets)
     const weeklyRoleData = {}
     
     for (const row of filteredRows) {
@@ -37,7 +39,7 @@ export default function RoleUtilTrend({ filteredRows }) {
       const hours = row.Hours
       
       // Only track roles with targets
-      if (!ROLE_TARGETS[role]) continue
+      if (!targetRoles.includes(role)) continue
       
       // Skip rows without valid week data
       if (!week) continue
@@ -50,20 +52,21 @@ export default function RoleUtilTrend({ filteredRows }) {
         weeklyRoleData[week][role] = {
           productiveHours: 0,
           totalWorkedHours: 0,
-          members: new Set()
+          members: new Set(),
+          rows: []
         }
       }
       
       // Add ALL worked hours (productive + non-productive)
       weeklyRoleData[week][role].totalWorkedHours += hours
       
-      // Add productive hours using Productivity field directly (same as KPI tiles)
-      const productivity = (row.Productivity || '').trim()
-      if (productivity === "Productive") {
+      // Add productive hours as classified by the billability rules (same as KPI tiles)
+      if (row.isBillable) {
         weeklyRoleData[week][role].productiveHours += hours
       }
       
       weeklyRoleData[week][role].members.add(member)
+      weeklyRoleData[week][role].rows.push(row)
     }
     
     // Convert to chart data using actual productivity-based utilisation
@@ -86,18 +89,19 @@ export default function RoleUtilTrend({ filteredRows }) {
           displayWeek
         }
         
-        Object.keys(ROLE_TARGETS).forEach(role => {
-          // Skip Team Lead role
-          if (role === "Team Lead") return
-          
+        targetRoles.forEach(role => {
           const data = roleData[role]
           
           if (data && data.totalWorkedHours > 0) {
             // Utilisation = Productive Hours / Total Worked Hours (same as KPI tiles)
             const utilisation = (data.productiveHours / data.totalWorkedHours) * 100
             weekEntry[role] = Math.round(utilisation * 10) / 10 // Round to 1 decimal
+            // The target in force that week, so a change of target does not re-score earlier weeks
+            const target = weightedTarget(data.rows, targetFor)
+            weekEntry[`${role} Target`] = target === null ? null : Math.round(target * 1000) / 10
           } else {
             weekEntry[role] = 0
+            weekEntry[`${role} Target`] = null
           }
         })
         
@@ -105,8 +109,8 @@ export default function RoleUtilTrend({ filteredRows }) {
       })
       .sort((a, b) => a.week.localeCompare(b.week))
     
-    return chartData
-  }, [filteredRows])
+    return { data: chartData, roles: targetRoles }
+  }, [filteredRows, utilisationTargets])
   
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
@@ -124,14 +128,14 @@ export default function RoleUtilTrend({ filteredRows }) {
           <p className="text-sm font-semibold mb-2" style={{ textShadow, color: '#B5C933' }}>{label}</p>
           <div className="space-y-1">
             {payload
-              .filter(item => item.dataKey !== "Team Lead")
+              .filter(item => roles.includes(item.dataKey))
               .map((item, index) => {
-                const target = ROLE_TARGETS[item.dataKey] * 100
+                const target = item.payload[`${item.dataKey} Target`]
                 return (
                   <div key={index} className="flex justify-between items-center text-xs" style={{ textShadow }}>
                     <span style={{ color: '#EFECD2' }}>{item.dataKey}:</span>
                     <span className="font-bold" style={{ color: item.color }}>
-                      {item.value}% (Target: {target}%)
+                      {item.value}%{target !== null && ` (Target: ${target}%)`}
                     </span>
                   </div>
                 )
@@ -154,11 +158,8 @@ export default function RoleUtilTrend({ filteredRows }) {
     )
   }
   
-  const roleColors = {
-    'Cloud': tooltipColors[0],    // Lime Zest
-    'Network': tooltipColors[1],  // Vibrant Orange
-    'PM': tooltipColors[2]        // Bright Aqua
-  }
+  // Cloud, Network and PM keep Lime Zest, Vibrant Orange and Bright Aqua; other roles take the next colours
+  const roleColors = Object.fromEntries(roles.map((role, index) => [role, tooltipColors[index % tooltipColors.length]]))
   
   return (
     <div className="oryx-card p-6">
@@ -188,37 +189,36 @@ export default function RoleUtilTrend({ filteredRows }) {
             <ReTooltip content={<CustomTooltip />} />
             <Legend />
             
-            {/* Reference lines for targets */}
-            <ReferenceLine 
-              y={75} 
-              stroke={tooltipColors[0]} 
-              strokeDasharray="2 2" 
-              strokeWidth={1}
-              label={{ value: "Cloud/Network 75%", position: "topRight", fill: tooltipColors[0], fontSize: 10 }}
-            />
-            <ReferenceLine 
-              y={70} 
-              stroke={tooltipColors[2]} 
-              strokeDasharray="2 2" 
-              strokeWidth={1}
-              label={{ value: "PM 70%", position: "bottomRight", fill: tooltipColors[2], fontSize: 10 }}
-            />
-            
             {/* Role utilisation lines */}
-            {Object.entries(ROLE_TARGETS)
-              .filter(([role]) => role !== "Team Lead")
-              .map(([role, target]) => (
-                <Line 
-                  key={role}
-                  type="monotone" 
-                  dataKey={role} 
-                  name={`${role} (Target: ${target * 100}%)`}
-                  stroke={roleColors[role]}
-                  strokeWidth={2}
-                  dot={{ r: 3 }}
-                  activeDot={{ r: 5 }}
-                />
-              ))}
+            {roles.map(role => (
+              <Line 
+                key={role}
+                type="monotone" 
+                dataKey={role} 
+                name={role}
+                stroke={roleColors[role]}
+                strokeWidth={2}
+                dot={{ r: 3 }}
+                activeDot={{ r: 5 }}
+              />
+            ))}
+            
+            {/* Target lines: step where a target changes */}
+            {roles.map(role => (
+              <Line 
+                key={`${role} Target`}
+                type="stepAfter" 
+                dataKey={`${role} Target`} 
+                name={`${role} Target`}
+                stroke={roleColors[role]}
+                strokeDasharray="2 2"
+                strokeWidth={1}
+                dot={false}
+                activeDot={false}
+                legendType="none"
+                connectNulls
+              />
+            ))}
           </LineChart>
         </ResponsiveContainer>
       </div>
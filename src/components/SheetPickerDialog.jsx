@@ -0,0 +1,66 @@
+import { useState } from 'react'
+import { X } from 'lucide-react'
+
+export default function SheetPickerDialog({ fileName, sheetNames, onSelect, onCancel }) {
+  const [selected, setSelected] = useState(sheetNames[0] || '')
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 backdrop-blur-sm">
+      <div className="oryx-card w-full max-w-md mx-4 overflow-hidden flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-slate-700">
+          <div>
+            <h2 className="oryx-heading text-xl">Choose Worksheet</h2>
+            <p className="text-sm text-slate-400">
+              {fileName ? `"${fileName}" has` : 'This workbook has'} {sheetNames.length} sheets. Pick the one holding the timesheet entries.
+            </p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+          >
+            <X size={20} className="text-slate-400" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-2">
+          {sheetNames.map(sheetName => (
+            <label
+              key={sheetName}
+              className={`flex items-center gap-3 rounded-lg px-3 py-2 cursor-pointer transition-colors ${
+                selected === sheetName ? 'bg-slate-700/60' : 'hover:bg-slate-700/30'
+              }`}
+            >
+              <input
+                type="radio"
+                name="sheet"
+                value={sheetName}
+                checked={selected === sheetName}
+                onChange={() => setSelected(sheetName)}
+              />
+              <span className="text-sm text-slate-300">{sheetName}</span>
+            </label>
+          ))}
+        </div>
+
+        {/* Footer */}
+        <div className="border-t border-slate-700 p-4 flex justify-end gap-3">
+          <button
+            onClick={onCancel}
+            className="oryx-secondary px-4 py-2 rounded-lg text-sm hover:bg-slate-600 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSelect(selected)}
+            disabled={!selected}
+            className="oryx-primary px-6 py-2 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+          >
+            Import Sheet
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
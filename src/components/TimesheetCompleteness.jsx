@@ -0,0 +1,146 @@
+import { Fragment, useMemo, useState } from 'react'
+import { ChevronDown, ChevronRight } from 'lucide-react'
+import dayjs from 'dayjs'
+import { applyPeopleFilters, getPeriodWindow } from '../lib/applyFilters.js'
+import { computeCompleteness } from '../lib/timesheetCompleteness.js'
+import { DAY_HOURS } from '../lib/invariants.js'
+import { roundToQuarter } from '../lib/utils.jsx'
+
+/**
+ * Colour class for a completeness ratio
+ * @param {number} ratio - 0..1
+ * @returns {string}
+ */
+function completenessColor(ratio) {
+  if (ratio >= 0.98) return 'text-lime-600'
+  if (ratio >= 0.9) return 'text-yellow-400'
+  return 'text-orange-500'
+}
+
+const formatDay = (key) => dayjs(key).format('ddd DD/MM')
+
+export default function TimesheetCompleteness({ rows, filters, dateRange, workingCalendar, memberRoster, fiscalOptions }) {
+  const [expanded, setExpanded] = useState(null)
+
+  const { members, teams, checkWindow } = useMemo(() => {
+    if (!rows || rows.length === 0) return { members: [], teams: [], checkWindow: null }
+
+    // Only the team and member filters narrow who is checked; every entry counts towards their day
+    const memberRows = applyPeopleFilters(rows, filters)
+
+    // Days after the last entry in the dataset have not been exported yet
+    const period = getPeriodWindow(filters, dateRange, fiscalOptions)
+    const datasetEnd = dateRange?.max ? dayjs(dateRange.max).startOf('day') : null
+    const to = period.to && datasetEnd && datasetEnd.isBefore(period.to) ? datasetEnd : period.to
+    const periodDays = { from: period.from, to }
+
+    return { ...computeCompleteness(memberRows, periodDays, { calendar: workingCalendar, roster: memberRoster }), checkWindow: periodDays }
+  }, [rows, filters, dateRange, workingCalendar, memberRoster, fiscalOptions])
+
+  if (members.length === 0) {
+    return (
+      <div className="oryx-card p-8">
+        <h3 className="oryx-heading text-lg mb-4">Timesheet Completeness</h3>
+        <div className="flex h-48 items-center justify-center text-sm text-slate-400">
+          No working days to check for the current filters
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <h3 className="oryx-heading text-lg mb-1">Timesheet Completeness</h3>
+      <p className="text-sm text-slate-400 mb-4">
+        Hours logged each working day (excluding bank holidays and closures) from {checkWindow.from.format('DD/MM/YYYY')} to {checkWindow.to.format('DD/MM/YYYY')} against {DAY_HOURS}h less any leave entered for the day.
+      </p>
+
+      {/* Team completeness */}
+      <div className="mb-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+        {teams.map(team => (
+          <div key={team.team} className="bg-slate-700/50 rounded-lg p-3 text-center">
+            <p className={`text-2xl font-bold ${completenessColor(team.completeness)}`}>{Math.round(team.completeness * 100)}%</p>
+            <p className="text-xs text-slate-300">{team.team} · {team.members} member{team.members === 1 ? '' : 's'}</p>
+            <p className="text-xs text-slate-400">{team.missingDays} missing day{team.missingDays === 1 ? '' : 's'}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Members, least complete first */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="w-8 p-3"></th>
+              <th className="text-left p-3 text-slate-300 font-medium">Member</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Team</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Completeness</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Logged / Expected</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Missing Days</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Short Days</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Short Weeks</th>
+            </tr>
+          </thead>
+          <tbody>
+            {members.map(entry => {
+              const isOpen = expanded === entry.member
+              const hasGaps = entry.missingDays.length + entry.shortDays.length + entry.shortWeeks.length > 0
+              return (
+                <Fragment key={entry.member}>
+                  <tr
+                    className={`border-b border-slate-700 hover:bg-slate-700/30 ${hasGaps ? 'cursor-pointer' : ''}`}
+                    onClick={() => hasGaps && setExpanded(isOpen ? null : entry.member)}
+                  >
+                    <td className="p-3 text-slate-400">
+                      {hasGaps && (isOpen ? <ChevronDown size={16} /> : <ChevronRight size={16} />)}
+                    </td>
+                    <td className="p-3 text-white font-medium">{entry.member}</td>
+                    <td className="p-3 text-slate-300">{entry.team}</td>
+                    <td className={`p-3 text-right font-bold ${completenessColor(entry.completeness)}`}>
+                      {Math.round(entry.completeness * 100)}%
+                    </td>
+                    <td className="p-3 text-right text-slate-300">
+                      {roundToQuarter(entry.creditedHours)}h / {roundToQuarter(entry.expectedHours)}h
+                    </td>
+                    <td className="p-3 text-right text-orange-500">{entry.missingDays.length}</td>
+                    <td className="p-3 text-right text-yellow-400">{entry.shortDays.length}</td>
+                    <td className="p-3 text-right text-slate-300">{entry.shortWeeks.length}</td>
+                  </tr>
+                  {isOpen && (
+                    <tr className="border-b border-slate-700 bg-slate-700/20">
+                      <td></td>
+                      <td colSpan={7} className="p-3 space-y-2 text-xs">
+                        {entry.missingDays.length > 0 && (
+                          <div>
+                            <span className="text-orange-500 font-medium">Missing: </span>
+                            <span className="text-slate-300">{entry.missingDays.map(formatDay).join(', ')}</span>
+                          </div>
+                        )}
+                        {entry.shortDays.length > 0 && (
+                          <div>
+                            <span className="text-yellow-400 font-medium">Short: </span>
+                            <span className="text-slate-300">
+                              {entry.shortDays.map(day => `${formatDay(day.date)} (${roundToQuarter(day.logged)}/${roundToQuarter(day.expected)}h)`).join(', ')}
+                            </span>
+                          </div>
+                        )}
+                        {entry.shortWeeks.length > 0 && (
+                          <div>
+                            <span className="text-slate-300 font-medium">Short weeks: </span>
+                            <span className="text-slate-300">
+                              {entry.shortWeeks.map(week => `w/c ${dayjs(week.week).format('DD/MM')} (${roundToQuarter(week.logged)}/${roundToQuarter(week.expected)}h)`).join(', ')}
+                            </span>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
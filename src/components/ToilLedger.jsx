@@ -0,0 +1,183 @@
+import { useMemo, useState } from 'react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as ReTooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts'
+import { Download } from 'lucide-react'
+import dayjs from 'dayjs'
+import { applyPeopleFilters } from '../lib/applyFilters.js'
+import { computeToilLedger, downloadToilLedger } from '../lib/toilLedger.js'
+import { DEFAULT_OVERTIME_POLICY } from '../lib/overtimePolicy.js'
+import { uiTheme } from '../theme'
+
+const LINE_COLORS = ['#B5C933', '#FF4F00', '#3CC9E3', '#FFD166', '#FF6F61', '#8E44AD', '#FF3462', '#4DD0E1', '#FF9E2C', '#7FE7A1', '#3C4CFF', '#A58BFF']
+
+const formatHours = (hours) => `${hours.toFixed(2)}h`
+
+// File-name friendly member name
+const fileSlug = (member) => member.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+
+export default function ToilLedger({ rows, filters, workSchedules, overtimePolicies, toilWorkType }) {
+  const [selectedMember, setSelectedMember] = useState('ALL')
+  const policy = overtimePolicies?.[0] || DEFAULT_OVERTIME_POLICY
+
+  const ledgers = useMemo(() => {
+    if (!rows || rows.length === 0) return []
+    // Balances carry over between periods, so only the team and member filters narrow the ledger
+    const memberRows = applyPeopleFilters(rows, filters)
+    return computeToilLedger(memberRows, { workSchedules, policy, toilWorkType })
+  }, [rows, filters, workSchedules, policy, toilWorkType])
+
+  const shown = useMemo(() => (
+    selectedMember === 'ALL' ? ledgers : ledgers.filter(ledger => ledger.member === selectedMember)
+  ), [ledgers, selectedMember])
+
+  // One point per ledger date, each member's balance carried forward between their entries
+  const chartData = useMemo(() => {
+    const dates = [...new Set(shown.flatMap(ledger => ledger.entries.map(entry => entry.date)))].sort()
+    const balances = {}
+    const cursor = {}
+    return dates.map(date => {
+      const point = { date: dayjs(date).format('DD/MM/YY') }
+      for (const ledger of shown) {
+        let index = cursor[ledger.member] || 0
+        while (index < ledger.entries.length && ledger.entries[index].date <= date) {
+          balances[ledger.member] = ledger.entries[index].balance
+          index++
+        }
+        cursor[ledger.member] = index
+        if (balances[ledger.member] !== undefined) point[ledger.member] = balances[ledger.member]
+      }
+      return point
+    })
+  }, [shown])
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (active && payload && payload.length) {
+      const textShadow = '0 1px 1px rgba(0,0,0,0.5)'
+      return (
+        <div
+          className="rounded-lg border p-3 shadow-2xl"
+          style={{ backgroundColor: '#586961', borderColor: uiTheme.muted, color: uiTheme.chart.tooltipText }}
+        >
+          <p className="text-sm font-semibold mb-2" style={{ textShadow, color: '#B5C933' }}>{label}</p>
+          <div className="space-y-1">
+            {payload.map(item => (
+              <div key={item.dataKey} className="flex justify-between gap-4 text-xs" style={{ textShadow }}>
+                <span style={{ color: '#EFECD2' }}>{item.dataKey}:</span>
+                <span className="font-bold" style={{ color: item.color }}>{formatHours(item.value)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )
+    }
+    return null
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <h3 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">⏳</span>
+          </span>
+          TOIL Ledger
+        </h3>
+        <div className="flex items-center gap-3">
+          <select
+            value={selectedMember}
+            onChange={(e) => setSelectedMember(e.target.value)}
+            className="oryx-input h-9 rounded-md border px-3 text-sm"
+          >
+            <option value="ALL">All members</option>
+            {ledgers.map(ledger => (
+              <option key={ledger.member} value={ledger.member}>{ledger.member}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => downloadToilLedger(
+              shown.flatMap(ledger => ledger.entries),
+              selectedMember === 'ALL' ? 'toil-ledger.csv' : `toil-ledger-${fileSlug(selectedMember)}.csv`
+            )}
+            disabled={shown.length === 0}
+            className="oryx-primary inline-flex h-9 items-center gap-2 rounded-lg px-3 text-sm font-medium shadow-lg hover:opacity-90 disabled:opacity-50 transition-opacity"
+          >
+            <Download size={16} /> Export CSV
+          </button>
+        </div>
+      </div>
+
+      {ledgers.length === 0 ? (
+        <div className="flex h-48 items-center justify-center text-sm text-slate-400">
+          No overtime or TOIL taken in the loaded data
+        </div>
+      ) : (
+        <>
+          <div className="h-80 rounded-lg p-3">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ left: 8, right: 16, top: 16, bottom: 8 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#475569" />
+                <XAxis dataKey="date" tick={{ fill: '#cbd5e1', fontSize: 10 }} tickLine={{ stroke: '#475569' }} axisLine={{ stroke: '#475569' }} />
+                <YAxis
+                  tick={{ fill: '#cbd5e1', fontSize: 12 }}
+                  tickLine={{ stroke: '#475569' }}
+                  axisLine={{ stroke: '#475569' }}
+                  label={{ value: 'Balance (h)', angle: -90, position: 'insideLeft', style: { fill: '#cbd5e1' } }}
+                />
+                <ReferenceLine y={0} stroke="#94a3b8" />
+                <ReTooltip content={<CustomTooltip />} />
+                <Legend />
+                {shown.map((ledger, index) => (
+                  <Line
+                    key={ledger.member}
+                    type="stepAfter"
+                    dataKey={ledger.member}
+                    stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                    strokeWidth={2}
+                    dot={false}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="mt-4 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-600">
+                  <th className="text-left p-2 text-slate-300 font-medium">Member</th>
+                  <th className="text-right p-2 text-slate-300 font-medium">Accrued</th>
+                  <th className="text-right p-2 text-slate-300 font-medium">Taken</th>
+                  <th className="text-right p-2 text-slate-300 font-medium">Balance</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map(ledger => (
+                  <tr key={ledger.member} className="border-b border-slate-700">
+                    <td className="p-2 text-white">{ledger.member}</td>
+                    <td className="p-2 text-right text-slate-300">{formatHours(ledger.accrued)}</td>
+                    <td className="p-2 text-right text-slate-300">{formatHours(ledger.taken)}</td>
+                    <td className={`p-2 text-right font-bold ${ledger.balance < 0 ? 'text-orange-500' : 'text-lime-400'}`}>{formatHours(ledger.balance)}</td>
+                    <td className="p-2 text-right">
+                      <button
+                        onClick={() => downloadToilLedger(ledger.entries, `toil-ledger-${fileSlug(ledger.member)}.csv`)}
+                        className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                        title={`Export ${ledger.member}'s ledger`}
+                      >
+                        <Download size={16} className="text-slate-400" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <div className="mt-4 text-center text-xs text-slate-400">
+        Accrues each week's overtime under the {policy.name} policy (on the week's Sunday) and deducts entries with Work Type "{toilWorkType}". Covers all loaded dates for the members in the current filters.
+      </div>
+    </div>
+  )
+}
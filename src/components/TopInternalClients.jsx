@@ -2,8 +2,6 @@ import { useMemo } from 'react'
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as ReTooltip, ResponsiveContainer, LabelList } from 'recharts'
 import { uiTheme } from '../theme'
 
-const INTERNAL_COMPANIES = new Set(['OryxAlign', 'OryxAlign-Internal c/code'])
-
 export default function TopInternalClients({ filteredRows, onCompanyFilter }) {
   // Custom color palette for tooltip values - matching Project Type Trends
   const tooltipColors = [
@@ -31,8 +29,8 @@ export default function TopInternalClients({ filteredRows, onCompanyFilter }) {
     const internalHours = {}
     
     for (const row of filteredRows) {
-      // Only include rows that are flagged as internal OR from internal companies
-      if (!row.isInternal && !INTERNAL_COMPANIES.has(row.Company)) continue
+      // Only include internal work (internal companies and Project Types from Settings)
+      if (!row.isInternal) continue
       
       const company = row.Company || 'Unknown'
       internalHours[company] = (internalHours[company] || 0) + row.Hours
@@ -0,0 +1,63 @@
+import { roundToQuarter } from '../lib/utils.jsx'
+
+export default function UploadChangelog({ changelog }) {
+  if (!changelog || !changelog.from) return null
+
+  const changedMembers = changelog.members.filter(entry => roundToQuarter(entry.netHours) !== 0)
+
+  return (
+    <div className="oryx-card p-6 mb-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🔁</span>
+          </span>
+          Append Changelog
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Replaced {changelog.from} – {changelog.to}: {changelog.removedRows} stored rows removed, {changelog.addedRows} rows added.
+        </p>
+      </div>
+
+      {changelog.members.length === 0 ? (
+        <div className="text-center text-sm text-slate-400 py-4">
+          No entries in the replaced range
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left p-3 text-slate-300 font-medium">Member</th>
+                <th className="text-right p-3 text-slate-300 font-medium">Hours Before</th>
+                <th className="text-right p-3 text-slate-300 font-medium">Hours After</th>
+                <th className="text-right p-3 text-slate-300 font-medium">Net Change</th>
+                <th className="text-right p-3 text-slate-300 font-medium">Rows Removed / Added</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changelog.members.map(entry => {
+                const net = roundToQuarter(entry.netHours)
+                return (
+                  <tr key={entry.member} className="border-b border-slate-700 hover:bg-slate-700/30">
+                    <td className="p-3 text-white font-medium">{entry.member}</td>
+                    <td className="p-3 text-right text-slate-300">{roundToQuarter(entry.hoursRemoved)}h</td>
+                    <td className="p-3 text-right text-slate-300">{roundToQuarter(entry.hoursAdded)}h</td>
+                    <td className={`p-3 text-right font-bold ${net > 0 ? 'text-lime-600' : net < 0 ? 'text-orange-500' : 'text-slate-400'}`}>
+                      {net > 0 ? '+' : ''}{net}h
+                    </td>
+                    <td className="p-3 text-right text-slate-300">{entry.rowsRemoved} / {entry.rowsAdded}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="mt-4 text-center text-xs text-slate-400">
+        {changedMembers.length} of {changelog.members.length} members changed hours in the replaced range.
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,273 @@
+import { Fragment, useState } from 'react'
+import { ChevronDown, ChevronRight } from 'lucide-react'
+import dayjs from 'dayjs'
+import { SUPPORTED_EXTENSIONS } from '../lib/importFile.js'
+import { diffDatasets, rowsInDateWindowOf } from '../lib/datasetDiff.js'
+import { roundToQuarter } from '../lib/utils.jsx'
+
+const MAX_NET_ROWS = 15
+
+function SignedHours({ value, className = '' }) {
+  const net = roundToQuarter(value)
+  return (
+    <span className={`${className} ${net > 0 ? 'text-lime-600' : net < 0 ? 'text-orange-500' : 'text-slate-400'}`}>
+      {net > 0 ? '+' : ''}{net}h
+    </span>
+  )
+}
+
+function NetHoursTable({ title, items }) {
+  return (
+    <div className="bg-slate-700/20 rounded-lg p-4">
+      <h3 className="text-sm text-slate-300 font-medium mb-3">{title}</h3>
+      {items.length === 0 ? (
+        <div className="text-xs text-slate-400">No net change</div>
+      ) : (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-2 text-slate-300 font-medium">Name</th>
+              <th className="text-right p-2 text-slate-300 font-medium">Before</th>
+              <th className="text-right p-2 text-slate-300 font-medium">After</th>
+              <th className="text-right p-2 text-slate-300 font-medium">Net</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.slice(0, MAX_NET_ROWS).map(item => (
+              <tr key={item.name} className="border-b border-slate-700">
+                <td className="p-2 text-slate-300 max-w-48">
+                  <div className="truncate" title={item.name}>{item.name}</div>
+                </td>
+                <td className="p-2 text-right text-slate-400">{roundToQuarter(item.before)}h</td>
+                <td className="p-2 text-right text-slate-400">{roundToQuarter(item.after)}h</td>
+                <td className="p-2 text-right font-bold"><SignedHours value={item.delta} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {items.length > MAX_NET_ROWS && (
+        <div className="mt-2 text-xs text-slate-400">{items.length - MAX_NET_ROWS} more with smaller changes</div>
+      )}
+    </div>
+  )
+}
+
+function EntryLine({ kind, row, change }) {
+  const styles = { added: 'text-lime-600', removed: 'text-orange-500', changed: 'text-blue-400' }
+  const detail = change
+    ? change.changes.map(c => `${c.field}: ${c.before} → ${c.after}`).join(' · ')
+    : `${row.Hours}h · ${row.Company} · ${row['Project/Ticket']}`
+  return (
+    <div className="flex gap-3 text-xs py-1">
+      <span className={`w-16 font-mono ${styles[kind]}`}>{kind}</span>
+      <span className="w-20 text-slate-300">{row.Date}</span>
+      <span className="w-24 text-slate-300 truncate" title={row.Ticket}>{row.Ticket}</span>
+      <span className="w-48 text-slate-300 truncate" title={row['Work Type']}>{row['Work Type']}</span>
+      <span className="flex-1 text-slate-400 truncate" title={detail}>{detail}</span>
+    </div>
+  )
+}
+
+export default function UploadDiff({ storedRows, parseFiles }) {
+  const [mode, setMode] = useState(storedRows.length > 0 ? 'stored' : 'files')
+  const [beforeFiles, setBeforeFiles] = useState([])
+  const [afterFiles, setAfterFiles] = useState([])
+  const [limitToWindow, setLimitToWindow] = useState(true)
+  const [diff, setDiff] = useState(null)
+  const [error, setError] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [expanded, setExpanded] = useState(null)
+
+  const canCompare = afterFiles.length > 0 && (mode === 'stored' ? storedRows.length > 0 : beforeFiles.length > 0) && !busy
+
+  async function handleCompare() {
+    setBusy(true)
+    setError(null)
+    setDiff(null)
+    setExpanded(null)
+    try {
+      const { rows: afterRows } = await parseFiles(afterFiles)
+      let beforeRows
+      if (mode === 'stored') {
+        // A corrected export usually covers part of the stored range; outside it nothing was re-sent
+        beforeRows = limitToWindow ? rowsInDateWindowOf(storedRows, afterRows) : storedRows
+      } else {
+        beforeRows = (await parseFiles(beforeFiles)).rows
+      }
+      setDiff({ ...diffDatasets(beforeRows, afterRows), beforeCount: beforeRows.length, afterCount: afterRows.length })
+    } catch (compareError) {
+      console.error('UploadDiff - Compare failed:', compareError)
+      setError(compareError.sheetNames
+        ? `${compareError.fileName || 'A workbook'} has several sheets; save the sheet to compare as its own file.`
+        : `${compareError.fileName ? `${compareError.fileName}: ` : ''}${compareError.message}`)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const netHours = diff ? diff.groups.reduce((sum, group) => sum + group.hoursDelta, 0) : 0
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🔀</span>
+          </span>
+          Upload Diff
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          See what a corrected export changes before loading it. Entries are matched on Member, Date, Ticket and Work Type; files are read with the current Settings. Nothing is loaded or saved.
+        </p>
+      </div>
+
+      {/* Inputs */}
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="flex flex-col gap-2">
+          <span className="text-sm text-slate-300 font-medium">Compare</span>
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="oryx-input h-10 rounded-md border px-3 text-sm"
+          >
+            <option value="stored" disabled={storedRows.length === 0}>Stored dataset → new upload</option>
+            <option value="files">Before file → after file</option>
+          </select>
+        </label>
+
+        {mode === 'files' && (
+          <label className="flex flex-col gap-2">
+            <span className="text-sm text-slate-300 font-medium">Before</span>
+            <input
+              type="file"
+              multiple
+              accept={SUPPORTED_EXTENSIONS.join(',')}
+              onChange={(e) => setBeforeFiles(Array.from(e.target.files || []))}
+              className="text-sm text-slate-300"
+            />
+          </label>
+        )}
+
+        <label className="flex flex-col gap-2">
+          <span className="text-sm text-slate-300 font-medium">{mode === 'files' ? 'After' : 'New upload'}</span>
+          <input
+            type="file"
+            multiple
+            accept={SUPPORTED_EXTENSIONS.join(',')}
+            onChange={(e) => setAfterFiles(Array.from(e.target.files || []))}
+            className="text-sm text-slate-300"
+          />
+        </label>
+
+        <button
+          onClick={handleCompare}
+          disabled={!canCompare}
+          className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+        >
+          {busy ? 'Comparing…' : 'Compare'}
+        </button>
+      </div>
+
+      {mode === 'stored' && (
+        <label className="mt-3 flex items-center gap-3 text-sm text-slate-300">
+          <input
+            type="checkbox"
+            checked={limitToWindow}
+            onChange={(e) => setLimitToWindow(e.target.checked)}
+          />
+          Only compare stored entries inside the upload's date range
+        </label>
+      )}
+
+      {error && <div className="mt-4 text-sm text-orange-600">{error}</div>}
+
+      {diff && (
+        <div className="mt-6 space-y-6">
+          {/* Summary stats */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            <div className="bg-slate-700/50 rounded-lg p-3 text-center">
+              <p className="text-2xl font-bold text-lime-600">{diff.added.length}</p>
+              <p className="text-xs text-slate-300">Added</p>
+            </div>
+            <div className="bg-slate-700/50 rounded-lg p-3 text-center">
+              <p className="text-2xl font-bold text-orange-500">{diff.removed.length}</p>
+              <p className="text-xs text-slate-300">Removed</p>
+            </div>
+            <div className="bg-slate-700/50 rounded-lg p-3 text-center">
+              <p className="text-2xl font-bold text-blue-400">{diff.changed.length}</p>
+              <p className="text-xs text-slate-300">Changed</p>
+            </div>
+            <div className="bg-slate-700/50 rounded-lg p-3 text-center">
+              <p className="text-2xl font-bold text-slate-300">{diff.unchangedCount}</p>
+              <p className="text-xs text-slate-300">Unchanged</p>
+            </div>
+            <div className="bg-slate-700/50 rounded-lg p-3 text-center">
+              <p className="text-2xl font-bold"><SignedHours value={netHours} /></p>
+              <p className="text-xs text-slate-300">Net Hours ({diff.beforeCount} → {diff.afterCount} rows)</p>
+            </div>
+          </div>
+
+          {/* By member and week */}
+          {diff.groups.length === 0 ? (
+            <div className="text-center text-sm text-slate-400 py-4">The two snapshots hold the same entries</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-slate-600">
+                    <th className="w-8 p-3"></th>
+                    <th className="text-left p-3 text-slate-300 font-medium">Member</th>
+                    <th className="text-left p-3 text-slate-300 font-medium">Week Commencing</th>
+                    <th className="text-right p-3 text-slate-300 font-medium">Added</th>
+                    <th className="text-right p-3 text-slate-300 font-medium">Removed</th>
+                    <th className="text-right p-3 text-slate-300 font-medium">Changed</th>
+                    <th className="text-right p-3 text-slate-300 font-medium">Net Hours</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.groups.map(group => {
+                    const key = `${group.member}|${group.week}`
+                    const isOpen = expanded === key
+                    return (
+                      <Fragment key={key}>
+                        <tr
+                          className="border-b border-slate-700 hover:bg-slate-700/30 cursor-pointer"
+                          onClick={() => setExpanded(isOpen ? null : key)}
+                        >
+                          <td className="p-3 text-slate-400">{isOpen ? <ChevronDown size={16} /> : <ChevronRight size={16} />}</td>
+                          <td className="p-3 text-white font-medium">{group.member}</td>
+                          <td className="p-3 text-slate-300">{group.week === 'Unknown' ? group.week : dayjs(group.week).format('DD/MM/YYYY')}</td>
+                          <td className="p-3 text-right text-lime-600">{group.added.length}</td>
+                          <td className="p-3 text-right text-orange-500">{group.removed.length}</td>
+                          <td className="p-3 text-right text-blue-400">{group.changed.length}</td>
+                          <td className="p-3 text-right font-bold"><SignedHours value={group.hoursDelta} /></td>
+                        </tr>
+                        {isOpen && (
+                          <tr className="border-b border-slate-700 bg-slate-700/20">
+                            <td></td>
+                            <td colSpan={6} className="p-3">
+                              {group.added.map((row, index) => <EntryLine key={`a${index}`} kind="added" row={row} />)}
+                              {group.removed.map((row, index) => <EntryLine key={`r${index}`} kind="removed" row={row} />)}
+                              {group.changed.map((change, index) => <EntryLine key={`c${index}`} kind="changed" row={change.after} change={change} />)}
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Net deltas */}
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <NetHoursTable title="Net Hours by Company" items={diff.byCompany} />
+            <NetHoursTable title="Net Hours by Work Type" items={diff.byWorkType} />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
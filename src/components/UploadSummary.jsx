@@ -0,0 +1,83 @@
+import { X } from 'lucide-react'
+
+export default function UploadSummary({ summary, onDismiss }) {
+  if (!summary || summary.length === 0) return null
+
+  const totals = summary.reduce((acc, file) => ({
+    added: acc.added + file.added,
+    skipped: acc.skipped + file.skipped,
+    duplicates: acc.duplicates + file.duplicates
+  }), { added: 0, skipped: 0, duplicates: 0 })
+
+  return (
+    <div className="oryx-card p-6 mb-6">
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">📥</span>
+          </span>
+          Upload Summary
+        </h2>
+        <button
+          onClick={onDismiss}
+          className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+        >
+          <span className="sr-only">Dismiss</span>
+          <X size={16} className="text-slate-400" />
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-3 text-slate-300 font-medium">File</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Format</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Rows Read</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Added</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Skipped</th>
+              <th className="text-right p-3 text-slate-300 font-medium">Duplicates</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.map((file, index) => (
+              <tr key={index} className="border-b border-slate-700">
+                <td className="p-3 text-white font-medium max-w-64">
+                  <div className="truncate" title={file.fileName}>{file.fileName}</div>
+                </td>
+                <td className="p-3 text-slate-300" title={file.format === 'PSA' ? 'Native PSA export layout' : `Read with the ${file.format} adapter`}>
+                  {file.format || 'PSA'}
+                  {file.defaultRoleRows > 0 && (
+                    <div className="text-xs text-slate-400" title="The export names none of the dashboard roles; change the role in Settings → Other Time-Tracking Exports">
+                      {file.defaultRoleRows} rows given the {file.defaultRole} role
+                    </div>
+                  )}
+                </td>
+                <td className="p-3 text-right text-slate-300">{file.rawRows}</td>
+                <td className="p-3 text-right font-bold text-lime-600">{file.added}</td>
+                <td className="p-3 text-right text-slate-300">{file.skipped}</td>
+                <td className="p-3 text-right text-orange-500">{file.duplicates}</td>
+              </tr>
+            ))}
+          </tbody>
+          {summary.length > 1 && (
+            <tfoot>
+              <tr>
+                <td className="p-3 text-slate-300 font-medium">Total</td>
+                <td className="p-3"></td>
+                <td className="p-3 text-right text-slate-300">{summary.reduce((sum, file) => sum + file.rawRows, 0)}</td>
+                <td className="p-3 text-right font-bold text-lime-600">{totals.added}</td>
+                <td className="p-3 text-right text-slate-300">{totals.skipped}</td>
+                <td className="p-3 text-right text-orange-500">{totals.duplicates}</td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+
+      <div className="mt-4 text-center text-xs text-slate-400">
+        Skipped rows failed validation (zero or negative hours, an exclusion rule or an invalid date). Duplicates were already supplied by an earlier file.
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import { Trash2 } from 'lucide-react'
+import dayjs from 'dayjs'
+import { sortRoles } from '../lib/utilisationTargets.js'
+
+const EMPTY_DRAFT = { role: '', member: '', percent: '', effectiveFrom: '' }
+
+/**
+ * Orders targets by role, then role-wide before members, then by start date
+ * @param {Array} targets
+ * @returns {Array}
+ */
+function sortTargets(targets) {
+  const roleOrder = sortRoles([...new Set(targets.map(target => target.role))])
+  return [...targets].sort((a, b) =>
+    roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role) ||
+    (a.member || '').localeCompare(b.member || '') ||
+    (a.effectiveFrom || '').localeCompare(b.effectiveFrom || '')
+  )
+}
+
+export default function UtilisationTargetsEditor({ targets, roleOptions, memberOptions, onTargetsChange }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const role = draft.role.trim()
+  const member = draft.member.trim()
+  const percent = parseFloat(draft.percent)
+  const isDuplicate = targets.some(target =>
+    target.role.toLowerCase() === role.toLowerCase() &&
+    (target.member || '').toLowerCase() === member.toLowerCase() &&
+    (target.effectiveFrom || '') === draft.effectiveFrom
+  )
+  const canAdd = role.length > 0 && percent >= 0 && percent <= 100 && !isDuplicate
+
+  function addTarget() {
+    if (!canAdd) return
+    onTargetsChange(sortTargets([
+      ...targets,
+      { id: `target-${Date.now()}`, role, member, target: percent / 100, effectiveFrom: draft.effectiveFrom }
+    ]))
+    setDraft(EMPTY_DRAFT)
+  }
+
+  function updateTarget(id, patch) {
+    onTargetsChange(targets.map(target => (target.id === id ? { ...target, ...patch } : target)))
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🎯</span>
+          </span>
+          Utilisation Targets
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Each entry applies from its Effective From date until a later entry for the same role (or member) takes over, so past periods keep the target they were set. A member's own target beats their role's. Any role with a target gets a KPI tile and appears in the role utilisation charts.
+        </p>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-3 text-slate-300 font-medium">Role</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Member</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Target %</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Effective From</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {targets.length === 0 && (
+              <tr>
+                <td colSpan={5} className="p-4 text-center text-slate-400">No targets</td>
+              </tr>
+            )}
+            {targets.map(target => (
+              <tr key={target.id} className="border-b border-slate-700">
+                <td className="p-3 text-white font-medium">{target.role}</td>
+                <td className="p-3 text-slate-300">{target.member || <span className="text-slate-400">Whole role</span>}</td>
+                <td className="p-3">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="1"
+                    value={Math.round(target.target * 1000) / 10}
+                    onChange={(e) => updateTarget(target.id, { target: Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100 })}
+                    className="oryx-input h-9 w-20 rounded-md border px-2 text-sm text-right"
+                  />
+                </td>
+                <td className="p-3 text-slate-300">
+                  {target.effectiveFrom ? dayjs(target.effectiveFrom).format('DD/MM/YYYY') : <span className="text-slate-400">Always</span>}
+                </td>
+                <td className="p-3 text-right">
+                  <button
+                    onClick={() => onTargetsChange(targets.filter(t => t.id !== target.id))}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                    title="Delete target"
+                  >
+                    <Trash2 size={16} className="text-slate-400" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* New target */}
+      <div className="mt-4 flex flex-wrap items-center gap-3">
+        <input
+          type="text"
+          list="utilisation-target-roles"
+          value={draft.role}
+          onChange={(e) => setDraft(prev => ({ ...prev, role: e.target.value }))}
+          placeholder="Role"
+          className="oryx-input h-10 w-40 rounded-md border px-3 text-sm"
+        />
+        <datalist id="utilisation-target-roles">
+          {roleOptions.map(option => <option key={option} value={option} />)}
+        </datalist>
+        <input
+          type="text"
+          list="utilisation-target-members"
+          value={draft.member}
+          onChange={(e) => setDraft(prev => ({ ...prev, member: e.target.value }))}
+          placeholder="Member (optional)"
+          className="oryx-input h-10 w-48 rounded-md border px-3 text-sm"
+        />
+        <datalist id="utilisation-target-members">
+          {memberOptions.map(option => <option key={option} value={option} />)}
+        </datalist>
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={draft.percent}
+          onChange={(e) => setDraft(prev => ({ ...prev, percent: e.target.value }))}
+          placeholder="Target %"
+          className="oryx-input h-10 w-28 rounded-md border px-3 text-sm"
+        />
+        <input
+          type="date"
+          value={draft.effectiveFrom}
+          onChange={(e) => setDraft(prev => ({ ...prev, effectiveFrom: e.target.value }))}
+          title="Effective From (blank = from the start)"
+          className="oryx-input h-10 rounded-md border px-3 text-sm"
+        />
+        <button
+          onClick={addTarget}
+          disabled={!canAdd}
+          className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+        >
+          Add Target
+        </button>
+        {isDuplicate && <span className="text-xs text-orange-600">A target for this role, member and date already exists</span>}
+      </div>
+    </div>
+  )
+}
@@ -31,37 +31,23 @@ const WORK_TYPE_COLORS = {
   'Other': tooltipColors[6]               // Plum
 }
 
-// Map raw work types coming from data to standardized labels used in the chart
-const WORK_TYPE_MAP = {
-  'Admin': 'Internal Admin',
-  'Bank/Holiday Leave': 'Leave/Bank Holiday',
-  'Internal Support': 'Internal Admin',
-  'Internal Support, Projects & Documentation': 'Internal Admin',
-  'Project Installation & Engineering': 'Tech Delivery',
-  'Project Management': 'PM Delivery',
-  'Sick Leave': 'Sick Leave',
-  'Training': 'Training'
-}
-
-function normalizeWorkType(rawWorkType) {
-  const original = (rawWorkType || '').trim()
-  const mapped = WORK_TYPE_MAP[original] || original
-  // Prefer the mapped label if it exists in colors, else fallback to original if known, else Other
-  if (WORK_TYPE_COLORS[mapped]) return mapped
-  if (WORK_TYPE_COLORS[original]) return original
-  return 'Other'
+// Colour for a board category; categories added in Settings take the remaining palette colours
+function workTypeColor(workType, index) {
+  return WORK_TYPE_COLORS[workType] || tooltipColors[(index + 9) % tooltipColors.length]
 }
 
 export default function WorkMixPerPerson({ filteredRows }) {
-  const data = useMemo(() => {
-    if (!filteredRows || filteredRows.length === 0) return []
+  const { data, workTypes } = useMemo(() => {
+    if (!filteredRows || filteredRows.length === 0) return { data: [], workTypes: [] }
     
-    // Group by member and work type
+    // Group by member and board category (mapped at parse time from the saved Work Type mapping)
     const memberWorkTypeData = {}
+    const categories = new Set()
     
     for (const row of filteredRows) {
       const member = row.Member || 'Unknown'
-      const workType = normalizeWorkType(row.boardWorkType || 'Other')
+      const workType = row.boardWorkType || 'Other'
+      categories.add(workType)
       const hours = row.Hours
       
       if (!memberWorkTypeData[member]) {
@@ -71,6 +57,12 @@ export default function WorkMixPerPerson({ filteredRows }) {
       memberWorkTypeData[member][workType] = (memberWorkTypeData[member][workType] || 0) + hours
     }
     
+    // Known categories first in their usual order, then any added in Settings
+    const orderedWorkTypes = [
+      ...Object.keys(WORK_TYPE_COLORS).filter(workType => categories.has(workType)),
+      ...[...categories].filter(workType => !WORK_TYPE_COLORS[workType]).sort()
+    ]
+    
     // Convert to chart data format
     const result = Object.entries(memberWorkTypeData).map(([member, workTypes]) => {
       const totalHours = Object.values(workTypes).reduce((sum, hours) => sum + hours, 0)
@@ -81,7 +73,7 @@ export default function WorkMixPerPerson({ filteredRows }) {
       }
       
       // Add each work type as a property
-      Object.keys(WORK_TYPE_COLORS).forEach(workType => {
+      orderedWorkTypes.forEach(workType => {
         const hours = workTypes[workType] || 0
         memberData[workType] = Math.round(hours * 4) / 4
       })
@@ -91,7 +83,7 @@ export default function WorkMixPerPerson({ filteredRows }) {
     
     // Sort by total hours descending and take top 15 for readability
     result.sort((a, b) => b.totalHours - a.totalHours)
-    return result.slice(0, 15)
+    return { data: result.slice(0, 15), workTypes: orderedWorkTypes }
   }, [filteredRows])
   
   const CustomTooltip = ({ active, payload, label }) => {
@@ -170,13 +162,13 @@ export default function WorkMixPerPerson({ filteredRows }) {
               iconType="rect"
             />
             
-            {Object.entries(WORK_TYPE_COLORS).map(([workType, color]) => (
+            {workTypes.map((workType, index) => (
               <Bar 
                 key={workType}
                 dataKey={workType}
                 stackId="workType"
                 name={workType}
-                fill={color}
+                fill={workTypeColor(workType, index)}
               />
             ))}
           </BarChart>
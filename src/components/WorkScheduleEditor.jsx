@@ -0,0 +1,177 @@
+import { useRef, useState } from 'react'
+import { Trash2, Upload } from 'lucide-react'
+import { WEEKDAYS, STANDARD_WEEK, weeklyScheduleHours, parseScheduleCsv } from '../lib/workSchedules.js'
+
+export default function WorkScheduleEditor({ schedules, memberOptions, onSchedulesChange }) {
+  const fileInputRef = useRef(null)
+  const [importMessage, setImportMessage] = useState(null)
+
+  function addSchedule() {
+    onSchedulesChange([
+      ...schedules,
+      { id: `schedule-${Date.now()}`, member: '', hours: { ...STANDARD_WEEK }, effectiveFrom: '', effectiveTo: '' }
+    ])
+  }
+
+  function updateSchedule(id, patch) {
+    onSchedulesChange(schedules.map(schedule => (schedule.id === id ? { ...schedule, ...patch } : schedule)))
+  }
+
+  function updateHours(schedule, day, value) {
+    const hours = Math.min(24, Math.max(0, parseFloat(value) || 0))
+    updateSchedule(schedule.id, { hours: { ...schedule.hours, [day]: hours } })
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { schedules: imported, errors } = parseScheduleCsv(await file.text())
+      // An imported row replaces the schedule for the same member and start date
+      const importedKeys = new Set(imported.map(s => `${s.member.toLowerCase()}|${s.effectiveFrom}`))
+      const kept = schedules.filter(s => !importedKeys.has(`${s.member.trim().toLowerCase()}|${s.effectiveFrom}`))
+      if (imported.length > 0) onSchedulesChange([...kept, ...imported])
+      setImportMessage({
+        text: `Imported ${imported.length} schedule${imported.length === 1 ? '' : 's'} from ${file.name}`,
+        errors
+      })
+    } catch (error) {
+      console.error('WorkScheduleEditor - Import failed:', error)
+      setImportMessage({ text: `${file.name}: ${error.message}`, errors: [] })
+    }
+  }
+
+  const invalidDates = (schedule) => schedule.effectiveFrom && schedule.effectiveTo && schedule.effectiveTo < schedule.effectiveFrom
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4 flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h2 className="oryx-heading text-lg flex items-center gap-2">
+            <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+              <span className="text-lime-400">🗓️</span>
+            </span>
+            Working Schedules
+          </h2>
+          <p className="text-sm text-slate-400 mt-1">
+            Baseline hours per weekday for members who do not work {STANDARD_WEEK.Mon}h Monday to Friday. Overtime, the calendar heatmap and scheduled capacity use the schedule in effect on each date; leave a date blank for open-ended.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv"
+            onChange={handleImport}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="oryx-secondary flex items-center gap-2 px-4 py-2 rounded-lg text-sm hover:bg-slate-600 transition-colors"
+            title="Columns: Member, Mon, Tue, Wed, Thu, Fri, Sat, Sun, Effective From, Effective To"
+          >
+            <Upload size={16} />
+            Import CSV
+          </button>
+          <button
+            onClick={addSchedule}
+            className="oryx-primary px-4 py-2 rounded-lg text-sm font-medium hover:opacity-90 transition-opacity"
+          >
+            Add Schedule
+          </button>
+        </div>
+      </div>
+
+      {importMessage && (
+        <div className="mb-4 text-sm">
+          <div className="text-slate-300">{importMessage.text}</div>
+          {importMessage.errors.map(error => (
+            <div key={error} className="text-orange-600">{error}</div>
+          ))}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-slate-600">
+              <th className="text-left p-3 text-slate-300 font-medium">Member</th>
+              {WEEKDAYS.map(day => (
+                <th key={day} className="text-right p-3 text-slate-300 font-medium">{day}</th>
+              ))}
+              <th className="text-right p-3 text-slate-300 font-medium">Week</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Effective From</th>
+              <th className="text-left p-3 text-slate-300 font-medium">Effective To</th>
+              <th className="p-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.length === 0 && (
+              <tr>
+                <td colSpan={WEEKDAYS.length + 5} className="p-4 text-center text-slate-400">Everyone works the standard week</td>
+              </tr>
+            )}
+            {schedules.map(schedule => (
+              <tr key={schedule.id} className="border-b border-slate-700">
+                <td className="p-3">
+                  <input
+                    type="text"
+                    list="work-schedule-members"
+                    value={schedule.member}
+                    onChange={(e) => updateSchedule(schedule.id, { member: e.target.value })}
+                    placeholder="Member"
+                    className="oryx-input h-9 w-40 rounded-md border px-3 text-sm"
+                  />
+                </td>
+                {WEEKDAYS.map(day => (
+                  <td key={day} className="p-1 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      max="24"
+                      step="0.25"
+                      value={schedule.hours[day] ?? 0}
+                      onChange={(e) => updateHours(schedule, day, e.target.value)}
+                      className="oryx-input h-9 w-16 rounded-md border px-2 text-sm text-right"
+                    />
+                  </td>
+                ))}
+                <td className="p-3 text-right text-slate-300">{weeklyScheduleHours(schedule.hours)}h</td>
+                <td className="p-3">
+                  <input
+                    type="date"
+                    value={schedule.effectiveFrom}
+                    onChange={(e) => updateSchedule(schedule.id, { effectiveFrom: e.target.value })}
+                    className="oryx-input h-9 rounded-md border px-2 text-sm"
+                  />
+                </td>
+                <td className="p-3">
+                  <input
+                    type="date"
+                    value={schedule.effectiveTo}
+                    onChange={(e) => updateSchedule(schedule.id, { effectiveTo: e.target.value })}
+                    className={`oryx-input h-9 rounded-md border px-2 text-sm ${invalidDates(schedule) ? 'border-orange-500' : ''}`}
+                    title={invalidDates(schedule) ? 'Effective To is before Effective From' : undefined}
+                  />
+                </td>
+                <td className="p-3 text-right">
+                  <button
+                    onClick={() => onSchedulesChange(schedules.filter(s => s.id !== schedule.id))}
+                    className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                    title="Delete schedule"
+                  >
+                    <Trash2 size={16} className="text-slate-400" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <datalist id="work-schedule-members">
+          {memberOptions.map(option => <option key={option} value={option} />)}
+        </datalist>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,137 @@
+import { useMemo, useState } from 'react'
+import { Trash2 } from 'lucide-react'
+import { roundToQuarter } from '../lib/utils.jsx'
+
+export default function WorkTypeMappingEditor({ rows, mapping, categories, onMappingChange, onCategoriesChange }) {
+  const [newCategory, setNewCategory] = useState('')
+  const trimmedCategory = newCategory.trim()
+  const canAddCategory = trimmedCategory.length > 0 && !categories.includes(trimmedCategory)
+
+  // Every Work Type in the loaded data with its hours
+  const workTypes = useMemo(() => {
+    const hoursByWorkType = new Map()
+    rows.forEach(row => {
+      const workType = row['Work Type'] || 'Unknown'
+      hoursByWorkType.set(workType, (hoursByWorkType.get(workType) || 0) + row.Hours)
+    })
+    return Array.from(hoursByWorkType.entries())
+      .map(([workType, hours]) => ({ workType, hours }))
+      .sort((a, b) => b.hours - a.hours)
+  }, [rows])
+
+  const usedCategories = new Set(Object.values(mapping))
+
+  function assign(workType, category) {
+    const next = { ...mapping }
+    if (category === 'Other') {
+      delete next[workType] // unmapped Work Types fall into Other
+    } else {
+      next[workType] = category
+    }
+    onMappingChange(next)
+  }
+
+  function addCategory() {
+    if (!canAddCategory) return
+    // Keep "Other" last
+    const withoutOther = categories.filter(category => category !== 'Other')
+    onCategoriesChange([...withoutOther, trimmedCategory, 'Other'])
+    setNewCategory('')
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🗂️</span>
+          </span>
+          Work Type → Board Category
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          The board category drives the Work Type filter and every work-mix chart. Unmapped Work Types fall into "Other".
+        </p>
+      </div>
+
+      {workTypes.length === 0 ? (
+        <div className="text-center text-sm text-slate-400 py-4">
+          Upload data to see its Work Types
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-600">
+                <th className="text-left p-3 text-slate-300 font-medium">Work Type</th>
+                <th className="text-right p-3 text-slate-300 font-medium">Hours</th>
+                <th className="text-left p-3 text-slate-300 font-medium">Board Category</th>
+              </tr>
+            </thead>
+            <tbody>
+              {workTypes.map(({ workType, hours }) => {
+                const category = mapping[workType] || 'Other'
+                return (
+                  <tr key={workType} className="border-b border-slate-700">
+                    <td className="p-3 text-white font-medium">
+                      {workType}
+                      {!mapping[workType] && <span className="ml-2 text-xs text-orange-600">unmapped</span>}
+                    </td>
+                    <td className="p-3 text-right text-slate-300">{roundToQuarter(hours)}h</td>
+                    <td className="p-3">
+                      <select
+                        value={category}
+                        onChange={(e) => assign(workType, e.target.value)}
+                        className="oryx-input h-9 rounded-md border px-2 text-sm"
+                      >
+                        {[...new Set([...categories, category])].map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Categories */}
+      <div className="mt-6">
+        <h3 className="text-sm text-slate-300 font-medium mb-3">Categories</h3>
+        <div className="flex flex-wrap gap-2">
+          {categories.map(category => (
+            <div key={category} className="bg-slate-700/50 rounded-lg px-3 py-1 text-xs text-slate-300 flex items-center gap-2">
+              {category}
+              {category !== 'Other' && !usedCategories.has(category) && (
+                <button
+                  onClick={() => onCategoriesChange(categories.filter(c => c !== category))}
+                  title="Remove unused category"
+                >
+                  <Trash2 size={12} className="text-slate-400" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={newCategory}
+            onChange={(e) => setNewCategory(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') addCategory() }}
+            placeholder="New category, e.g. Pre-Sales"
+            className="oryx-input h-10 flex-1 min-w-48 max-w-md rounded-md border px-3 text-sm"
+          />
+          <button
+            onClick={addCategory}
+            disabled={!canAddCategory}
+            className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+          >
+            Add Category
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
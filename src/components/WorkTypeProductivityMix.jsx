@@ -28,7 +28,7 @@ export default function ProjectEfficiencyMatrix({ filteredRows }) {
       projectTypeAnalysis[projectType].projectCount.add(project)
       
       // Count billable hours (productive time)
-      if (row.Productivity === 'Productive') {
+      if (row.isBillable) {
         projectTypeAnalysis[projectType].billableHours += hours
       }
     }
@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import { Trash2 } from 'lucide-react'
+import dayjs from 'dayjs'
+import { BANK_HOLIDAY_REGIONS, BANK_HOLIDAY_YEARS, bankHolidaysFor } from '../lib/workingCalendar.js'
+
+export default function WorkingCalendarEditor({ region, closures, onRegionChange, onClosuresChange }) {
+  const [draft, setDraft] = useState({ date: '', name: '' })
+  const holidays = bankHolidaysFor(region)
+  const canAdd = draft.date && !closures.some(closure => closure.date === draft.date)
+
+  function addClosure() {
+    if (!canAdd) return
+    const next = [...closures, { id: `closure-${Date.now()}`, date: draft.date, name: draft.name.trim() || 'Company closure' }]
+    onClosuresChange(next.sort((a, b) => a.date.localeCompare(b.date)))
+    setDraft({ date: '', name: '' })
+  }
+
+  return (
+    <div className="oryx-card p-6">
+      <div className="mb-4">
+        <h2 className="oryx-heading text-lg flex items-center gap-2">
+          <span className="flex h-8 w-8 items-center justify-center rounded-lg bg-lime-400/20">
+            <span className="text-lime-400">🏖️</span>
+          </span>
+          Working Calendar
+        </h2>
+        <p className="text-sm text-slate-400 mt-1">
+          Bank holidays and company closure days are not working days: they are left out of scheduled capacity and timesheet completeness.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Bank holidays */}
+        <div>
+          <h3 className="text-sm text-slate-300 font-medium mb-3">Bank Holidays</h3>
+          <select
+            value={region}
+            onChange={(e) => onRegionChange(e.target.value)}
+            className="oryx-input h-10 rounded-md border px-3 text-sm"
+          >
+            {Object.entries(BANK_HOLIDAY_REGIONS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          {holidays.length > 0 && (
+            <details className="mt-3 text-sm text-slate-300">
+              <summary className="cursor-pointer text-slate-400">
+                {holidays.length} bank holidays for {BANK_HOLIDAY_YEARS.from}–{BANK_HOLIDAY_YEARS.to}
+              </summary>
+              <ul className="mt-2 max-h-64 overflow-y-auto space-y-1 text-xs">
+                {holidays.map(holiday => (
+                  <li key={holiday.date}>
+                    <span className="text-slate-400">{dayjs(holiday.date).format('ddd DD/MM/YYYY')}</span> {holiday.name}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+
+        {/* Company closures */}
+        <div>
+          <h3 className="text-sm text-slate-300 font-medium mb-3">Company Closures</h3>
+          {closures.length === 0 ? (
+            <div className="text-sm text-slate-400">No closure days</div>
+          ) : (
+            <table className="w-full text-sm">
+              <tbody>
+                {closures.map(closure => (
+                  <tr key={closure.id} className="border-b border-slate-700">
+                    <td className="p-2 text-slate-300 whitespace-nowrap">{dayjs(closure.date).format('ddd DD/MM/YYYY')}</td>
+                    <td className="p-2 text-white">{closure.name}</td>
+                    <td className="p-2 text-right">
+                      <button
+                        onClick={() => onClosuresChange(closures.filter(c => c.id !== closure.id))}
+                        className="p-2 hover:bg-slate-700 rounded-lg transition-colors"
+                        title="Delete closure"
+                      >
+                        <Trash2 size={16} className="text-slate-400" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div className="mt-3 flex gap-3">
+            <input
+              type="date"
+              value={draft.date}
+              onChange={(e) => setDraft(prev => ({ ...prev, date: e.target.value }))}
+              className="oryx-input h-10 rounded-md border px-3 text-sm"
+            />
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              onKeyDown={(e) => { if (e.key === 'Enter') addClosure() }}
+              placeholder="e.g. Christmas shutdown"
+              className="oryx-input h-10 flex-1 rounded-md border px-3 text-sm"
+            />
+            <button
+              onClick={addClosure}
+              disabled={!canAdd}
+              className="oryx-primary h-10 px-4 rounded-lg text-sm font-medium hover:opacity-90 disabled:opacity-50 transition-opacity"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,89 @@
+// Incremental uploads: append a new export and replace the date range it covers
+import dayjs from 'dayjs'
+
+// How an upload is combined with the rows already loaded
+export const UPLOAD_MODES = {
+  replace: 'Replace all data',
+  append: 'Append / replace range'
+}
+
+/**
+ * Finds the first and last entry date of a set of clean rows
+ * @param {Array} rows - Clean rows with dateObj
+ * @returns {{from: dayjs.Dayjs|null, to: dayjs.Dayjs|null}}
+ */
+export function getRowDateWindow(rows) {
+  let from = null
+  let to = null
+  for (const row of rows) {
+    if (!row.dateObj) continue
+    const date = dayjs(row.dateObj).startOf('day')
+    if (!from || date.isBefore(from)) from = date
+    if (!to || date.isAfter(to)) to = date
+  }
+  return { from, to }
+}
+
+/**
+ * Replaces the stored rows of the new export's members inside its date window with the new rows.
+ * Rows outside the window are kept, so a weekly export extends a full-year dataset
+ * and late edits inside the window are picked up. Members absent from the export keep
+ * their rows, so one team's or subcontractor's export leaves everyone else untouched.
+ * @param {Array} existingRows - Rows already loaded
+ * @param {Array} newRows - Clean rows of the new export (parseCsvToRows output)
+ * @returns {{rows: Array, changelog: {from: string|null, to: string|null, removedRows: number, addedRows: number, members: Array}}}
+ */
+export function appendReplaceRange(existingRows, newRows) {
+  const { from, to } = getRowDateWindow(newRows)
+  if (!from) {
+    return {
+      rows: existingRows,
+      changelog: { from: null, to: null, removedRows: 0, addedRows: 0, members: [] }
+    }
+  }
+  
+  const uploadMembers = new Set(newRows.map(row => row.Member))
+  const isReplaced = row => {
+    if (!row.dateObj || !uploadMembers.has(row.Member)) return false
+    const date = dayjs(row.dateObj).startOf('day')
+    return !date.isBefore(from) && !date.isAfter(to)
+  }
+  
+  const keptRows = []
+  const removedRows = []
+  existingRows.forEach(row => (isReplaced(row) ? removedRows : keptRows).push(row))
+  
+  // Per-member hours before and after the window was replaced
+  const byMember = new Map()
+  const memberEntry = member => {
+    if (!byMember.has(member)) {
+      byMember.set(member, { member, hoursRemoved: 0, hoursAdded: 0, rowsRemoved: 0, rowsAdded: 0 })
+    }
+    return byMember.get(member)
+  }
+  removedRows.forEach(row => {
+    const entry = memberEntry(row.Member)
+    entry.hoursRemoved += row.Hours
+    entry.rowsRemoved++
+  })
+  newRows.forEach(row => {
+    const entry = memberEntry(row.Member)
+    entry.hoursAdded += row.Hours
+    entry.rowsAdded++
+  })
+  
+  const members = Array.from(byMember.values())
+    .map(entry => ({ ...entry, netHours: entry.hoursAdded - entry.hoursRemoved }))
+    .sort((a, b) => Math.abs(b.netHours) - Math.abs(a.netHours) || a.member.localeCompare(b.member))
+  
+  return {
+    rows: [...keptRows, ...newRows],
+    changelog: {
+      from: from.format('DD/MM/YYYY'),
+      to: to.format('DD/MM/YYYY'),
+      removedRows: removedRows.length,
+      addedRows: newRows.length,
+      members
+    }
+  }
+}
@@ -1,21 +1,10 @@
 // Filter application logic for clean timesheet rows
 import dayjs from 'dayjs'
 import customParseFormat from 'dayjs/plugin/customParseFormat'
+import { createFiscalCalendar } from './fiscalYear.js'
 
 dayjs.extend(customParseFormat)
 
-/**
- * Derives quarter from calendar month
- * @param {string} calendarMonth - YYYY-MM format
- * @returns {string} - YYYY-Q# format
- */
-function getQuarterFromMonth(calendarMonth) {
-  const [year, month] = calendarMonth.split('-')
-  const monthNum = parseInt(month, 10)
-  const quarter = Math.ceil(monthNum / 3)
-  return `${year}-Q${quarter}`
-}
-
 /**
  * Derives quarter from ISO week
  * @param {string} isoWeek - YYYY-W## format
@@ -38,14 +27,6 @@ function getQuarterFromIsoWeek(isoWeek) {
 export function applyFilters(rows, filters) {
   console.log('applyFilters - Input:', { totalRows: rows.length, filters })
   
-  // Count productivity breakdown in input rows
-  const inputProductivity = {
-    Productive: rows.filter(r => r.Productivity === "Productive").length,
-    Unproductive: rows.filter(r => r.Productivity === "Unproductive").length,
-    Other: rows.filter(r => r.Productivity !== "Productive" && r.Productivity !== "Unproductive").length
-  }
-  console.log('applyFilters - Input productivity breakdown:', inputProductivity)
-  
   const filteredRows = rows.filter(row => {
     // Period filtering
     switch (filters.period) {
@@ -53,7 +34,7 @@ export function applyFilters(rows, filters) {
         if (filters.month && row.calendarMonth !== filters.month) return false
         break
       case "Quarter":
-        if (filters.quarter && getQuarterFromMonth(row.calendarMonth) !== filters.quarter) return false
+        if (filters.quarter && row.fiscalQuarter !== filters.quarter) return false
         break
       case "FY":
         if (filters.fy && row.fiscalYear !== filters.fy) return false
@@ -125,21 +106,73 @@ export function applyFilters(rows, filters) {
     return true
   })
   
-  // Count productivity breakdown in output rows
-  const outputProductivity = {
-    Productive: filteredRows.filter(r => r.Productivity === "Productive").length,
-    Unproductive: filteredRows.filter(r => r.Productivity === "Unproductive").length,
-    Other: filteredRows.filter(r => r.Productivity !== "Productive" && r.Productivity !== "Unproductive").length
-  }
   console.log('applyFilters - Output:', { 
     totalRows: filteredRows.length, 
-    productivity: outputProductivity,
     filtered: rows.length - filteredRows.length
   })
   
   return filteredRows
 }
 
+/**
+ * Applies only the team and member filters, for views that judge whole members rather than a slice of
+ * their work (every entry of a checked member counts, whatever its period, company or type)
+ * @param {Array} rows - Array of clean row objects
+ * @param {Object} filters - Filter configuration object
+ * @returns {Array} - Rows of the filtered roles and members
+ */
+export function applyPeopleFilters(rows, filters) {
+  return applyFilters(rows, {
+    ...filters,
+    period: null,
+    companies: 'ALL',
+    projectTypes: 'ALL',
+    workTypesBoard: [],
+    productivity: 'All'
+  })
+}
+
+/**
+ * Date window covered by the selected period filter
+ * @param {Object} filters - Filter configuration object
+ * @param {{min: Date|null, max: Date|null}} [dateRange] - Dataset date range, used for open Custom bounds
+ * @param {Object} [fiscalOptions] - fiscalYearStartMonth and fiscalYearLabelStyle from settings
+ * @returns {{from: dayjs.Dayjs|null, to: dayjs.Dayjs|null}}
+ */
+export function getPeriodWindow(filters, dateRange = {}, fiscalOptions = {}) {
+  const fiscal = createFiscalCalendar(fiscalOptions)
+  const datasetFrom = dateRange.min ? dayjs(dateRange.min).startOf('day') : null
+  const datasetTo = dateRange.max ? dayjs(dateRange.max).startOf('day') : null
+  
+  switch (filters.period) {
+    case "Month":
+      if (filters.month) {
+        const start = dayjs(`${filters.month}-01`)
+        return { from: start, to: start.endOf('month').startOf('day') }
+      }
+      break
+    case "Quarter":
+      if (filters.quarter) {
+        const quarterWindow = fiscal.fiscalQuarterWindow(filters.quarter)
+        if (quarterWindow) return quarterWindow
+      }
+      break
+    case "FY":
+      if (filters.fy) {
+        const fyWindow = fiscal.fiscalYearWindow(filters.fy)
+        if (fyWindow) return fyWindow
+      }
+      break
+    case "Custom":
+      return {
+        from: filters.fromDate ? dayjs(filters.fromDate).startOf('day') : datasetFrom,
+        to: filters.toDate ? dayjs(filters.toDate).startOf('day') : datasetTo
+      }
+  }
+  
+  return { from: datasetFrom, to: datasetTo }
+}
+
 /**
  * Generates distinct values for filter options
  * @param {Array} rows - Array of clean row objects
@@ -153,9 +186,7 @@ export function getDistinctValues(rows) {
   const workTypesBoard = [...new Set(rows.map(r => r.boardWorkType).filter(Boolean))].sort()
   const calendarMonths = [...new Set(rows.map(r => r.calendarMonth).filter(Boolean))].sort()
   const fiscalYears = [...new Set(rows.map(r => r.fiscalYear).filter(Boolean))].sort()
-
-  // Generate quarters from calendar months
-  const quarters = [...new Set(calendarMonths.map(getQuarterFromMonth))].sort()
+  const quarters = [...new Set(rows.map(r => r.fiscalQuarter).filter(Boolean))].sort()
 
   return {
     roles,
@@ -180,26 +211,16 @@ export function getLatestCompleteMonth(rows) {
 }
 
 /**
- * Derives quarter and FY from a month
+ * Derives the fiscal quarter and FY containing a month
  * @param {string} month - YYYY-MM format
+ * @param {Object} [fiscalOptions] - fiscalYearStartMonth and fiscalYearLabelStyle from settings
  * @returns {Object} - {quarter, fy}
  */
-export function derivePeriodDefaults(month) {
+export function derivePeriodDefaults(month, fiscalOptions = {}) {
   if (!month) return { quarter: null, fy: null }
   
-  const quarter = getQuarterFromMonth(month)
-  const [year, monthNum] = month.split('-')
-  const monthInt = parseInt(monthNum, 10)
-  
-  // FY starts in April
-  let fyYear
-  if (monthInt >= 4) {
-    fyYear = parseInt(year, 10)
-  } else {
-    fyYear = parseInt(year, 10) - 1
-  }
-  
-  const fy = `FY${String(fyYear).slice(-2)}`
+  const fiscal = createFiscalCalendar(fiscalOptions)
+  const monthStart = dayjs(`${month}-01`)
   
-  return { quarter, fy }
+  return { quarter: fiscal.fiscalQuarterOf(monthStart), fy: fiscal.fiscalYearOf(monthStart) }
 }
@@ -0,0 +1,71 @@
+// Billable classification: Productivity value first, then Work Type / Company overrides, then a default
+
+// Fields a billability override can match on
+export const BILLABILITY_OVERRIDE_FIELDS = ['Work Type', 'Company']
+
+// Rule recorded on rows that no Productivity value or override classified
+export const DEFAULT_BILLABLE_RULE = 'Default'
+
+/**
+ * Normalises a value for case-insensitive comparison
+ * @param {*} value
+ * @returns {string}
+ */
+function matchKey(value) {
+  return String(value ?? '').trim().toLowerCase()
+}
+
+/**
+ * Describes an override for display and for the billableRule field of the rows it classifies
+ * @param {Object} override - { field, value, billable }
+ * @returns {string}
+ */
+export function describeOverride(override) {
+  return `${override.field} is "${String(override.value).trim()}"`
+}
+
+/**
+ * Creates a classifier that decides whether a clean row is billable and which rule decided it.
+ * Rules are tried in order: Productivity value (trimmed, case-insensitive), then enabled overrides
+ * by Work Type or Company in list order, then the default.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.billableProductivityValues] - Productivity values that mean billable
+ * @param {Array<string>} [options.nonBillableProductivityValues] - Productivity values that mean non-billable
+ * @param {Array<Object>} [options.billabilityOverrides] - { id, field, value, billable, enabled }
+ * @param {boolean} [options.defaultBillable] - Status of rows no other rule classified
+ * @returns {Function} - (row) => { isBillable: boolean, billableRule: string }
+ */
+export function createBillabilityClassifier(options = {}) {
+  // Billable values are added last so they win if a value is listed as both
+  const productivityRules = new Map()
+  for (const value of options.nonBillableProductivityValues ?? ['Unproductive']) {
+    productivityRules.set(matchKey(value), { isBillable: false, billableRule: `Productivity is "${String(value).trim()}"` })
+  }
+  for (const value of options.billableProductivityValues ?? ['Productive']) {
+    productivityRules.set(matchKey(value), { isBillable: true, billableRule: `Productivity is "${String(value).trim()}"` })
+  }
+  productivityRules.delete('')
+
+  const overrides = (options.billabilityOverrides ?? [])
+    .filter(override => override.enabled !== false && matchKey(override.value))
+    .map(override => ({
+      field: override.field,
+      key: matchKey(override.value),
+      billable: Boolean(override.billable),
+      rule: `Override: ${describeOverride(override)}`
+    }))
+
+  const defaultBillable = Boolean(options.defaultBillable)
+
+  return (row) => {
+    const productivityRule = productivityRules.get(matchKey(row.Productivity))
+    if (productivityRule) return productivityRule
+
+    const override = overrides.find(candidate => matchKey(row[candidate.field]) === candidate.key)
+    if (override) {
+      return { isBillable: override.billable, billableRule: override.rule }
+    }
+
+    return { isBillable: defaultBillable, billableRule: DEFAULT_BILLABLE_RULE }
+  }
+}
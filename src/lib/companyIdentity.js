@@ -0,0 +1,79 @@
+// Company identity: merge client names that differ only by suffix, casing or typos
+import { editDistance } from './fuzzyMatch.js'
+
+// Legal-form words ignored when comparing company names
+const COMPANY_SUFFIXES = ['ltd', 'limited', 'plc', 'llp', 'llc', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company']
+
+/**
+ * Comparison key for a company name: lowercase, no punctuation, no legal-form suffix
+ * e.g. "ACME Limited" and "Acme Ltd." both give "acme"
+ * @param {string} companyName 
+ * @returns {string}
+ */
+export function companyMatchKey(companyName) {
+  const words = String(companyName || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+  
+  if (words[0] === 'the' && words.length > 1) words.shift()
+  while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) words.pop()
+  
+  return words.join(' ')
+}
+
+/**
+ * Creates a resolver mapping a raw company name to its accepted canonical name
+ * @param {Object} [aliases] - { "Raw Name": "Canonical Name" } from settings
+ * @returns {Function} - (rawName) => canonical name
+ */
+export function createCompanyResolver(aliases = {}) {
+  const lookup = new Map(
+    Object.entries(aliases).map(([alias, canonical]) => [alias.trim().toLowerCase(), canonical.trim()])
+  )
+  
+  return (rawName) => {
+    const trimmed = String(rawName || '').trim()
+    return lookup.get(trimmed.toLowerCase()) || trimmed
+  }
+}
+
+/**
+ * Suggests company names that are probably the same client
+ * @param {Array} rows - Clean rows (Company already resolved)
+ * @returns {Array<{alias: string, canonical: string, reason: string}>} - alias is the name with fewer hours
+ */
+export function suggestCompanyMerges(rows) {
+  const hoursByCompany = new Map()
+  rows.forEach(row => hoursByCompany.set(row.Company, (hoursByCompany.get(row.Company) || 0) + (row.Hours || 0)))
+  
+  const companies = Array.from(hoursByCompany.keys())
+    .filter(company => company && company !== 'Unknown')
+    .map(company => ({ company, key: companyMatchKey(company) }))
+  const suggestions = []
+  
+  for (let i = 0; i < companies.length; i++) {
+    for (let j = i + 1; j < companies.length; j++) {
+      const a = companies[i]
+      const b = companies[j]
+      
+      let reason = null
+      if (a.key === b.key) {
+        reason = 'Same name apart from suffix, casing or punctuation'
+      } else if (Math.min(a.key.length, b.key.length) >= 6 && editDistance(a.key, b.key) <= 2) {
+        reason = 'Names differ by one or two characters'
+      }
+      if (!reason) continue
+      
+      // Fold the name with fewer hours into the busier one
+      const [alias, canonical] = hoursByCompany.get(a.company) < hoursByCompany.get(b.company)
+        ? [a.company, b.company]
+        : [b.company, a.company]
+      suggestions.push({ alias, canonical, reason })
+    }
+  }
+  
+  return suggestions
+}
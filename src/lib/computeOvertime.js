@@ -1,202 +1,219 @@
 import dayjs from 'dayjs'
 import isoWeek from 'dayjs/plugin/isoWeek'
+import { canonicalMemberName } from './memberIdentity.js'
+import { createScheduleResolver } from './workSchedules.js'
+import { isoWeekKey } from './workingCalendar.js'
+import { BANK_HOLIDAY_WORK_TYPE, normalizePolicy } from './overtimePolicy.js'
 
 dayjs.extend(isoWeek)
 
 /**
- * Normalizes member names to handle variations like "Bolton, Mark" vs "Mark Bolton"
- * @param {string} memberName 
- * @returns {string}
+ * Rounds hours to the nearest increment
+ * @param {number} hours
+ * @param {number} increment - 0 leaves the value as is
+ * @returns {number}
  */
-function normalizeMemberName(memberName) {
-  if (!memberName) return 'Unknown'
-  
-  // Handle "Last, First" format
-  if (memberName.includes(',')) {
-    const parts = memberName.split(',').map(part => part.trim())
-    if (parts.length >= 2) {
-      return `${parts[1]} ${parts[0]}`
-    }
-  }
-  
-  return memberName.trim()
+function roundHours(hours, increment) {
+  return increment > 0 ? Math.round(hours / increment) * increment : hours
 }
 
 /**
- * Gets the daily baseline hours for a member on a specific date
- * @param {string} memberName - Normalized member name
- * @param {dayjs.Dayjs} date 
- * @returns {number}
+ * Reads an entry's date from dateObj (parsed timesheets) or the Date field
+ * @param {Object} entry
+ * @returns {dayjs.Dayjs|null}
  */
-function dailyBaselineFor(memberName, date) {
-  const normalizedName = normalizeMemberName(memberName)
-  const dayOfWeek = date.isoWeekday() // 1=Monday, 7=Sunday
-  
-  // Weekends have 0 baseline
-  if (dayOfWeek >= 6) {
-    return 0
+function entryDate(entry) {
+  let date
+  if (entry.dateObj) {
+    date = dayjs(entry.dateObj)
+  } else if (entry.Date) {
+    date = dayjs(entry.Date, ['DD/MM/YYYY', 'D/M/YYYY', 'DD/MM/YY'])
+  } else {
+    console.warn('No date found in entry:', entry)
+    return null
   }
-  
-  // Mark Bolton has compressed schedule
-  if (normalizedName === 'Mark Bolton') {
-    if (dayOfWeek <= 4) { // Mon-Thu
-      return 8.25
-    } else { // Fri
-      return 4.5
-    }
-  }
-  
-  // Default weekday baseline
-  return 7.5
-}
 
-/**
- * Rounds hours to 0.25 increments
- * @param {number} hours 
- * @returns {number}
- */
-function roundToQuarterHours(hours) {
-  return Math.round(hours * 4) / 4
+  if (!date.isValid()) {
+    console.warn('Invalid date in entry:', entry)
+    return null
+  }
+  return date
 }
 
 /**
- * Computes weekly overtime for all entries
- * @param {Array} entries - Array of timesheet entries with Member, Date, Hours, Productivity, "Work Type" fields
- * @returns {Array} Array of weekly overtime objects
+ * Groups entries into member -> ISO week -> date buckets of worked and non-working hours under a policy
+ * @param {Array} entries
+ * @param {function} dailyBaselineFor - createScheduleResolver output
+ * @param {Object} policy - Normalised policy
+ * @returns {Object}
  */
-export function computeWeeklyOvertime(entries) {
-  if (!entries || entries.length === 0) {
-    return []
-  }
-  
-  // Group entries by member and ISO week
+function groupMemberWeeks(entries, dailyBaselineFor, policy) {
   const memberWeekGroups = {}
-  
+
   for (const entry of entries) {
-    const member = normalizeMemberName(entry.Member)
-    
-    // Handle both Date field and dateObj field from parsed timesheets
-    let date
-    if (entry.dateObj) {
-      date = dayjs(entry.dateObj)
-    } else if (entry.Date) {
-      date = dayjs(entry.Date, ['DD/MM/YYYY', 'D/M/YYYY', 'DD/MM/YY'])
-    } else {
-      console.warn('No date found in entry:', entry)
-      continue
-    }
-    
-    if (!date.isValid()) {
-      console.warn('Invalid date in entry:', entry)
-      continue
-    }
-    
-    const isoWeek = `${date.format('YYYY')}-W${String(date.isoWeek()).padStart(2, '0')}`
+    const member = canonicalMemberName(entry.Member)
+    const date = entryDate(entry)
+    if (!date) continue
+
+    const isoWeek = isoWeekKey(date)
     const dateKey = date.format('YYYY-MM-DD')
-    
+
     if (!memberWeekGroups[member]) {
       memberWeekGroups[member] = {}
     }
-    
+
     if (!memberWeekGroups[member][isoWeek]) {
       memberWeekGroups[member][isoWeek] = {
+        weekStart: date.startOf('isoWeek').format('YYYY-MM-DD'),
         dates: {},
-        totalProductiveWeekdayBaseline: 0,
-        totalNonWorkingWeekdayHours: 0
+        // Capacity is the member's scheduled week (or the policy's fixed week), whichever days they logged
+        scheduledHours: policy.weeklyThreshold ?? [1, 2, 3, 4, 5, 6, 7].reduce((sum, day) => sum + dailyBaselineFor(member, date.isoWeekday(day)), 0)
       }
     }
-    
+
     if (!memberWeekGroups[member][isoWeek].dates[dateKey]) {
       memberWeekGroups[member][isoWeek].dates[dateKey] = {
-        productiveHours: 0,
+        workedHours: 0,
         nonWorkingHours: 0,
         isWeekend: date.isoWeekday() >= 6,
         isBankHoliday: false,
         dailyBaseline: dailyBaselineFor(member, date)
       }
     }
-    
+
     const dayData = memberWeekGroups[member][isoWeek].dates[dateKey]
     const hours = parseFloat(entry.Hours) || 0
-    
+
     if (hours <= 0) continue
-    
-    // Check if this is a bank holiday entry
-    if (entry["Work Type"] === "Bank/Holiday Leave") {
-      dayData.isBankHoliday = true
-      dayData.nonWorkingHours += hours
-    }
-    // Check if this is other non-working time (sick leave, annual leave, training)
-    else if (["Sick Leave", "Training"].includes(entry["Work Type"])) {
+
+    // Non-working time (bank holidays, sick leave, training, ...) reduces capacity instead of counting as work
+    if (policy.nonWorkingWorkTypes.includes(entry["Work Type"])) {
+      if (entry["Work Type"] === BANK_HOLIDAY_WORK_TYPE) dayData.isBankHoliday = true
       dayData.nonWorkingHours += hours
     }
-    // Productive work
-    else if (entry.Productivity === "Productive") {
-      dayData.productiveHours += hours
+    // Worked hours: productive (billable) only, unless the policy counts unproductive time too
+    else if (entry.isBillable || policy.countUnproductive) {
+      dayData.workedHours += hours
     }
   }
-  
+
+  return memberWeekGroups
+}
+
+/**
+ * Splits one day's worked hours into overtime under a policy (before rounding)
+ * @param {Object} dayData - Date bucket from groupMemberWeeks
+ * @param {Object} policy - Normalised policy
+ * @returns {{dailyWeekday: number, weekendHoliday: number, basePortion: number, capacityReduction: number}}
+ */
+function splitDay(dayData, policy) {
+  if (dayData.isWeekend) {
+    // All worked hours on weekends are overtime, at the policy's rate
+    return { dailyWeekday: 0, weekendHoliday: dayData.workedHours * policy.weekendMultiplier, basePortion: 0, capacityReduction: 0 }
+  }
+
+  // Non-working hours reduce weekly capacity (capped at daily baseline)
+  const capacityReduction = Math.min(dayData.nonWorkingHours, dayData.dailyBaseline)
+
+  if (dayData.isBankHoliday) {
+    // Any worked hours on bank holiday dates are overtime
+    return { dailyWeekday: 0, weekendHoliday: dayData.workedHours * policy.weekendMultiplier, basePortion: 0, capacityReduction }
+  }
+
+  // Normal weekday: worked hours are split into base and overtime portions
+  return {
+    dailyWeekday: Math.max(0, dayData.workedHours - dayData.dailyBaseline),
+    weekendHoliday: 0,
+    basePortion: Math.min(dayData.workedHours, dayData.dailyBaseline),
+    capacityReduction
+  }
+}
+
+/**
+ * Computes weekly overtime for all entries under an overtime policy
+ * @param {Array} entries - Array of timesheet entries with Member, Date, Hours, isBillable, "Work Type" fields
+ * @param {Array} [schedules] - Working schedules from settings (see workSchedules.js)
+ * @param {Object} [policy] - Overtime policy (see overtimePolicy.js), defaults to DEFAULT_OVERTIME_POLICY
+ * @returns {Array} Array of weekly overtime objects
+ */
+export function computeWeeklyOvertime(entries, schedules = [], policy) {
+  if (!entries || entries.length === 0) {
+    return []
+  }
+
+  const rules = normalizePolicy(policy)
+  const memberWeekGroups = groupMemberWeeks(entries, createScheduleResolver(schedules), rules)
+
   // Calculate overtime for each member-week
   const results = []
-  
+
   for (const [member, weekGroups] of Object.entries(memberWeekGroups)) {
     for (const [isoWeek, weekData] of Object.entries(weekGroups)) {
       let dailyWeekdayOT = 0
       let weekendHolidayOT = 0
       let productiveWeekdayBaselinePool = 0
       let nonWorkingWeekdayHours = 0
-      
+
       // Process each date in the week
-      for (const [dateKey, dayData] of Object.entries(weekData.dates)) {
-        const date = dayjs(dateKey)
-        const isWeekend = dayData.isWeekend
-        const isBankHoliday = dayData.isBankHoliday
-        const dailyBaseline = dayData.dailyBaseline
-        
-        if (isWeekend) {
-          // All productive hours on weekends are overtime
-          weekendHolidayOT += dayData.productiveHours
-        } else if (isBankHoliday) {
-          // Bank holiday entries reduce weekly capacity (capped at daily baseline)
-          const capacityReduction = Math.min(dayData.nonWorkingHours, 7.5)
-          nonWorkingWeekdayHours += capacityReduction
-          
-          // Any productive hours on bank holiday dates are overtime
-          weekendHolidayOT += dayData.productiveHours
-        } else {
-          // Normal weekday
-          // Non-working hours reduce weekly capacity (capped at daily baseline)
-          const capacityReduction = Math.min(dayData.nonWorkingHours, dailyBaseline)
-          nonWorkingWeekdayHours += capacityReduction
-          
-          // Productive hours are split into base and overtime portions
-          const basePortion = Math.min(dayData.productiveHours, dailyBaseline)
-          const dailyOT = Math.max(0, dayData.productiveHours - dailyBaseline)
-          
-          dailyWeekdayOT += dailyOT
-          productiveWeekdayBaselinePool += basePortion
-        }
+      for (const dayData of Object.values(weekData.dates)) {
+        const split = splitDay(dayData, rules)
+        dailyWeekdayOT += split.dailyWeekday
+        weekendHolidayOT += split.weekendHoliday
+        productiveWeekdayBaselinePool += split.basePortion
+        nonWorkingWeekdayHours += split.capacityReduction
       }
-      
+
       // Calculate weekly overflow overtime
-      const weeklyCapacity = Math.max(0, 37.5 - nonWorkingWeekdayHours)
+      const weeklyCapacity = Math.max(0, weekData.scheduledHours - nonWorkingWeekdayHours)
       const weeklyOverflow = Math.max(0, productiveWeekdayBaselinePool - weeklyCapacity)
-      
-      // Round all values to 0.25 hour increments
+
+      // Round all values to the policy's increment
       const result = {
         member,
         isoWeek,
+        weekStart: weekData.weekStart,
         overtime: {
-          dailyWeekday: roundToQuarterHours(dailyWeekdayOT),
-          weeklyOverflow: roundToQuarterHours(weeklyOverflow),
-          weekendHoliday: roundToQuarterHours(weekendHolidayOT),
-          total: roundToQuarterHours(dailyWeekdayOT + weeklyOverflow + weekendHolidayOT)
+          dailyWeekday: roundHours(dailyWeekdayOT, rules.roundingIncrement),
+          weeklyOverflow: roundHours(weeklyOverflow, rules.roundingIncrement),
+          weekendHoliday: roundHours(weekendHolidayOT, rules.roundingIncrement),
+          total: roundHours(dailyWeekdayOT + weeklyOverflow + weekendHolidayOT, rules.roundingIncrement)
         }
       }
-      
+
       results.push(result)
     }
   }
-  
+
   return results
 }
+
+/**
+ * Computes each member's overtime per day under an overtime policy: hours over the daily baseline on
+ * weekdays plus weekend and bank holiday hours. Weekly overflow cannot be placed on a day, so it is left out.
+ * @param {Array} entries - Timesheet entries
+ * @param {Array} [schedules] - Working schedules from settings
+ * @param {Object} [policy] - Overtime policy, defaults to DEFAULT_OVERTIME_POLICY
+ * @returns {Object} - { [YYYY-MM-DD]: { [member]: hours } }, days without overtime omitted
+ */
+export function computeDailyOvertime(entries, schedules = [], policy) {
+  if (!entries || entries.length === 0) return {}
+
+  const rules = normalizePolicy(policy)
+  const memberWeekGroups = groupMemberWeeks(entries, createScheduleResolver(schedules), rules)
+  const dailyOvertimeData = {}
+
+  for (const [member, weekGroups] of Object.entries(memberWeekGroups)) {
+    for (const weekData of Object.values(weekGroups)) {
+      for (const [dateKey, dayData] of Object.entries(weekData.dates)) {
+        const split = splitDay(dayData, rules)
+        const dailyOvertime = roundHours(split.dailyWeekday + split.weekendHoliday, rules.roundingIncrement)
+        if (dailyOvertime > 0) {
+          if (!dailyOvertimeData[dateKey]) dailyOvertimeData[dateKey] = {}
+          dailyOvertimeData[dateKey][member] = dailyOvertime
+        }
+      }
+    }
+  }
+
+  return dailyOvertimeData
+}
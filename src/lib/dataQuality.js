@@ -0,0 +1,111 @@
+// Data-quality checks on loaded rows: duplicate, near-duplicate and implausible entries
+import dayjs from 'dayjs'
+import { entryKey } from './mergeUploads.js'
+
+// Flag codes and what they mean
+export const QUALITY_FLAGS = {
+  EXACT_DUPLICATE: 'Same member, date, ticket, hours and work type as an earlier entry',
+  NEAR_DUPLICATE: 'Same member, date and ticket as an earlier entry with hours less than 0.25h apart (e.g. another Work Type)',
+  ODD_GRANULARITY: 'Hours are not a multiple of a quarter hour',
+  LONG_ENTRY: 'A single entry of 10 hours or more'
+}
+
+// A single entry at or above this many hours is implausible
+export const LONG_ENTRY_HOURS = 10
+
+// Entries are expected in quarter hours
+const GRANULARITY_HOURS = 0.25
+
+// Two entries on the same ticket and day closer than this in hours are near-duplicates
+const NEAR_DUPLICATE_HOURS = 0.25
+
+/**
+ * Checks whether hours are a whole number of quarter hours (allowing for float noise)
+ * @param {number} hours
+ * @returns {boolean}
+ */
+function isQuarterHours(hours) {
+  const units = hours / GRANULARITY_HOURS
+  return Math.abs(units - Math.round(units)) < 1e-6
+}
+
+/**
+ * Member name as exported; flag ids use it so they survive member alias changes
+ * @param {Object} row - Clean row
+ * @returns {string}
+ */
+function exportedMember(row) {
+  return String(row.rawMember ?? row.Member ?? '').trim()
+}
+
+/**
+ * Builds the duplicate key of an entry: its entry key with the exported member name
+ * @param {Object} row - Clean row
+ * @returns {string}
+ */
+function flagKey(row) {
+  return entryKey({ ...row, Member: exportedMember(row) })
+}
+
+/**
+ * Builds the key of an entry's ticket and day, shared by near-duplicates
+ * @param {Object} row - Clean row
+ * @returns {string}
+ */
+function ticketDayKey(row) {
+  const date = row.dateObj ? dayjs(row.dateObj).format('YYYY-MM-DD') : row.Date
+  return [exportedMember(row), date, String(row.Ticket || '').trim()].join('|')
+}
+
+/**
+ * Flags suspicious entries in loaded rows. Each flag id is stable across reloads of the same data
+ * and across alias changes (flag code, entry key with the exported member, occurrence), so exclusions can be stored in settings.
+ * Only the later entry of a duplicate pair is flagged; the first is kept as the original.
+ * @param {Array} rows - Clean rows
+ * @returns {Array<{id: string, type: string, row: Object, detail: string}>}
+ */
+export function detectQualityIssues(rows) {
+  const flags = []
+  const occurrences = new Map()
+  const byTicketDay = new Map()
+
+  rows.forEach(row => {
+    const key = flagKey(row)
+    const occurrence = (occurrences.get(key) || 0) + 1
+    occurrences.set(key, occurrence)
+    const flag = (type, detail) => flags.push({ id: `${type}|${key}#${occurrence}`, type, row, detail })
+
+    if (occurrence > 1) {
+      flag('EXACT_DUPLICATE', `Copy ${occurrence} of this entry`)
+    } else {
+      // Near-duplicates: another entry on the same ticket and day with almost the same hours
+      const ticketDay = ticketDayKey(row)
+      const earlier = byTicketDay.get(ticketDay) || []
+      const similar = earlier.find(other => Math.abs((other.Hours || 0) - (row.Hours || 0)) < NEAR_DUPLICATE_HOURS - 1e-6)
+      if (similar) {
+        flag('NEAR_DUPLICATE', `Similar to ${similar.Hours}h ${similar['Work Type']} entry`)
+      }
+      byTicketDay.set(ticketDay, [...earlier, row])
+    }
+
+    if (!isQuarterHours(row.Hours || 0)) {
+      flag('ODD_GRANULARITY', `${row.Hours}h`)
+    }
+    if ((row.Hours || 0) >= LONG_ENTRY_HOURS) {
+      flag('LONG_ENTRY', `${row.Hours}h in one entry`)
+    }
+  })
+
+  return flags
+}
+
+/**
+ * Collects the rows whose flags have been excluded from analysis
+ * @param {Array} flags - detectQualityIssues output
+ * @param {Array<string>} excludedIds - Flag ids excluded in settings
+ * @returns {Set<Object>} - Row objects to leave out
+ */
+export function getExcludedRows(flags, excludedIds) {
+  const excluded = new Set(excludedIds)
+  return new Set(flags.filter(flag => excluded.has(flag.id)).map(flag => flag.row))
+}
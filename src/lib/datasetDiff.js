@@ -0,0 +1,173 @@
+// Diff of two dataset snapshots (before/after uploads, or an upload against the stored dataset)
+import dayjs from 'dayjs'
+import isoWeek from 'dayjs/plugin/isoWeek'
+import { getRowDateWindow } from './appendUploads.js'
+
+dayjs.extend(isoWeek)
+
+// Fields that identify an entry across snapshots; an entry whose other fields differ counts as changed
+export const DIFF_KEY_FIELDS = ['Member', 'Date', 'Ticket', 'Work Type']
+
+// Fields compared between the before and after version of an entry
+export const DIFF_COMPARE_FIELDS = ['Hours', 'Company', 'Project/Ticket', 'Project Type', 'Work Role', 'Role', 'Productivity']
+
+/**
+ * Builds the stable identity key of a clean row (its hours and descriptive fields can change)
+ * @param {Object} row - Clean row object
+ * @returns {string}
+ */
+export function diffKey(row) {
+  return DIFF_KEY_FIELDS.map(field => {
+    if (field === 'Date') return row.dateObj ? dayjs(row.dateObj).format('YYYY-MM-DD') : row.Date
+    return String(row[field] ?? '').trim()
+  }).join('|')
+}
+
+/**
+ * Builds a key of the compared fields, so identical entries pair up before changed ones
+ * @param {Object} row
+ * @returns {string}
+ */
+function compareKey(row) {
+  return DIFF_COMPARE_FIELDS.map(field => String(row[field] ?? '').trim()).join('|')
+}
+
+/**
+ * Groups rows by diff key
+ * @param {Array} rows
+ * @returns {Map<string, Array>}
+ */
+function groupByKey(rows) {
+  const groups = new Map()
+  for (const row of rows) {
+    const key = diffKey(row)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(row)
+  }
+  return groups
+}
+
+/**
+ * Totals hours per value of a field in before and after, keeping only values whose hours moved
+ * @param {Array} beforeRows
+ * @param {Array} afterRows
+ * @param {string} field
+ * @returns {Array<{name: string, before: number, after: number, delta: number}>} - Largest change first
+ */
+function netHoursBy(beforeRows, afterRows, field) {
+  const totals = new Map()
+  const entry = name => {
+    if (!totals.has(name)) totals.set(name, { name, before: 0, after: 0, delta: 0 })
+    return totals.get(name)
+  }
+  beforeRows.forEach(row => { entry(row[field] || 'Unknown').before += row.Hours || 0 })
+  afterRows.forEach(row => { entry(row[field] || 'Unknown').after += row.Hours || 0 })
+
+  return [...totals.values()]
+    .map(item => ({ ...item, delta: item.after - item.before }))
+    .filter(item => Math.abs(item.delta) >= 0.01)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+}
+
+/**
+ * Keeps the rows that fall inside the date window of another set of rows
+ * @param {Array} rows - e.g. the stored dataset
+ * @param {Array} windowRows - e.g. a corrected export
+ * @returns {Array}
+ */
+export function rowsInDateWindowOf(rows, windowRows) {
+  const { from, to } = getRowDateWindow(windowRows)
+  if (!from) return []
+  return rows.filter(row => {
+    if (!row.dateObj) return false
+    const date = dayjs(row.dateObj).startOf('day')
+    return !date.isBefore(from) && !date.isAfter(to)
+  })
+}
+
+/**
+ * Compares two snapshots of clean rows.
+ * Entries are matched on DIFF_KEY_FIELDS; repeats of a key pair identical entries first, then the rest in hours order.
+ * @param {Array} beforeRows
+ * @param {Array} afterRows
+ * @returns {{added: Array, removed: Array, changed: Array, unchangedCount: number, groups: Array, byCompany: Array, byWorkType: Array}}
+ */
+export function diffDatasets(beforeRows, afterRows) {
+  const beforeGroups = groupByKey(beforeRows)
+  const afterGroups = groupByKey(afterRows)
+  const added = []
+  const removed = []
+  const changed = []
+  let unchangedCount = 0
+
+  const keys = new Set([...beforeGroups.keys(), ...afterGroups.keys()])
+  for (const key of keys) {
+    const before = beforeGroups.get(key) || []
+    const afterPool = [...(afterGroups.get(key) || [])]
+    const leftoverBefore = []
+
+    for (const row of before) {
+      const match = afterPool.findIndex(candidate => compareKey(candidate) === compareKey(row))
+      if (match >= 0) {
+        afterPool.splice(match, 1)
+        unchangedCount++
+      } else {
+        leftoverBefore.push(row)
+      }
+    }
+
+    const byHours = (a, b) => (a.Hours || 0) - (b.Hours || 0)
+    leftoverBefore.sort(byHours)
+    afterPool.sort(byHours)
+
+    const pairs = Math.min(leftoverBefore.length, afterPool.length)
+    for (let i = 0; i < pairs; i++) {
+      const changes = DIFF_COMPARE_FIELDS
+        .filter(field => String(leftoverBefore[i][field] ?? '').trim() !== String(afterPool[i][field] ?? '').trim())
+        .map(field => ({ field, before: leftoverBefore[i][field], after: afterPool[i][field] }))
+      changed.push({ before: leftoverBefore[i], after: afterPool[i], changes })
+    }
+    removed.push(...leftoverBefore.slice(pairs))
+    added.push(...afterPool.slice(pairs))
+  }
+
+  // Added, removed and changed entries per member and ISO week (Monday start)
+  const groupMap = new Map()
+  const group = row => {
+    const week = row.dateObj ? dayjs(row.dateObj).startOf('isoWeek').format('YYYY-MM-DD') : 'Unknown'
+    const key = `${row.Member}|${week}`
+    if (!groupMap.has(key)) {
+      groupMap.set(key, { member: row.Member, week, added: [], removed: [], changed: [], hoursDelta: 0 })
+    }
+    return groupMap.get(key)
+  }
+  added.forEach(row => {
+    const g = group(row)
+    g.added.push(row)
+    g.hoursDelta += row.Hours || 0
+  })
+  removed.forEach(row => {
+    const g = group(row)
+    g.removed.push(row)
+    g.hoursDelta -= row.Hours || 0
+  })
+  changed.forEach(change => {
+    const g = group(change.after)
+    g.changed.push(change)
+    g.hoursDelta += (change.after.Hours || 0) - (change.before.Hours || 0)
+  })
+
+  const groups = [...groupMap.values()].sort((a, b) =>
+    a.member.localeCompare(b.member) || a.week.localeCompare(b.week)
+  )
+
+  return {
+    added,
+    removed,
+    changed,
+    unchangedCount,
+    groups,
+    byCompany: netHoursBy(beforeRows, afterRows, 'Company'),
+    byWorkType: netHoursBy(beforeRows, afterRows, 'Work Type')
+  }
+}
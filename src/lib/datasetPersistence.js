@@ -0,0 +1,116 @@
+// Dataset persistence using IndexedDB (clean rows are too large for localStorage)
+
+const DB_NAME = 'oryx-time-analytics'
+const DB_VERSION = 1
+const STORE_NAME = 'datasets'
+const DATASET_KEY = 'current'
+const STORAGE_VERSION = '1.0'
+
+/**
+ * Opens the analytics database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'))
+      return
+    }
+    
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME)
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Runs a single request against the dataset store
+ * @param {'readonly'|'readwrite'} mode 
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<any>}
+ */
+async function withStore(mode, makeRequest) {
+  const db = await openDatabase()
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode)
+      const request = makeRequest(tx.objectStore(STORE_NAME))
+      tx.oncomplete = () => resolve(request.result)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error)
+    })
+  } finally {
+    db.close()
+  }
+}
+
+/**
+ * Saves the loaded dataset to IndexedDB
+ * @param {Object} dataset
+ * @param {Array} dataset.rows - Clean rows
+ * @param {Object} dataset.distinctValues - Filter options from getDistinctValues
+ * @param {{min: Date|null, max: Date|null}} dataset.dateRange
+ * @param {number} dataset.loadedAt - Timestamp of the upload
+ * @returns {Promise<void>}
+ */
+export async function saveDataset({ rows, distinctValues, dateRange, loadedAt }) {
+  try {
+    await withStore('readwrite', store => store.put({
+      version: STORAGE_VERSION,
+      rows,
+      distinctValues,
+      dateRange,
+      loadedAt
+    }, DATASET_KEY))
+    console.info(`Saved ${rows.length} rows to IndexedDB`)
+  } catch (error) {
+    console.warn('Failed to save dataset to IndexedDB:', error)
+  }
+}
+
+/**
+ * Loads the stored dataset from IndexedDB
+ * @returns {Promise<Object|null>} - { rows, distinctValues, dateRange, loadedAt } or null
+ */
+export async function loadDataset() {
+  try {
+    const stored = await withStore('readonly', store => store.get(DATASET_KEY))
+    if (!stored) return null
+    
+    // Check version compatibility
+    if (stored.version !== STORAGE_VERSION) {
+      console.info('Dataset storage version mismatch, ignoring stored dataset')
+      return null
+    }
+    
+    console.info(`Loaded ${stored.rows.length} rows from IndexedDB`)
+    return {
+      rows: stored.rows,
+      distinctValues: stored.distinctValues,
+      dateRange: stored.dateRange,
+      loadedAt: stored.loadedAt
+    }
+  } catch (error) {
+    console.warn('Failed to load dataset from IndexedDB:', error)
+    return null
+  }
+}
+
+/**
+ * Clears the stored dataset
+ * @returns {Promise<void>}
+ */
+export async function clearStoredDataset() {
+  try {
+    await withStore('readwrite', store => store.delete(DATASET_KEY))
+    console.info('Cleared stored dataset')
+  } catch (error) {
+    console.warn('Failed to clear stored dataset:', error)
+  }
+}
@@ -0,0 +1,88 @@
+// Settings-dependent fields of clean rows, applied at parse time and re-applied when settings change
+import { createMemberResolver } from './memberIdentity.js'
+import { createCompanyResolver } from './companyIdentity.js'
+import { mapWorkTypeToBoard, createInternalClassifier } from './mapping.js'
+import { createBillabilityClassifier } from './billability.js'
+import { createFiscalCalendar } from './fiscalYear.js'
+import { isoWeekKey } from './workingCalendar.js'
+
+// Settings keys that change derived row fields; editing one re-derives the loaded rows
+export const DERIVED_SETTING_KEYS = [
+  'memberAliases',
+  'companyAliases',
+  'workTypeMapping',
+  'internalCompanies',
+  'internalProjectTypePatterns',
+  'billableProductivityValues',
+  'nonBillableProductivityValues',
+  'billabilityOverrides',
+  'defaultBillable',
+  'fiscalYearStartMonth',
+  'fiscalYearLabelStyle'
+]
+
+/**
+ * Creates a function that (re)computes the settings-dependent fields of a clean row in place.
+ * The original export values are kept (rawMember, rawCompany) for audit and so the fields can be recomputed later.
+ * @param {Object} [options]
+ * @param {Object} [options.memberAliases] - { "Alias Name": "Canonical Name" }
+ * @param {Object} [options.companyAliases] - { "Raw Name": "Canonical Name" }
+ * @param {Object} [options.workTypeMapping] - { "Work Type": "Board Category" }, defaults to WORK_TYPE_TO_BOARD
+ * @param {Array<string>} [options.internalCompanies] - Defaults to INTERNAL_COMPANIES
+ * @param {Array<string>} [options.internalProjectTypePatterns] - Defaults to INTERNAL_PROJECT_TYPE_PATTERNS
+ * @param {Array<string>} [options.billableProductivityValues] - See createBillabilityClassifier
+ * @param {Array<string>} [options.nonBillableProductivityValues]
+ * @param {Array<Object>} [options.billabilityOverrides]
+ * @param {boolean} [options.defaultBillable]
+ * @param {number} [options.fiscalYearStartMonth] - See createFiscalCalendar
+ * @param {string} [options.fiscalYearLabelStyle]
+ * @returns {Function} - (row) => row
+ */
+export function createFieldDeriver(options = {}) {
+  const resolveMember = createMemberResolver(options.memberAliases)
+  const resolveCompany = createCompanyResolver(options.companyAliases)
+  const isInternal = createInternalClassifier({
+    companies: options.internalCompanies,
+    projectTypePatterns: options.internalProjectTypePatterns
+  })
+  const classifyBillability = createBillabilityClassifier(options)
+  const fiscal = createFiscalCalendar(options)
+  
+  return (row) => {
+    // Rows stored before identity resolution existed have no raw values yet
+    if (row.rawMember === undefined) row.rawMember = row.Member
+    if (row.rawCompany === undefined) row.rawCompany = row.Company
+    row.Member = resolveMember(row.rawMember)
+    row.Company = resolveCompany(row.rawCompany)
+    row.boardWorkType = mapWorkTypeToBoard(row["Work Type"], options.workTypeMapping)
+    // After company resolution, so merged aliases of an internal company count as internal
+    row.isInternal = isInternal(row)
+    // billableRule records which rule decided isBillable, so the billable split can be traced
+    const { isBillable, billableRule } = classifyBillability(row)
+    row.isBillable = isBillable
+    row.billableRule = billableRule
+    // Fiscal periods follow the configured FY start month and label style
+    if (row.dateObj) {
+      row.fiscalYear = fiscal.fiscalYearOf(row.dateObj)
+      row.fiscalMonth = fiscal.fiscalMonthOf(row.dateObj)
+      row.fiscalQuarter = fiscal.fiscalQuarterOf(row.dateObj)
+    }
+    return row
+  }
+}
+
+/**
+ * Recomputes the settings-dependent fields of already loaded rows.
+ * The ISO week key is recomputed too, so datasets stored before it used the ISO week-year are rekeyed on restore.
+ * @param {Array} rows - Clean rows
+ * @param {Object} settings - App settings
+ * @returns {Array} - New row objects
+ */
+export function rederiveRows(rows, settings) {
+  const derive = createFieldDeriver(settings)
+  return rows.map(row => {
+    const copy = { ...row }
+    if (copy.dateObj) copy.isoWeek = isoWeekKey(copy.dateObj)
+    return derive(copy)
+  })
+}
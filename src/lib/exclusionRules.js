@@ -0,0 +1,75 @@
+// Ingest exclusion rules: drop rows by Role, Member, Company, Work Type or a Ticket pattern
+import { canonicalMemberName } from './memberIdentity.js'
+
+// Fields a rule can match on; Ticket rules are regular expressions, the rest are exact (case-insensitive) values
+export const EXCLUSION_FIELDS = ['Role', 'Member', 'Company', 'Work Type', 'Ticket']
+
+/**
+ * Whether a rule on this field is matched as a regular expression
+ * @param {string} field 
+ * @returns {boolean}
+ */
+export function isRegexField(field) {
+  return field === 'Ticket'
+}
+
+/**
+ * Human-readable description of a rule, used in the ingestion report
+ * @param {Object} rule - { field, pattern }
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  return isRegexField(rule.field)
+    ? `${rule.field} matches /${rule.pattern}/`
+    : `${rule.field} is "${rule.pattern}"`
+}
+
+/**
+ * Checks that a rule can be applied; Ticket patterns must be valid regular expressions
+ * @param {Object} rule 
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateRule(rule) {
+  if (!EXCLUSION_FIELDS.includes(rule.field)) return `Unknown field "${rule.field}"`
+  if (!String(rule.pattern || '').trim()) return 'Enter a value to match'
+  if (isRegexField(rule.field)) {
+    try {
+      new RegExp(rule.pattern, 'i')
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`
+    }
+  }
+  return null
+}
+
+/**
+ * Compiles the enabled, valid rules into a matcher
+ * @param {Array<Object>} rules - [{ id, field, pattern, enabled }]
+ * @returns {Function} - (normalizedRow) => matching rule or null
+ */
+export function compileExclusionRules(rules = []) {
+  const compiled = rules
+    .filter(rule => rule.enabled !== false && validateRule(rule) === null)
+    .map(rule => {
+      if (isRegexField(rule.field)) {
+        const regex = new RegExp(rule.pattern, 'i')
+        return { rule, test: value => regex.test(value) }
+      }
+      // Member rules match "Last, First" and "First Last" alike
+      const normalise = rule.field === 'Member'
+        ? value => canonicalMemberName(value).toLowerCase()
+        : value => value.trim().toLowerCase()
+      const expected = normalise(rule.pattern)
+      return { rule, test: value => normalise(value) === expected }
+    })
+  
+  return (row) => {
+    for (const { rule, test } of compiled) {
+      const value = row[rule.field]
+      if (value !== undefined && value !== null && test(String(value))) {
+        return rule
+      }
+    }
+    return null
+  }
+}
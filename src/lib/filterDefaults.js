@@ -7,7 +7,7 @@ export const FILTER_DEFAULTS = {
   fy: null,
   fromDate: null, // for Custom period
   toDate: null, // for Custom period
-  roles: ["Cloud", "Network", "PM"], // HoPS is always excluded in data
+  roles: ["Cloud", "Network", "PM"], // HoPS is excluded at ingest by the default exclusion rule
   members: "ALL",
   companies: "ALL",
   projectTypes: "ALL",
@@ -1,7 +1,7 @@
 // Filter persistence using localStorage
 
 const STORAGE_KEY = 'oryx-time-analytics-filters'
-const STORAGE_VERSION = '1.1'
+const STORAGE_VERSION = '1.2'
 
 /**
  * Saves filter state to localStorage
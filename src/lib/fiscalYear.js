@@ -0,0 +1,76 @@
+// Financial year calendar: configurable start month and FY label convention
+import dayjs from 'dayjs'
+
+// FY label conventions offered in Settings, shown with an example for an April 2025 start
+export const FISCAL_YEAR_LABEL_STYLES = {
+  short: 'Short (FY25)',
+  long: 'Long (FY2025/26)'
+}
+
+export const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+
+/**
+ * Builds the fiscal calendar for a start month and label style.
+ * A financial year is named after the calendar year it starts in: with an April start, FY25 (or FY2025/26)
+ * runs 1 April 2025 to 31 March 2026; with a January start FY25 (or FY2025) is calendar 2025.
+ * @param {Object} [options]
+ * @param {number} [options.fiscalYearStartMonth] - 1-12, defaults to 4 (April)
+ * @param {string} [options.fiscalYearLabelStyle] - Key of FISCAL_YEAR_LABEL_STYLES
+ * @returns {{startMonth: number, fiscalYearOf: function, fiscalMonthOf: function, fiscalQuarterOf: function, fiscalYearWindow: function, fiscalQuarterWindow: function}}
+ */
+export function createFiscalCalendar({ fiscalYearStartMonth = 4, fiscalYearLabelStyle = 'short' } = {}) {
+  const startMonth = Math.min(12, Math.max(1, parseInt(fiscalYearStartMonth, 10) || 4))
+
+  // Calendar year the financial year containing a date starts in
+  const startYearOf = (date) => {
+    const day = dayjs(date)
+    return day.month() + 1 >= startMonth ? day.year() : day.year() - 1
+  }
+
+  const labelFor = (startYear) => {
+    if (fiscalYearLabelStyle !== 'long') return `FY${String(startYear).slice(-2)}`
+    return startMonth === 1 ? `FY${startYear}` : `FY${startYear}/${String(startYear + 1).slice(-2)}`
+  }
+
+  // Month within the financial year, 1 = the start month
+  const monthIndexOf = (date) => ((dayjs(date).month() + 1 - startMonth + 12) % 12) + 1
+
+  // Start year named by a label of either style ("FY25", "FY2025/26", "FY2025")
+  const startYearFromLabel = (label) => {
+    const match = /^FY(\d{4}|\d{2})/.exec(label || '')
+    if (!match) return null
+    return match[1].length === 2 ? 2000 + parseInt(match[1], 10) : parseInt(match[1], 10)
+  }
+
+  const yearStart = (startYear) => dayjs(`${startYear}-${String(startMonth).padStart(2, '0')}-01`)
+
+  return {
+    startMonth,
+
+    // e.g. "FY25"
+    fiscalYearOf: (date) => labelFor(startYearOf(date)),
+
+    // e.g. "FY25-01" for the first month of FY25
+    fiscalMonthOf: (date) => `${labelFor(startYearOf(date))}-${String(monthIndexOf(date)).padStart(2, '0')}`,
+
+    // e.g. "FY25-Q1" for the first three months of FY25
+    fiscalQuarterOf: (date) => `${labelFor(startYearOf(date))}-Q${Math.ceil(monthIndexOf(date) / 3)}`,
+
+    // First and last day of a financial year label, or null
+    fiscalYearWindow: (label) => {
+      const startYear = startYearFromLabel(label)
+      if (startYear === null) return null
+      const from = yearStart(startYear)
+      return { from, to: from.add(12, 'month').subtract(1, 'day') }
+    },
+
+    // First and last day of a fiscal quarter label ("FY25-Q2"), or null
+    fiscalQuarterWindow: (label) => {
+      const startYear = startYearFromLabel(label)
+      const quarter = parseInt(/-Q([1-4])$/.exec(label || '')?.[1], 10)
+      if (startYear === null || !quarter) return null
+      const from = yearStart(startYear).add((quarter - 1) * 3, 'month')
+      return { from, to: from.add(3, 'month').subtract(1, 'day') }
+    }
+  }
+}
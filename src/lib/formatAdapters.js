@@ -0,0 +1,125 @@
+// Adapters for other time-tracking exports (Harvest, Toggl, Clockify), applied before column mapping
+import dayjs from 'dayjs'
+import customParseFormat from 'dayjs/plugin/customParseFormat'
+import { FILTER_DEFAULTS } from './filterDefaults.js'
+
+dayjs.extend(customParseFormat)
+
+// Roles the dashboard reports on; other tools have no such field, so their rows are given one of these
+export const DASHBOARD_ROLES = FILTER_DEFAULTS.roles
+
+/**
+ * Reformats a date cell as the DD/MM/YYYY string the parser expects.
+ * Unreadable values pass through unchanged so they are reported as INVALID_DATE.
+ * @param {*} value
+ * @param {Array<string>} formats - Accepted source formats
+ * @returns {*}
+ */
+function toUkDate(value, formats) {
+  if (typeof value !== 'string') return value // Excel serials and Date cells are read as-is
+  const date = dayjs(value.trim(), formats, true)
+  return date.isValid() ? date.format('DD/MM/YYYY') : value
+}
+
+/**
+ * Converts an "H:MM" or "H:MM:SS" duration to decimal hours
+ * @param {*} value
+ * @returns {*} - Decimal hours, or the original value when it is not a clock duration
+ */
+function durationToHours(value) {
+  const match = String(value ?? '').trim().match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/)
+  if (!match) return value
+  const [, hours, minutes, seconds = '0'] = match
+  return Number(hours) + Number(minutes) / 60 + Number(seconds) / 3600
+}
+
+/**
+ * Maps a tool's billable flag onto the Productivity values used by the billability rules
+ * @param {*} value - e.g. "Yes", "No", true
+ * @returns {string}
+ */
+function billableToProductivity(value) {
+  return /^(yes|y|true|1|billable)$/i.test(String(value ?? '').trim()) ? 'Productive' : 'Unproductive'
+}
+
+// Registered adapters, tried in order. Each one claims a file when every header in its
+// signature is present, and turns a raw row into one keyed by CANONICAL_HEADERS.
+export const FORMAT_ADAPTERS = [
+  {
+    id: 'harvest',
+    name: 'Harvest',
+    signature: ['Date', 'Client', 'Project', 'Task', 'Hours', 'Billable?', 'First Name', 'Last Name'],
+    adaptRow: (row) => ({
+      "Member": [row['First Name'], row['Last Name']].filter(Boolean).join(' ').trim(),
+      "Date": toUkDate(row['Date'], ['YYYY-MM-DD', 'DD/MM/YYYY', 'D/M/YYYY']),
+      "Ticket": row['Notes'] || row['Task'],
+      "Work Role": row['Roles'],
+      "Work Type": row['Task'],
+      "Company": row['Client'],
+      "Hours": row['Hours'],
+      "Project/Ticket": row['Project'],
+      "Project Type": '',
+      "Role": row['Roles'],
+      "Productivity": billableToProductivity(row['Billable?'])
+    })
+  },
+  {
+    id: 'toggl',
+    name: 'Toggl Track',
+    signature: ['User', 'Email', 'Client', 'Project', 'Billable', 'Start date', 'Duration'],
+    adaptRow: (row) => ({
+      "Member": row['User'],
+      "Date": toUkDate(row['Start date'], ['YYYY-MM-DD', 'DD/MM/YYYY', 'D/M/YYYY']),
+      "Ticket": row['Description'] || row['Task'],
+      "Work Role": '',
+      "Work Type": row['Task'] || row['Tags'],
+      "Company": row['Client'],
+      "Hours": durationToHours(row['Duration']),
+      "Project/Ticket": row['Project'],
+      "Project Type": '',
+      "Role": '',
+      "Productivity": billableToProductivity(row['Billable'])
+    })
+  },
+  {
+    id: 'clockify',
+    name: 'Clockify',
+    signature: ['Project', 'Client', 'User', 'Email', 'Billable', 'Start Date', 'Duration (decimal)'],
+    adaptRow: (row) => ({
+      "Member": row['User'],
+      // Clockify's default export date format is MM/DD/YYYY
+      "Date": toUkDate(row['Start Date'], ['MM/DD/YYYY', 'M/D/YYYY', 'YYYY-MM-DD']),
+      "Ticket": row['Description'] || row['Task'],
+      "Work Role": row['Group'],
+      "Work Type": row['Task'] || row['Tags'],
+      "Company": row['Client'],
+      "Hours": row['Duration (decimal)'] || durationToHours(row['Duration (h)']),
+      "Project/Ticket": row['Project'],
+      "Project Type": '',
+      "Role": row['Group'],
+      "Productivity": billableToProductivity(row['Billable'])
+    })
+  }
+]
+
+/**
+ * Finds the adapter whose header signature matches a file's headers
+ * @param {Array<string>} headers - Headers of the first row
+ * @param {Array<Object>} [adapters] - Defaults to FORMAT_ADAPTERS
+ * @returns {Object|null} - The adapter, or null for our own PSA layout (and anything unrecognised)
+ */
+export function detectFormatAdapter(headers, adapters = FORMAT_ADAPTERS) {
+  const available = new Set(headers.map(header => String(header).trim()))
+  return adapters.find(adapter => adapter.signature.every(header => available.has(header))) || null
+}
+
+/**
+ * Matches an adapted row's Role against the dashboard roles (case-insensitive)
+ * @param {*} role - e.g. Harvest's Roles or Clockify's Group
+ * @param {Array<string>} [roles] - Defaults to DASHBOARD_ROLES
+ * @returns {string|null} - The dashboard role's spelling, or null when the value names none of them
+ */
+export function matchDashboardRole(role, roles = DASHBOARD_ROLES) {
+  const key = String(role ?? '').trim().toLowerCase()
+  return roles.find(candidate => candidate.toLowerCase() === key) || null
+}
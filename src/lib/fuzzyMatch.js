@@ -0,0 +1,25 @@
+// Small string-similarity helpers for duplicate suggestions (members, companies)
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a 
+ * @param {string} b 
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0]
+    previous[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j]
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+      diagonal = above
+    }
+  }
+  return previous[b.length]
+}
@@ -0,0 +1,53 @@
+// Dispatches an uploaded timesheet file to the reader for its format
+import { parseCsvFile } from './parseTimesheets.js'
+import { parseXlsxFile } from './parseXlsx.js'
+import { parseConnectWiseFile } from './parseConnectWise.js'
+import { STREAMING_MIN_BYTES, canStreamParse, parseCsvFileStreaming } from './streamingParse.js'
+
+// File extensions accepted by the upload control and drag & drop
+export const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.json']
+
+/**
+ * Checks whether a file has a supported timesheet extension
+ * @param {File} file 
+ * @returns {boolean}
+ */
+export function isSupportedFile(file) {
+  const name = (file?.name || '').toLowerCase()
+  return SUPPORTED_EXTENSIONS.some(ext => name.endsWith(ext))
+}
+
+/**
+ * Parses a CSV, XLSX or ConnectWise JSON timesheet file into clean rows
+ * @param {File} file 
+ * @param {Object} [options]
+ * @param {Object} [options.columnMapping]
+ * @param {Object} [options.sheetNames] - { fileName: sheetName } for multi-sheet workbooks
+ * @param {Function} [options.onProgress] - Progress callback for streamed (large CSV) parses
+ * @param {AbortSignal} [options.signal] - Cancels a streamed parse
+ * @returns {Promise<{rows: Array, rawRowCount: number, report: Object}>}
+ */
+export function parseTimesheetFile(file, options = {}) {
+  const name = (file?.name || '').toLowerCase()
+  
+  if (name.endsWith('.xlsx')) {
+    return parseXlsxFile(file, {
+      ...options,
+      sheetName: options.sheetNames?.[file.name]
+    })
+  }
+  
+  if (name.endsWith('.json')) {
+    return parseConnectWiseFile(file, options)
+  }
+  
+  // Large CSVs stream through a worker so the tab stays responsive
+  if (canStreamParse() && file.size >= STREAMING_MIN_BYTES) {
+    return parseCsvFileStreaming(file, options, {
+      onProgress: options.onProgress,
+      signal: options.signal
+    })
+  }
+  
+  return parseCsvFile(file, options)
+}
@@ -0,0 +1,103 @@
+// Ingestion report: which source rows were rejected during parsing and why
+import Papa from 'papaparse'
+
+// Reason codes recorded for rejected rows
+export const REJECTION_REASONS = {
+  ZERO_HOURS: 'Hours are zero or not a number',
+  NEGATIVE_HOURS: 'Hours are negative',
+  EXCLUDED_BY_RULE: 'Matched an exclusion rule in Settings',
+  INVALID_DATE: 'Date is not in DD/MM/YYYY, D/M/YYYY or DD/MM/YY format',
+  ROW_ERROR: 'Row could not be processed'
+}
+
+/**
+ * Creates an empty ingestion report for one source file
+ * @param {string|null} fileName
+ * @returns {Object}
+ */
+export function createIngestionReport(fileName = null) {
+  return {
+    fileName,
+    adapter: null, // { id, name, defaultRole, defaultRoleRows } when a Harvest/Toggl/Clockify export was detected
+    totalRows: 0,
+    acceptedRows: 0,
+    rejectedRows: [],
+    countsByReason: {}
+  }
+}
+
+/**
+ * Records a rejected row on the report
+ * @param {Object} report
+ * @param {Object} rejection
+ * @param {number} rejection.rowNumber - Spreadsheet row number (header is row 1)
+ * @param {string} rejection.reason - Key of REJECTION_REASONS
+ * @param {string} [rejection.detail] - Offending value or error message
+ * @param {Object} rejection.values - Original row values as read from the file
+ */
+export function recordRejection(report, { rowNumber, reason, detail = '', values }) {
+  report.rejectedRows.push({ rowNumber, reason, detail, values })
+  report.countsByReason[reason] = (report.countsByReason[reason] || 0) + 1
+}
+
+/**
+ * Totals rejection counts across several reports
+ * @param {Array<Object>} reports
+ * @returns {Object} - { reasonCode: count }
+ */
+export function sumCountsByReason(reports) {
+  const totals = {}
+  for (const report of reports) {
+    for (const [reason, count] of Object.entries(report.countsByReason)) {
+      totals[reason] = (totals[reason] || 0) + count
+    }
+  }
+  return totals
+}
+
+/**
+ * Builds a CSV of rejected rows with their original values, so the source export can be fixed
+ * @param {Array<Object>} reports
+ * @returns {string}
+ */
+export function rejectedRowsToCsv(reports) {
+  const originalColumns = []
+  for (const report of reports) {
+    for (const rejected of report.rejectedRows) {
+      Object.keys(rejected.values || {}).forEach(column => {
+        if (!originalColumns.includes(column)) originalColumns.push(column)
+      })
+    }
+  }
+
+  const data = reports.flatMap(report => report.rejectedRows.map(rejected => ({
+    'Source File': report.fileName || '',
+    'Row Number': rejected.rowNumber,
+    'Reason Code': rejected.reason,
+    'Reason': REJECTION_REASONS[rejected.reason] || rejected.reason,
+    'Detail': rejected.detail,
+    ...Object.fromEntries(originalColumns.map(column => [column, rejected.values?.[column] ?? '']))
+  })))
+
+  return Papa.unparse({
+    fields: ['Source File', 'Row Number', 'Reason Code', 'Reason', 'Detail', ...originalColumns],
+    data
+  })
+}
+
+/**
+ * Downloads the rejected rows of the given reports as a CSV file
+ * @param {Array<Object>} reports
+ * @param {string} filename
+ */
+export function downloadRejectedRows(reports, filename = 'rejected-rows.csv') {
+  const blob = new Blob([rejectedRowsToCsv(reports)], { type: 'text/csv;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  URL.revokeObjectURL(url)
+}
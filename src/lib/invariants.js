@@ -3,6 +3,7 @@
 export const DAY_HOURS = 7.5
 export const WEEK_HOURS = 37.5
 
+// Starting utilisation targets; the ones in force are edited in Settings (utilisationTargets)
 export const ROLE_TARGETS = {
   Cloud: 0.75,
   Network: 0.75,
@@ -24,7 +24,7 @@ export const LEGACY_COLUMN_MAPPING = {
   // Productivity column is already named correctly
 }
 
-// Work Type to Board category mapping
+// Default Work Type to Board category mapping (editable in Settings)
 export const WORK_TYPE_TO_BOARD = {
   // Delivery
   "Project Installation & Engineering": "Tech Delivery",
@@ -45,27 +45,81 @@ export const WORK_TYPE_TO_BOARD = {
   // Default for unmapped types: "Other"
 }
 
-// Internal company classification
+// Default board categories; more can be added in Settings
+export const BOARD_CATEGORIES = [
+  "Tech Delivery",
+  "PM Delivery",
+  "Internal Admin",
+  "Leave/Bank Holiday",
+  "Sick Leave",
+  "Training",
+  "Other"
+]
+
+// Default internal company classification (editable in Settings)
 export const INTERNAL_COMPANIES = new Set([
   "OryxAlign",
   "OryxAlign-Internal c/code"
 ])
 
+// Default Project Type patterns (case-insensitive regular expressions) marking internal work
+export const INTERNAL_PROJECT_TYPE_PATTERNS = ["^Internal"]
+
+/**
+ * Compiles the internal-work classification into a row test
+ * @param {Object} [classification]
+ * @param {Array<string>} [classification.companies] - Internal company names (case-insensitive)
+ * @param {Array<string>} [classification.projectTypePatterns] - Regular expressions tested against Project Type
+ * @returns {Function} - (row) => boolean
+ */
+export function createInternalClassifier({
+  companies = [...INTERNAL_COMPANIES],
+  projectTypePatterns = INTERNAL_PROJECT_TYPE_PATTERNS
+} = {}) {
+  const companySet = new Set(companies.map(company => company.trim().toLowerCase()))
+  const patterns = projectTypePatterns
+    .map(pattern => {
+      try {
+        return new RegExp(pattern, 'i')
+      } catch {
+        console.warn(`Ignoring invalid internal Project Type pattern: ${pattern}`)
+        return null
+      }
+    })
+    .filter(Boolean)
+  
+  return (row) => companySet.has(String(row.Company || '').trim().toLowerCase()) ||
+    patterns.some(pattern => pattern.test(row["Project Type"] || ''))
+}
+
 /**
  * Determines if a row is internal work
  * @param {Object} row - Clean row object
+ * @param {Object} [classification] - { companies, projectTypePatterns }, defaults to the built-in list
  * @returns {boolean}
  */
-export function isInternalWork(row) {
-  return INTERNAL_COMPANIES.has(row.Company) || 
-         (row["Project Type"] && row["Project Type"].startsWith("Internal"))
+export function isInternalWork(row, classification) {
+  return createInternalClassifier(classification)(row)
 }
 
 /**
  * Maps Work Type to board category
  * @param {string} workType 
+ * @param {Object} [workTypeMapping] - { "Work Type": "Board Category" }, the saved mapping from settings
  * @returns {string}
  */
-export function mapWorkTypeToBoard(workType) {
-  return WORK_TYPE_TO_BOARD[workType] || "Other"
+export function mapWorkTypeToBoard(workType, workTypeMapping = WORK_TYPE_TO_BOARD) {
+  return workTypeMapping[workType] || "Other"
+}
+
+/**
+ * Builds the column mapping used for parsing: legacy aliases extended by saved profiles
+ * @param {Object} profiles - { profileName: { "File Header": "Canonical Header" } }
+ * @returns {Object} - { "File Header": "Canonical Header" }
+ */
+export function buildColumnMapping(profiles = {}) {
+  return Object.values(profiles).reduce(
+    (mapping, profile) => ({ ...mapping, ...profile }),
+    { ...LEGACY_COLUMN_MAPPING }
+  )
 }
@@ -0,0 +1,113 @@
+// Member identity: one canonical name per person across exports and name formats
+import { editDistance } from './fuzzyMatch.js'
+
+/**
+ * Puts a member name into canonical "First Last" form.
+ * Handles the PSA's "Last, First" format and stray whitespace.
+ * @param {string} memberName 
+ * @returns {string}
+ */
+export function canonicalMemberName(memberName) {
+  if (!memberName) return 'Unknown'
+  
+  const trimmed = String(memberName).replace(/\s+/g, ' ').trim()
+  
+  // Handle "Last, First" format
+  if (trimmed.includes(',')) {
+    const parts = trimmed.split(',').map(part => part.trim())
+    if (parts.length >= 2 && parts[0] && parts[1]) {
+      return `${parts[1]} ${parts[0]}`
+    }
+  }
+  
+  return trimmed || 'Unknown'
+}
+
+/**
+ * Lookup key for alias matching (case-insensitive, canonical form)
+ * @param {string} memberName 
+ * @returns {string}
+ */
+function aliasKey(memberName) {
+  return canonicalMemberName(memberName).toLowerCase()
+}
+
+/**
+ * Creates a resolver mapping any raw member name to its canonical identity
+ * @param {Object} [aliases] - { "Alias Name": "Canonical Name" } from settings
+ * @returns {Function} - (rawName) => canonical name
+ */
+export function createMemberResolver(aliases = {}) {
+  const lookup = new Map(
+    Object.entries(aliases).map(([alias, canonical]) => [aliasKey(alias), canonicalMemberName(canonical)])
+  )
+  const cache = new Map()
+  
+  return (rawName) => {
+    if (cache.has(rawName)) return cache.get(rawName)
+    const canonical = canonicalMemberName(rawName)
+    const resolved = lookup.get(canonical.toLowerCase()) || canonical
+    cache.set(rawName, resolved)
+    return resolved
+  }
+}
+
+/**
+ * Explains why two canonical names probably belong to the same person, if they do
+ * @param {string} a 
+ * @param {string} b 
+ * @returns {string|null}
+ */
+function duplicateReason(a, b) {
+  const tokensA = a.toLowerCase().replace(/[^a-z\s'-]/g, '').split(' ').filter(Boolean)
+  const tokensB = b.toLowerCase().replace(/[^a-z\s'-]/g, '').split(' ').filter(Boolean)
+  if (tokensA.length === 0 || tokensB.length === 0) return null
+  
+  if ([...tokensA].sort().join(' ') === [...tokensB].sort().join(' ')) {
+    return 'Same name parts in a different order or case'
+  }
+  
+  // "M Bolton" vs "Mark Bolton"
+  const lastA = tokensA[tokensA.length - 1]
+  const lastB = tokensB[tokensB.length - 1]
+  if (lastA === lastB && tokensA[0][0] === tokensB[0][0] && (tokensA[0].length === 1 || tokensB[0].length === 1)) {
+    return 'Same surname and first initial'
+  }
+  
+  // Typos such as "Jon Smith" vs "John Smith"
+  const joinedA = tokensA.join(' ')
+  const joinedB = tokensB.join(' ')
+  if (Math.min(joinedA.length, joinedB.length) >= 6 && editDistance(joinedA, joinedB) <= 2) {
+    return 'Names differ by one or two characters'
+  }
+  
+  return null
+}
+
+/**
+ * Suggests members that are likely the same person under different names
+ * @param {Array} rows - Clean rows (Member already resolved)
+ * @returns {Array<{alias: string, canonical: string, reason: string}>} - alias is the less-used name
+ */
+export function suggestMemberDuplicates(rows) {
+  const rowCounts = new Map()
+  rows.forEach(row => rowCounts.set(row.Member, (rowCounts.get(row.Member) || 0) + 1))
+  
+  const members = Array.from(rowCounts.keys()).filter(member => member && member !== 'Unknown')
+  const suggestions = []
+  
+  for (let i = 0; i < members.length; i++) {
+    for (let j = i + 1; j < members.length; j++) {
+      const reason = duplicateReason(members[i], members[j])
+      if (!reason) continue
+      
+      // Fold the less-used name into the more-used one
+      const [alias, canonical] = rowCounts.get(members[i]) < rowCounts.get(members[j])
+        ? [members[i], members[j]]
+        : [members[j], members[i]]
+      suggestions.push({ alias, canonical, reason })
+    }
+  }
+  
+  return suggestions
+}
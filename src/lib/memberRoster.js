@@ -0,0 +1,51 @@
+// Member roster: employment start/end dates and FTE, used to prorate capacity
+import dayjs from 'dayjs'
+
+/**
+ * Member key used to match roster entries against rows (rows carry canonical names)
+ * @param {string} member
+ * @returns {string}
+ */
+function memberKey(member) {
+  return String(member || '').trim().toLowerCase()
+}
+
+/**
+ * Clamps an FTE value to 0..1, treating blanks as full time
+ * @param {number|string} fte
+ * @returns {number}
+ */
+export function normalizeFte(fte) {
+  const value = parseFloat(fte)
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 1
+}
+
+/**
+ * Builds a lookup of the share of a full schedule a member was available on a date.
+ * Members not on the roster are always full time. A rostered member is available at their FTE
+ * between their start and end dates (inclusive) and not at all outside them; several entries
+ * per member cover re-hires or FTE changes, the latest Start Date winning where they overlap.
+ * @param {Array<{member: string, startDate: string, endDate: string, fte: number}>} roster - Dates as YYYY-MM-DD, blank for open-ended
+ * @returns {function(string, dayjs.Dayjs|Date): number} - 0..1
+ */
+export function createAvailabilityResolver(roster = []) {
+  const byMember = new Map()
+  for (const entry of roster) {
+    const key = memberKey(entry.member)
+    if (!key) continue
+    if (!byMember.has(key)) byMember.set(key, [])
+    byMember.get(key).push(entry)
+  }
+  // Latest start first so the first entry covering a date is the one in force
+  byMember.forEach(entries => entries.sort((a, b) => (b.startDate || '').localeCompare(a.startDate || '')))
+
+  return (member, date) => {
+    const entries = byMember.get(memberKey(member))
+    if (!entries) return 1
+    const dateKey = dayjs(date).format('YYYY-MM-DD')
+    const entry = entries.find(e =>
+      (!e.startDate || e.startDate <= dateKey) && (!e.endDate || e.endDate >= dateKey)
+    )
+    return entry ? normalizeFte(entry.fte) : 0
+  }
+}
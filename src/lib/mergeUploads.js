@@ -0,0 +1,96 @@
+// Merging of several timesheet exports into one deduplicated dataset
+import dayjs from 'dayjs'
+import { parseTimesheetFile } from './importFile.js'
+
+// Fields that identify the same timesheet entry across overlapping exports
+export const DEDUPE_FIELDS = ['Member', 'Date', 'Ticket', 'Hours', 'Work Type']
+
+/**
+ * Builds the deduplication key for a clean row
+ * @param {Object} row - Clean row object
+ * @returns {string}
+ */
+export function entryKey(row) {
+  return DEDUPE_FIELDS.map(field => {
+    if (field === 'Date') return row.dateObj ? dayjs(row.dateObj).format('YYYY-MM-DD') : row.Date
+    if (field === 'Hours') return String(row.Hours)
+    return String(row[field] || '').trim()
+  }).join('|')
+}
+
+/**
+ * Merges parsed files, dropping entries already supplied by an earlier file.
+ * Repeats inside a single file are kept; only the overlap between files is removed.
+ * @param {Array<{fileName: string, rows: Array, rawRowCount: number, report: Object}>} parsedFiles
+ * @returns {{rows: Array, summary: Array, reports: Array}}
+ */
+export function mergeParsedFiles(parsedFiles) {
+  const mergedRows = []
+  const seenCounts = new Map()
+  const summary = []
+
+  for (const { fileName, rows, rawRowCount, report } of parsedFiles) {
+    const fileCounts = new Map()
+    let added = 0
+    let duplicates = 0
+
+    for (const row of rows) {
+      const key = entryKey(row)
+      const occurrence = (fileCounts.get(key) || 0) + 1
+      fileCounts.set(key, occurrence)
+
+      if (occurrence <= (seenCounts.get(key) || 0)) {
+        duplicates++
+        continue
+      }
+
+      mergedRows.push(row)
+      added++
+    }
+
+    fileCounts.forEach((count, key) => {
+      seenCounts.set(key, Math.max(seenCounts.get(key) || 0, count))
+    })
+
+    summary.push({
+      fileName,
+      // Export format the rows were read as (adapter name, or our own PSA layout)
+      format: report?.adapter?.name || 'PSA',
+      // Adapted rows given the configured role because the export named none of the dashboard roles
+      defaultRoleRows: report?.adapter?.defaultRoleRows || 0,
+      defaultRole: report?.adapter?.defaultRole || null,
+      rawRows: rawRowCount,
+      added,
+      skipped: rawRowCount - rows.length,
+      duplicates
+    })
+  }
+
+  return {
+    rows: mergedRows,
+    summary,
+    reports: parsedFiles.map(file => file.report).filter(Boolean)
+  }
+}
+
+/**
+ * Parses each file in turn and merges the results
+ * @param {Array<File>} files
+ * @param {Object} [options] - Passed through to parseTimesheetFile
+ * @returns {Promise<{rows: Array, summary: Array, reports: Array}>}
+ */
+export async function parseAndMergeFiles(files, options = {}) {
+  const parsedFiles = []
+
+  for (const file of files) {
+    try {
+      const { rows, rawRowCount, report } = await parseTimesheetFile(file, options)
+      parsedFiles.push({ fileName: file.name, rows, rawRowCount, report })
+    } catch (error) {
+      error.fileName = file.name
+      throw error
+    }
+  }
+
+  return mergeParsedFiles(parsedFiles)
+}
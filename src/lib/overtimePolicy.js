@@ -0,0 +1,57 @@
+// Overtime policies: the rules computeOvertime applies, as named, editable configuration
+
+// Entries of this Work Type mark the day as a bank holiday (when it is also a non-working type)
+export const BANK_HOLIDAY_WORK_TYPE = 'Bank/Holiday Leave'
+
+// Rounding increments offered in Settings (hours; 0 = no rounding)
+export const OVERTIME_ROUNDING_OPTIONS = [0, 0.25, 0.5, 1]
+
+// The policy the dashboard has always applied
+export const DEFAULT_OVERTIME_POLICY = {
+  id: 'policy-standard',
+  name: 'Standard',
+  // Weekly hours before overflow overtime; null = each member's scheduled week
+  weeklyThreshold: null,
+  // Work Types that are not work: they reduce the weekly threshold instead of counting as hours worked
+  nonWorkingWorkTypes: [BANK_HOLIDAY_WORK_TYPE, 'Sick Leave', 'Training'],
+  // Whether non-billable hours count towards overtime, or only billable (productive) ones
+  countUnproductive: false,
+  // Weekend and bank holiday hours are overtime, credited at this rate
+  weekendMultiplier: 1,
+  // Overtime figures are rounded to the nearest increment
+  roundingIncrement: 0.25
+}
+
+/**
+ * Fills any setting a stored policy lacks from DEFAULT_OVERTIME_POLICY
+ * @param {Object} [policy]
+ * @returns {Object}
+ */
+export function normalizePolicy(policy = {}) {
+  const threshold = parseFloat(policy.weeklyThreshold)
+  const multiplier = parseFloat(policy.weekendMultiplier)
+  const increment = parseFloat(policy.roundingIncrement)
+  return {
+    ...DEFAULT_OVERTIME_POLICY,
+    ...policy,
+    weeklyThreshold: Number.isFinite(threshold) && threshold >= 0 ? threshold : null,
+    nonWorkingWorkTypes: Array.isArray(policy.nonWorkingWorkTypes) ? policy.nonWorkingWorkTypes : DEFAULT_OVERTIME_POLICY.nonWorkingWorkTypes,
+    weekendMultiplier: Number.isFinite(multiplier) && multiplier >= 0 ? multiplier : DEFAULT_OVERTIME_POLICY.weekendMultiplier,
+    roundingIncrement: Number.isFinite(increment) && increment >= 0 ? increment : DEFAULT_OVERTIME_POLICY.roundingIncrement
+  }
+}
+
+/**
+ * One-line summary of a policy's rules, for legends and tooltips
+ * @param {Object} policy
+ * @returns {string}
+ */
+export function describePolicy(policy) {
+  const rules = normalizePolicy(policy)
+  return [
+    rules.weeklyThreshold === null ? 'scheduled week' : `${rules.weeklyThreshold}h week`,
+    rules.countUnproductive ? 'all hours' : 'productive hours',
+    `weekends ×${rules.weekendMultiplier}`,
+    rules.roundingIncrement > 0 ? `rounded to ${rules.roundingIncrement}h` : 'unrounded'
+  ].join(', ')
+}
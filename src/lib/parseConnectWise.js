@@ -0,0 +1,77 @@
+// ConnectWise Manage time entries (JSON saved from the REST time/entries endpoint) feeding the shared pipeline
+import dayjs from 'dayjs'
+import { normalizeRawRows } from './parseTimesheets.js'
+
+// ConnectWise billableOption values; only Billable time counts as productive
+const BILLABLE_OPTIONS = {
+  Billable: 'Productive',
+  DoNotBill: 'Unproductive',
+  NoCharge: 'Unproductive',
+  NoDefault: 'Unproductive'
+}
+
+// chargeToType values, shown as the Project Type
+const CHARGE_TO_TYPES = {
+  ServiceTicket: 'Service Ticket',
+  ProjectTicket: 'Project Ticket',
+  ChargeCode: 'Charge Code',
+  Activity: 'Activity'
+}
+
+/**
+ * Maps one ConnectWise time entry onto a raw row keyed by CANONICAL_HEADERS.
+ * timeStart is UTC; the entry is dated by its local start day.
+ * @param {Object} entry - Time entry as returned by GET /time/entries
+ * @returns {Object}
+ */
+export function connectWiseEntryToRow(entry) {
+  const start = entry.timeStart ? dayjs(entry.timeStart) : null
+  return {
+    "Entry ID": entry.id ?? '',
+    "Member": entry.member?.name || entry.member?.identifier || '',
+    "Date": start && start.isValid() ? start.format('DD/MM/YYYY') : String(entry.timeStart ?? ''),
+    "Ticket": entry.ticket?.id ?? entry.chargeToId ?? '',
+    "Work Role": entry.workRole?.name || '',
+    "Work Type": entry.workType?.name || '',
+    "Company": entry.company?.name || '',
+    "Hours": entry.actualHours ?? '',
+    "Project/Ticket": entry.project?.name || entry.ticket?.summary || entry.notes || '',
+    "Project Type": CHARGE_TO_TYPES[entry.chargeToType] || entry.chargeToType || '',
+    "Role": entry.department?.name || entry.workRole?.name || '',
+    "Productivity": BILLABLE_OPTIONS[entry.billableOption] || 'Unproductive'
+  }
+}
+
+/**
+ * Reads the saved JSON: an array of entries, or an array of pages (arrays) saved one after another
+ * @param {string} text
+ * @returns {Array<Object>}
+ * @throws {Error} When the JSON is not a list of time entries
+ */
+export function readConnectWiseEntries(text) {
+  const data = JSON.parse(text)
+  const entries = Array.isArray(data) ? data.flat() : null
+  if (!entries || entries.some(entry => !entry || typeof entry !== 'object' || !('timeStart' in entry))) {
+    throw new Error('Not a ConnectWise time entries file: expected the JSON array returned by /time/entries')
+  }
+  return entries
+}
+
+/**
+ * Parses a ConnectWise time entries JSON file to clean rows
+ * @param {File|string} fileOrString
+ * @param {Object} [options] - normalizeRawRows options
+ * @returns {Promise<{rows: Array, rawRowCount: number, report: Object}>}
+ */
+export async function parseConnectWiseFile(fileOrString, options = {}) {
+  const text = typeof fileOrString === 'string' ? fileOrString : await fileOrString.text()
+  const entries = readConnectWiseEntries(text)
+  console.log(`Parsed ${entries.length} ConnectWise time entries`)
+
+  const result = normalizeRawRows(entries.map(connectWiseEntryToRow), {
+    ...options,
+    fileName: typeof fileOrString === 'string' ? null : fileOrString.name
+  })
+  result.report.adapter = { id: 'connectwise', name: 'ConnectWise Manage' }
+  return result
+}
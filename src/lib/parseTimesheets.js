@@ -2,13 +2,22 @@ import Papa from 'papaparse'
 import dayjs from 'dayjs'
 import customParseFormat from 'dayjs/plugin/customParseFormat'
 import isoWeek from 'dayjs/plugin/isoWeek'
-import { CANONICAL_HEADERS, LEGACY_COLUMN_MAPPING, isInternalWork, mapWorkTypeToBoard } from './mapping.js'
+import { CANONICAL_HEADERS, LEGACY_COLUMN_MAPPING } from './mapping.js'
+import { createIngestionReport, recordRejection } from './ingestionReport.js'
+import { compileExclusionRules, describeRule } from './exclusionRules.js'
+import { SETTINGS_DEFAULTS } from './settingsDefaults.js'
+import { createFieldDeriver } from './deriveFields.js'
+import { detectFormatAdapter, matchDashboardRole } from './formatAdapters.js'
+import { isoWeekKey } from './workingCalendar.js'
 
 dayjs.extend(customParseFormat)
 dayjs.extend(isoWeek)
 
 const DATE_FORMATS = ['DD/MM/YYYY', 'D/M/YYYY', 'DD/MM/YY']
 
+// Day zero of Excel's 1900 date system (serial 1 = 01/01/1900, allowing for the 1900 leap-year bug)
+const EXCEL_EPOCH = dayjs('1899-12-30')
+
 /**
  * Safely converts a value to float, handling commas
  * @param {any} value 
@@ -19,12 +28,30 @@ function safeFloat(value) {
   return Number.isFinite(n) ? n : 0
 }
 
+/**
+ * Parses a date cell: DD/MM/YYYY-style strings, Excel serial numbers or Date objects
+ * @param {string|number|Date} value 
+ * @returns {dayjs.Dayjs} - Invalid dayjs when the value cannot be read
+ */
+function parseDateValue(value) {
+  if (value instanceof Date) {
+    return dayjs(value).startOf('day')
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0
+      ? EXCEL_EPOCH.add(Math.floor(value), 'day')
+      : dayjs(null)
+  }
+  return dayjs(typeof value === 'string' ? value.trim() : value, DATE_FORMATS, true)
+}
+
 /**
  * Maps legacy column names to canonical headers
  * @param {Object} rawRow 
+ * @param {Object} columnMapping - { "File Header": "Canonical Header" }
  * @returns {Object}
  */
-function normalizeColumnNames(rawRow) {
+function normalizeColumnNames(rawRow, columnMapping = LEGACY_COLUMN_MAPPING) {
   const normalized = {}
   
   // First, copy all existing columns
@@ -32,8 +59,8 @@ function normalizeColumnNames(rawRow) {
     normalized[key] = rawRow[key]
   })
   
-  // Then apply legacy mappings
-  Object.entries(LEGACY_COLUMN_MAPPING).forEach(([legacy, canonical]) => {
+  // Then apply legacy and profile mappings
+  Object.entries(columnMapping).forEach(([legacy, canonical]) => {
     if (rawRow[legacy] !== undefined) {
       normalized[canonical] = rawRow[legacy]
       // Keep the legacy column for now, don't delete
@@ -44,48 +71,26 @@ function normalizeColumnNames(rawRow) {
 }
 
 /**
- * Calculates fiscal year from a date (assuming April start)
- * @param {dayjs.Dayjs} date 
- * @returns {string} e.g., "FY25"
- */
-function getFiscalYear(date) {
-  const year = date.year()
-  const month = date.month() + 1 // dayjs months are 0-indexed
-  
-  if (month >= 4) {
-    // Apr-Dec: current fiscal year
-    return `FY${String(year).slice(-2)}`
-  } else {
-    // Jan-Mar: previous fiscal year
-    return `FY${String(year - 1).slice(-2)}`
-  }
-}
-
-/**
- * Calculates fiscal month from a date
- * @param {dayjs.Dayjs} date 
- * @returns {string} e.g., "FY25-04"
+ * Parses CSV to clean rows with derived fields
+ * @param {File|string} fileOrString 
+ * @param {Object} [options]
+ * @param {Object} [options.columnMapping] - Defaults to LEGACY_COLUMN_MAPPING
+ * @returns {Promise<Array>}
  */
-function getFiscalMonth(date) {
-  const fiscalYear = getFiscalYear(date)
-  const month = date.month() + 1
-  
-  let fiscalMonth
-  if (month >= 4) {
-    fiscalMonth = month - 3 // Apr=1, May=2, ..., Dec=9
-  } else {
-    fiscalMonth = month + 9 // Jan=10, Feb=11, Mar=12
-  }
-  
-  return `${fiscalYear}-${String(fiscalMonth).padStart(2, '0')}`
+export function parseCsvToRows(fileOrString, options = {}) {
+  return parseCsvFile(fileOrString, options).then(result => result.rows)
 }
 
 /**
- * Parses CSV to clean rows with derived fields
+ * Parses CSV to clean rows and reports how many raw rows were read and which were rejected
  * @param {File|string} fileOrString 
- * @returns {Promise<Array>}
+ * @param {Object} [options]
+ * @param {Object} [options.columnMapping] - Defaults to LEGACY_COLUMN_MAPPING
+ * @returns {Promise<{rows: Array, rawRowCount: number, report: Object}>}
  */
-export function parseCsvToRows(fileOrString) {
+export function parseCsvFile(fileOrString, options = {}) {
+  const fileName = typeof fileOrString === 'string' ? null : fileOrString?.name || null
+  
   return new Promise((resolve, reject) => {
     Papa.parse(fileOrString, {
       header: true,
@@ -99,252 +104,7 @@ export function parseCsvToRows(fileOrString) {
           const rawRows = results.data || []
           console.log(`Parsed ${rawRows.length} raw rows from CSV`)
           
-          if (rawRows.length === 0) {
-            resolve([])
-            return
-          }
-          
-          // Log available headers for debugging
-          const availableHeaders = Object.keys(rawRows[0] || {})
-          console.log('Available CSV headers:', availableHeaders)
-          
-          // Debug: Show raw CSV data for first few rows
-          console.log('parseTimesheets - RAW CSV DATA (first 3 rows):')
-          rawRows.slice(0, 3).forEach((row, index) => {
-            console.log(`Raw row ${index + 1}:`, {
-              'Productive/Unproductive': row['Productive/Unproductive'],
-              'Productivity': row['Productivity'],
-              'Role': row['Role'],
-              'Member': row['Member'],
-              'Hours': row['Hours']
-            })
-          })
-          
-          // Check for missing canonical headers
-          const missingHeaders = []
-          for (const canonical of CANONICAL_HEADERS) {
-            const hasDirectMatch = availableHeaders.includes(canonical)
-            const hasLegacyMatch = Object.keys(LEGACY_COLUMN_MAPPING).some(legacy => 
-              availableHeaders.includes(legacy) && LEGACY_COLUMN_MAPPING[legacy] === canonical
-            )
-            
-            if (!hasDirectMatch && !hasLegacyMatch) {
-              missingHeaders.push(canonical)
-            }
-          }
-          
-          if (missingHeaders.length > 0) {
-            console.error('parseTimesheets - MISSING HEADERS:', missingHeaders)
-            console.error('parseTimesheets - Available headers:', availableHeaders)
-            const error = new Error(`Missing required headers: ${missingHeaders.join(', ')}`)
-            error.missingHeaders = missingHeaders
-            reject(error)
-            return
-          }
-          
-          console.log('parseTimesheets - All required headers found ✅')
-          
-          // Validate first few rows for date parsing
-          console.log('parseTimesheets - Testing date parsing on first 3 rows...')
-          for (let i = 0; i < Math.min(3, rawRows.length); i++) {
-            const row = rawRows[i]
-            const dateString = row.Date
-            console.log(`Row ${i + 1} date: "${dateString}"`)
-            
-            const date = dayjs(dateString, DATE_FORMATS, true)
-            if (!date.isValid()) {
-              console.error(`parseTimesheets - INVALID DATE in row ${i + 1}: "${dateString}"`)
-              console.error(`parseTimesheets - Expected format: DD/MM/YYYY, D/M/YYYY, or DD/MM/YY`)
-              const error = new Error(`Invalid date format in row ${i + 1}: "${dateString}". Expected DD/MM/YYYY format.`)
-              reject(error)
-              return
-            }
-            console.log(`Row ${i + 1} date parsed successfully: ${date.format('YYYY-MM-DD')}`)
-          }
-          
-          const cleanRows = rawRows
-            .map((rawRow, index) => {
-              try {
-                // Normalize column names
-                const normalized = normalizeColumnNames(rawRow)
-                
-                // Parse Hours and filter out zero hours
-                const hours = safeFloat(normalized.Hours)
-                if (hours <= 0) {
-                  console.log(`parseTimesheets - Row ${index + 1} filtered: Hours <= 0 (${hours})`)
-                  return null
-                }
-                
-                // Exclude HoPS role
-                if (normalized.Role === "HoPS") {
-                  console.log(`parseTimesheets - Row ${index + 1} filtered: Role is HoPS`)
-                  return null
-                }
-                
-                // Parse date
-                const dateString = normalized.Date
-                const date = dayjs(dateString, DATE_FORMATS, true)
-                if (!date.isValid()) {
-                  console.error(`parseTimesheets - Row ${index + 1} filtered: Invalid date "${dateString}"`)
-                  return null
-                }
-                
-                // Build clean row with canonical headers + derived fields
-                const cleanRow = {}
-                
-                // Copy canonical headers
-                CANONICAL_HEADERS.forEach(header => {
-                  cleanRow[header] = normalized[header] || ''
-                })
-                
-                // Override Hours with parsed float
-                cleanRow.Hours = hours
-                
-                // Add derived fields
-                cleanRow.dateObj = date.toDate()
-                cleanRow.calendarMonth = date.format('YYYY-MM')
-                cleanRow.fiscalYear = getFiscalYear(date)
-                cleanRow.fiscalMonth = getFiscalMonth(date)
-                cleanRow.isoWeek = `${date.format('YYYY')}-W${String(date.isoWeek()).padStart(2, '0')}`
-                cleanRow.dow = date.isoWeekday() // 1=Monday, 7=Sunday
-                cleanRow.isWeekend = cleanRow.dow >= 6
-                
-                // Set default values for fields that might not exist in the CSV
-                cleanRow.Company = cleanRow.Company || 'Unknown'
-                cleanRow["Project/Ticket"] = cleanRow["Project/Ticket"] || 'Unknown'
-                cleanRow["Project Type"] = cleanRow["Project Type"] || 'Unknown'
-                cleanRow["Work Type"] = cleanRow["Work Type"] || 'Unknown'
-                cleanRow.boardWorkType = mapWorkTypeToBoard(cleanRow["Work Type"])
-                cleanRow.isInternal = isInternalWork(cleanRow)
-                
-                // Calculate isBillable AFTER Productivity field is set
-                cleanRow.isBillable = cleanRow.Productivity === "Productive"
-                
-                // Debug: Log the exact calculation for this row
-                if (index < 10) { // Only log for first few rows to avoid spam
-                  console.log(`parseTimesheets - Row ${index + 1} isBillable calculation:`, {
-                    Productivity: cleanRow.Productivity,
-                    isProductive: cleanRow.Productivity === "Productive",
-                    isUnproductive: cleanRow.Productivity === "Unproductive",
-                    isBillable: cleanRow.isBillable,
-                    Role: cleanRow.Role,
-                    Member: cleanRow.Member,
-                    Hours: cleanRow.Hours
-                  })
-                }
-                
-                return cleanRow
-              } catch (rowError) {
-                console.error(`parseTimesheets - Error processing row ${index + 1}:`, rowError)
-                console.error(`parseTimesheets - Row data:`, rawRow)
-                return null
-              }
-            })
-            .filter(row => row !== null) // Remove filtered out rows
-          
-          console.log(`parseTimesheets - Processing summary:`)
-          console.log(`  - Total rows: ${rawRows.length}`)
-          console.log(`  - Clean rows: ${cleanRows.length}`)
-          console.log(`  - Filtered out: ${rawRows.length - cleanRows.length}`)
-          
-          if (cleanRows.length === 0) {
-            console.error(`parseTimesheets - ALL ROWS WERE FILTERED OUT!`)
-            console.error(`parseTimesheets - This means every row failed validation`)
-            console.error(`parseTimesheets - Check the logs above for specific reasons`)
-          }
-          
-          console.log(`Processed ${cleanRows.length} clean rows after filtering`)
-          
-          // Debug: Log productivity and billable status for first few rows
-          if (cleanRows.length > 0) {
-            console.log('Sample clean row:', cleanRows[0])
-            
-            // Show productivity breakdown for first few rows
-            cleanRows.slice(0, 5).forEach((row, index) => {
-              console.log(`Row ${index + 1} data:`, {
-                Productivity: row.Productivity,
-                isBillable: row.isBillable,
-                Role: row.Role,
-                Member: row.Member,
-                Hours: row.Hours
-              })
-            })
-            
-            // Debug: Show productivity field analysis
-            const productivityValues = [...new Set(cleanRows.map(row => row.Productivity))]
-            console.log('parseTimesheets - All unique Productivity values found:', productivityValues)
-            
-            // Show how many rows have each productivity value
-            const productivityCounts = {}
-            cleanRows.forEach(row => {
-              const productivity = row.Productivity || 'Unknown'
-              productivityCounts[productivity] = (productivityCounts[productivity] || 0) + 1
-            })
-            console.log('parseTimesheets - Productivity value counts:', productivityCounts)
-            
-            // Debug: Show detailed productivity analysis
-            console.log('parseTimesheets - DETAILED PRODUCTIVITY ANALYSIS:')
-            const productivityAnalysis = {}
-            cleanRows.forEach(row => {
-              const productivity = row.Productivity || 'Unknown'
-              const trimmed = productivity.trim()
-              const lower = productivity.toLowerCase()
-              const upper = productivity.toUpperCase()
-              
-              if (!productivityAnalysis[productivity]) {
-                productivityAnalysis[productivity] = {
-                  count: 0,
-                  trimmed,
-                  lower,
-                  upper,
-                  isProductive: productivity === "Productive",
-                  isUnproductive: productivity === "Unproductive",
-                  isProductiveLower: lower === "productive",
-                  isUnproductiveLower: lower === "unproductive"
-                }
-              }
-              productivityAnalysis[productivity].count++
-            })
-            
-            Object.entries(productivityAnalysis).forEach(([value, analysis]) => {
-              console.log(`Productivity "${value}":`, analysis)
-            })
-            
-            // Show how many rows are marked as billable
-            const billableCount = cleanRows.filter(row => row.isBillable).length
-            const totalCount = cleanRows.length
-            console.log(`parseTimesheets - Billable rows: ${billableCount}/${totalCount} (${Math.round(billableCount/totalCount*100)}%)`)
-            
-            // Debug: Show the exact isBillable calculation for first few rows
-            console.log('parseTimesheets - DETAILED isBillable ANALYSIS:')
-            cleanRows.slice(0, 10).forEach((row, index) => {
-              const productivity = row.Productivity
-              const trimmedProductivity = productivity ? productivity.trim() : ''
-              const isProductive = trimmedProductivity === "Productive"
-              const calculatedIsBillable = isProductive
-              
-              console.log(`Row ${index + 1}:`, {
-                rawProductivity: `"${productivity}"`,
-                trimmedProductivity: `"${trimmedProductivity}"`,
-                isProductive,
-                calculatedIsBillable,
-                actualIsBillable: row.isBillable,
-                match: calculatedIsBillable === row.isBillable ? '✅' : '❌',
-                Role: row.Role,
-                Member: row.Member
-              })
-            })
-            
-            // Debug: Show role breakdown
-            const roleCounts = {}
-            cleanRows.forEach(row => {
-              const role = row.Role || 'Unknown'
-              roleCounts[role] = (roleCounts[role] || 0) + 1
-            })
-            console.log('parseTimesheets - Role counts:', roleCounts)
-          }
-          
-          resolve(cleanRows)
+          resolve(normalizeRawRows(rawRows, { ...options, fileName }))
         } catch (error) {
           reject(error)
         }
@@ -355,3 +115,256 @@ export function parseCsvToRows(fileOrString) {
     })
   })
 }
+
+/**
+ * Turns raw rows keyed by source headers into clean rows with derived fields.
+ * Shared by every reader (CSV, XLSX) so all sources get identical normalisation.
+ * @param {Array<Object>} rawRows
+ * @param {Object} [options]
+ * @param {Object} [options.columnMapping] - Defaults to LEGACY_COLUMN_MAPPING
+ * @param {string} [options.fileName] - Source file name for the ingestion report
+ * @param {Array<Object>} [options.exclusionRules] - Defaults to SETTINGS_DEFAULTS.exclusionRules
+ * @param {boolean} [options.excludeZeroHours] - Defaults to true
+ * @param {Object} [options.memberAliases] - { "Alias Name": "Canonical Name" }
+ * @param {Object} [options.companyAliases] - { "Raw Name": "Canonical Name" }
+ * @param {Object} [options.workTypeMapping] - { "Work Type": "Board Category" }
+ * @param {Array<string>} [options.internalCompanies] - Internal company names
+ * @param {Array<string>} [options.internalProjectTypePatterns] - Internal Project Type regexes
+ * @param {Array<string>} [options.billableProductivityValues] - Productivity values classed as billable
+ * @param {Array<string>} [options.nonBillableProductivityValues] - Productivity values classed as non-billable
+ * @param {Array<Object>} [options.billabilityOverrides] - Work Type / Company billability overrides
+ * @param {boolean} [options.defaultBillable] - Billable status when no other rule applies
+ * @param {Array<Object>} [options.formatAdapters] - Defaults to FORMAT_ADAPTERS
+ * @param {string} [options.adapterRole] - Role of adapted rows naming none of the dashboard roles
+ * @returns {{rows: Array, rawRowCount: number, report: Object}}
+ * @throws {Error} With missingHeaders, availableHeaders and previewRows when required headers are absent
+ */
+export function normalizeRawRows(rawRows, options = {}) {
+  const normalizer = createRowNormalizer(options)
+  normalizer.push(rawRows)
+  return normalizer.finish()
+}
+
+/**
+ * Creates an incremental normaliser so rows can be fed chunk by chunk (streaming parse).
+ * Pushing every raw row in one call or across many chunks gives the same result.
+ * @param {Object} [options] - Same as normalizeRawRows
+ * @returns {{push: Function, finish: Function, report: Object}}
+ */
+export function createRowNormalizer(options = {}) {
+  const columnMapping = options.columnMapping || LEGACY_COLUMN_MAPPING
+  const report = createIngestionReport(options.fileName || null)
+  const context = {
+    columnMapping,
+    report,
+    matchExclusion: compileExclusionRules(options.exclusionRules ?? SETTINGS_DEFAULTS.exclusionRules),
+    excludeZeroHours: options.excludeZeroHours ?? SETTINGS_DEFAULTS.excludeZeroHours,
+    deriveFields: createFieldDeriver(options),
+    // Detected from the first chunk's headers; null for our own PSA layout
+    adapter: null,
+    // Role of adapted rows whose tool gives none of the dashboard roles
+    adapterRole: options.adapterRole || SETTINGS_DEFAULTS.adapterRole
+  }
+  const cleanRows = []
+  let rawRowCount = 0
+  
+  /**
+   * Normalises the next chunk of raw rows; the first chunk is checked for required headers
+   * @param {Array<Object>} rawRows
+   * @returns {number} - Clean rows accepted from this chunk
+   */
+  function push(rawRows) {
+    if (rawRows.length === 0) return 0
+    
+    if (rawRowCount === 0) {
+      context.adapter = detectFormatAdapter(Object.keys(rawRows[0] || {}), options.formatAdapters)
+      report.adapter = context.adapter
+        ? { id: context.adapter.id, name: context.adapter.name, defaultRole: context.adapterRole, defaultRoleRows: 0 }
+        : null
+      checkRequiredHeaders(context.adapter ? rawRows.slice(0, 5).map(context.adapter.adaptRow) : rawRows, columnMapping)
+    }
+    
+    const offset = rawRowCount
+    rawRowCount += rawRows.length
+    report.totalRows = rawRowCount
+    
+    let accepted = 0
+    rawRows.forEach((rawRow, chunkIndex) => {
+      const cleanRow = normalizeRow(rawRow, offset + chunkIndex, context)
+      if (cleanRow !== null) {
+        cleanRows.push(cleanRow)
+        accepted++
+      }
+    })
+    return accepted
+  }
+  
+  /**
+   * Completes the report once every chunk has been pushed
+   * @returns {{rows: Array, rawRowCount: number, report: Object}}
+   */
+  function finish() {
+    if (rawRowCount === 0) {
+      return { rows: [], rawRowCount: 0, report }
+    }
+    return summariseCleanRows(cleanRows, rawRowCount, report)
+  }
+  
+  return { push, finish, report }
+}
+
+/**
+ * Throws when the first rows lack any canonical header (directly or through the mapping)
+ * @param {Array<Object>} rawRows - Leading raw rows
+ * @param {Object} columnMapping
+ * @throws {Error} With missingHeaders, availableHeaders and previewRows
+ */
+function checkRequiredHeaders(rawRows, columnMapping) {
+  // Log available headers for debugging
+  const availableHeaders = Object.keys(rawRows[0] || {})
+  console.log('Available headers:', availableHeaders)
+  
+  // Check for missing canonical headers
+  const missingHeaders = []
+  for (const canonical of CANONICAL_HEADERS) {
+    const hasDirectMatch = availableHeaders.includes(canonical)
+    const hasLegacyMatch = Object.keys(columnMapping).some(legacy => 
+      availableHeaders.includes(legacy) && columnMapping[legacy] === canonical
+    )
+    
+    if (!hasDirectMatch && !hasLegacyMatch) {
+      missingHeaders.push(canonical)
+    }
+  }
+  
+  if (missingHeaders.length > 0) {
+    console.error('parseTimesheets - MISSING HEADERS:', missingHeaders)
+    console.error('parseTimesheets - Available headers:', availableHeaders)
+    const error = new Error(`Missing required headers: ${missingHeaders.join(', ')}`)
+    error.missingHeaders = missingHeaders
+    error.availableHeaders = availableHeaders
+    error.previewRows = rawRows.slice(0, 5)
+    throw error
+  }
+  
+  console.log('parseTimesheets - All required headers found ✅')
+}
+
+/**
+ * Normalises one raw row, recording a rejection on the report when it fails validation
+ * @param {Object} rawRow
+ * @param {number} index - Zero-based position of the row in the file
+ * @param {Object} context - { columnMapping, report, matchExclusion, excludeZeroHours, deriveFields, adapter, adapterRole }
+ * @returns {Object|null} - Clean row, or null when rejected
+ */
+function normalizeRow(rawRow, index, { columnMapping, report, matchExclusion, excludeZeroHours, deriveFields, adapter, adapterRole }) {
+  try {
+    // Other tools' exports are reshaped first; rejections still report the original values
+    const sourceRow = adapter ? adapter.adaptRow(rawRow) : rawRow
+    
+    // Without a dashboard role the default role filter would hide the rows, so they get the configured one
+    if (adapter) {
+      const role = matchDashboardRole(sourceRow.Role)
+      if (!role) report.adapter.defaultRoleRows++
+      sourceRow.Role = role || adapterRole
+    }
+    
+    // Normalize column names
+    const normalized = normalizeColumnNames(sourceRow, columnMapping)
+    
+    // Spreadsheet row number of this entry (header is row 1)
+    const rowNumber = index + 2
+    
+    // Parse Hours; negative hours are never valid, zero hours only when the rule is off
+    const hours = safeFloat(normalized.Hours)
+    if (hours < 0) {
+      recordRejection(report, { rowNumber, reason: 'NEGATIVE_HOURS', detail: String(normalized.Hours ?? ''), values: rawRow })
+      return null
+    }
+    if (hours === 0 && excludeZeroHours) {
+      recordRejection(report, { rowNumber, reason: 'ZERO_HOURS', detail: String(normalized.Hours ?? ''), values: rawRow })
+      return null
+    }
+    
+    // Configured exclusion rules (e.g. the HoPS role)
+    const excludedBy = matchExclusion(normalized)
+    if (excludedBy) {
+      recordRejection(report, { rowNumber, reason: 'EXCLUDED_BY_RULE', detail: describeRule(excludedBy), values: rawRow })
+      return null
+    }
+    
+    // Parse date
+    const dateValue = normalized.Date
+    const date = parseDateValue(dateValue)
+    if (!date.isValid()) {
+      recordRejection(report, { rowNumber, reason: 'INVALID_DATE', detail: String(dateValue ?? ''), values: rawRow })
+      return null
+    }
+    
+    // Build clean row with canonical headers + derived fields
+    const cleanRow = {}
+    
+    // Copy canonical headers (spreadsheet cells may be numbers, e.g. Ticket)
+    CANONICAL_HEADERS.forEach(header => {
+      const value = normalized[header]
+      cleanRow[header] = value === undefined || value === null ? '' : String(value)
+    })
+    
+    // Override Hours with parsed float
+    cleanRow.Hours = hours
+    
+    // Spreadsheet serials and Date cells become the DD/MM/YYYY string every consumer expects
+    if (typeof dateValue !== 'string') {
+      cleanRow.Date = date.format('DD/MM/YYYY')
+    }
+    
+    // Add derived fields
+    cleanRow.dateObj = date.toDate()
+    cleanRow.calendarMonth = date.format('YYYY-MM')
+    cleanRow.isoWeek = isoWeekKey(date)
+    cleanRow.dow = date.isoWeekday() // 1=Monday, 7=Sunday
+    cleanRow.isWeekend = cleanRow.dow >= 6
+    
+    // Set default values for fields that might not exist in the CSV
+    cleanRow.Company = cleanRow.Company || 'Unknown'
+    cleanRow["Project/Ticket"] = cleanRow["Project/Ticket"] || 'Unknown'
+    cleanRow["Project Type"] = cleanRow["Project Type"] || 'Unknown'
+    cleanRow["Work Type"] = cleanRow["Work Type"] || 'Unknown'
+    
+    // Settings-dependent fields (member and company identity, board category, internal work, billability, fiscal periods)
+    deriveFields(cleanRow)
+    
+    return cleanRow
+  } catch (rowError) {
+    console.error(`parseTimesheets - Error processing row ${index + 1}:`, rowError)
+    recordRejection(report, { rowNumber: index + 2, reason: 'ROW_ERROR', detail: rowError.message, values: rawRow })
+    return null
+  }
+}
+
+/**
+ * Logs the processing summary and completes the report
+ * @param {Array} cleanRows
+ * @param {number} rawRowCount
+ * @param {Object} report
+ * @returns {{rows: Array, rawRowCount: number, report: Object}}
+ */
+function summariseCleanRows(cleanRows, rawRowCount, report) {
+  console.log(`parseTimesheets - Processing summary:`)
+  console.log(`  - Total rows: ${rawRowCount}`)
+  console.log(`  - Clean rows: ${cleanRows.length}`)
+  console.log(`  - Filtered out: ${rawRowCount - cleanRows.length}`)
+  console.log(`  - Rejections by reason:`, report.countsByReason)
+  
+  report.acceptedRows = cleanRows.length
+  
+  if (cleanRows.length === 0) {
+    console.error(`parseTimesheets - ALL ROWS WERE FILTERED OUT!`)
+    console.error(`parseTimesheets - This means every row failed validation`)
+    console.error(`parseTimesheets - Check the ingestion report for specific reasons`)
+  }
+  
+  console.log(`Processed ${cleanRows.length} clean rows after filtering`)
+  
+  return { rows: cleanRows, rawRowCount, report }
+}
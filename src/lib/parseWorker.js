@@ -0,0 +1,69 @@
+// Web Worker: streams a CSV through Papa's chunked parser and normalises each chunk off the main thread
+import Papa from 'papaparse'
+import { createRowNormalizer } from './parseTimesheets.js'
+
+// Bytes handed to each chunk callback
+const CHUNK_SIZE = 512 * 1024
+
+self.onmessage = (event) => {
+  const { file, options } = event.data
+  const normalizer = createRowNormalizer({ ...options, fileName: file.name })
+  const startedAt = performance.now()
+  let processedRows = 0
+  let failed = false
+  
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: true,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results, parser) => {
+      try {
+        normalizer.push(results.data || [])
+      } catch (error) {
+        failed = true
+        parser.abort()
+        postError(error)
+        return
+      }
+      
+      processedRows += results.data.length
+      const elapsedSeconds = (performance.now() - startedAt) / 1000
+      self.postMessage({
+        type: 'progress',
+        fileName: file.name,
+        processedRows,
+        processedBytes: results.meta.cursor,
+        totalBytes: file.size,
+        rowsPerSecond: elapsedSeconds > 0 ? Math.round(processedRows / elapsedSeconds) : 0
+      })
+    },
+    complete: () => {
+      // complete also fires after abort(); the error has already been posted
+      if (failed) return
+      try {
+        self.postMessage({ type: 'done', result: normalizer.finish() })
+      } catch (error) {
+        postError(error)
+      }
+    },
+    error: (error) => {
+      postError(error)
+    }
+  })
+}
+
+/**
+ * Sends an error back with the fields the upload flow relies on (e.g. missingHeaders)
+ * @param {Error} error 
+ */
+function postError(error) {
+  self.postMessage({
+    type: 'error',
+    error: {
+      message: error.message,
+      missingHeaders: error.missingHeaders,
+      availableHeaders: error.availableHeaders,
+      previewRows: error.previewRows
+    }
+  })
+}
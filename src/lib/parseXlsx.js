@@ -0,0 +1,61 @@
+// Native Excel (.xlsx) timesheet reader feeding the shared normalisation pipeline
+import * as XLSX from 'xlsx'
+import { normalizeRawRows } from './parseTimesheets.js'
+
+/**
+ * Reads a workbook from a File (or ArrayBuffer)
+ * @param {File|ArrayBuffer} fileOrBuffer 
+ * @returns {Promise<Object>} - SheetJS workbook
+ */
+async function readWorkbook(fileOrBuffer) {
+  const data = fileOrBuffer instanceof ArrayBuffer ? fileOrBuffer : await fileOrBuffer.arrayBuffer()
+  // Keep date cells as Excel serial numbers; the pipeline converts them
+  return XLSX.read(data, { type: 'array', cellDates: false })
+}
+
+/**
+ * Lists the worksheet names of a workbook
+ * @param {File|ArrayBuffer} fileOrBuffer 
+ * @returns {Promise<Array<string>>}
+ */
+export async function listXlsxSheets(fileOrBuffer) {
+  const workbook = await readWorkbook(fileOrBuffer)
+  return workbook.SheetNames
+}
+
+/**
+ * Parses one worksheet of an .xlsx file to clean rows
+ * @param {File|ArrayBuffer} fileOrBuffer 
+ * @param {Object} [options] - normalizeRawRows options plus sheetName
+ * @param {string} [options.sheetName] - Required when the workbook has more than one sheet
+ * @returns {Promise<{rows: Array, rawRowCount: number, report: Object, sheetName: string}>}
+ * @throws {Error} With sheetNames when the sheet to read is ambiguous or unknown
+ */
+export async function parseXlsxFile(fileOrBuffer, options = {}) {
+  const workbook = await readWorkbook(fileOrBuffer)
+  const sheetNames = workbook.SheetNames
+  const sheetName = options.sheetName || (sheetNames.length === 1 ? sheetNames[0] : null)
+  
+  if (!sheetName || !workbook.Sheets[sheetName]) {
+    const error = new Error(sheetName
+      ? `Sheet "${sheetName}" not found in workbook`
+      : 'Workbook has several sheets; choose which one to import')
+    error.sheetNames = sheetNames
+    throw error
+  }
+  
+  const rawRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+    raw: true,
+    defval: '',
+    blankrows: false
+  })
+  console.log(`Parsed ${rawRows.length} raw rows from sheet "${sheetName}"`)
+  
+  const fileName = fileOrBuffer instanceof ArrayBuffer ? null : fileOrBuffer.name
+  const result = normalizeRawRows(rawRows, {
+    ...options,
+    fileName: fileName ? `${fileName} [${sheetName}]` : sheetName
+  })
+  
+  return { ...result, sheetName }
+}
@@ -0,0 +1,98 @@
+// Default application settings for the time analytics dashboard
+import { BOARD_CATEGORIES, WORK_TYPE_TO_BOARD, INTERNAL_COMPANIES, INTERNAL_PROJECT_TYPE_PATTERNS } from './mapping.js'
+import { ROLE_TARGETS } from './invariants.js'
+import { DEFAULT_OVERTIME_POLICY } from './overtimePolicy.js'
+
+export const SETTINGS_DEFAULTS = {
+  // Named column mapping profiles: { profileName: { "File Header": "Canonical Header" } }
+  // Each profile extends LEGACY_COLUMN_MAPPING when a file is parsed
+  columnMappingProfiles: {},
+  
+  // How a new upload combines with loaded data: 'replace' (all) or 'append' (replace its date range)
+  uploadMode: 'replace',
+  
+  // Role given to Harvest/Toggl/Clockify rows whose export names none of the dashboard roles
+  adapterRole: 'Network',
+  
+  // Rows dropped at ingest: { id, field, pattern, enabled }; Ticket patterns are regular expressions
+  exclusionRules: [
+    { id: 'exclude-hops', field: 'Role', pattern: 'HoPS', enabled: true }
+  ],
+  
+  // Drop entries logged with zero hours (negative hours are always rejected)
+  excludeZeroHours: true,
+  
+  // Member identity aliases: { "Alias Name": "Canonical Name" }, applied at parse time
+  memberAliases: {},
+  
+  // Names whose duplicate-member suggestion was dismissed as "not the same person"
+  dismissedMemberSuggestions: [],
+  
+  // Accepted company merges: { "Raw Name": "Canonical Name" }; the raw name is kept on each row
+  companyAliases: {},
+  
+  // Company merge suggestions dismissed as "not the same client"
+  dismissedCompanySuggestions: [],
+  
+  // Work Type -> board category; unmapped Work Types fall into "Other"
+  workTypeMapping: { ...WORK_TYPE_TO_BOARD },
+  
+  // Board categories offered by the Work Type mapping editor
+  boardCategories: [...BOARD_CATEGORIES],
+  
+  // Internal work: rows for these companies or matching a Project Type pattern (regex) count as internal
+  internalCompanies: [...INTERNAL_COMPANIES],
+  internalProjectTypePatterns: [...INTERNAL_PROJECT_TYPE_PATTERNS],
+  
+  // Billability: Productivity values (trimmed, case-insensitive) are checked first,
+  // then overrides { id, field: 'Work Type' | 'Company', value, billable, enabled }, then the default
+  billableProductivityValues: ['Productive'],
+  nonBillableProductivityValues: ['Unproductive'],
+  billabilityOverrides: [],
+  defaultBillable: false,
+  
+  // Financial year: first month (1-12) and label style ('short' = FY25, 'long' = FY2025/26), named after the year it starts in
+  fiscalYearStartMonth: 4,
+  fiscalYearLabelStyle: 'short',
+  
+  // Data-quality flag ids (see dataQuality.js) whose entries are left out of analysis
+  excludedQualityFlags: [],
+  
+  // Working schedules { id, member, hours: { Mon..Sun }, effectiveFrom, effectiveTo } (YYYY-MM-DD, blank = open-ended);
+  // members without one work 7.5h Mon-Fri
+  workSchedules: [
+    {
+      id: 'schedule-mark-bolton',
+      member: 'Mark Bolton',
+      hours: { Mon: 8.25, Tue: 8.25, Wed: 8.25, Thu: 8.25, Fri: 4.5, Sat: 0, Sun: 0 },
+      effectiveFrom: '',
+      effectiveTo: ''
+    }
+  ],
+  
+  // Bank holiday calendar for working days and capacity (see workingCalendar.js BANK_HOLIDAY_REGIONS)
+  bankHolidayRegion: 'england-and-wales',
+  
+  // Company closure days on top of bank holidays: { id, date: 'YYYY-MM-DD', name }
+  companyClosures: [],
+  
+  // Member roster { id, member, startDate, endDate (YYYY-MM-DD, blank = open-ended), fte (0-1) } prorating capacity;
+  // members not listed are full time throughout
+  memberRoster: [],
+  
+  // Utilisation targets { id, role, member, target (fraction), effectiveFrom }; blank member = whole role,
+  // blank effectiveFrom = from the start. A member's own target beats their role's.
+  utilisationTargets: Object.entries(ROLE_TARGETS).map(([role, target]) => ({
+    id: `target-${role}`,
+    role,
+    member: '',
+    target,
+    effectiveFrom: ''
+  })),
+  
+  // Named overtime policies (see overtimePolicy.js), compared side by side in Overtime Incidence; the first is the default
+  overtimePolicies: [DEFAULT_OVERTIME_POLICY],
+  
+  // Work Type of TOIL taken; the TOIL ledger deducts these entries from overtime accrued under the default policy
+  toilWorkType: 'TOIL'
+}
@@ -0,0 +1,67 @@
+// Settings persistence using localStorage
+
+const STORAGE_KEY = 'oryx-time-analytics-settings'
+const STORAGE_VERSION = '1.0'
+
+/**
+ * Saves settings to localStorage
+ * @param {Object} settings 
+ */
+export function saveSettings(settings) {
+  try {
+    const settingsData = {
+      version: STORAGE_VERSION,
+      timestamp: Date.now(),
+      settings: settings
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settingsData))
+  } catch (error) {
+    console.warn('Failed to save settings to localStorage:', error)
+  }
+}
+
+/**
+ * Loads settings from localStorage
+ * Unlike filters, settings never expire - they describe how the team's exports look
+ * @param {Object} defaultSettings 
+ * @returns {Object}
+ */
+export function loadSettings(defaultSettings) {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    if (!stored) return defaultSettings
+    
+    const settingsData = JSON.parse(stored)
+    
+    // Check version compatibility
+    if (settingsData.version !== STORAGE_VERSION) {
+      console.info('Settings storage version mismatch, using defaults')
+      return defaultSettings
+    }
+    
+    // Merge stored settings with defaults to handle new setting keys
+    const mergedSettings = {
+      ...defaultSettings,
+      ...settingsData.settings
+    }
+    
+    console.info('Loaded settings from localStorage')
+    return mergedSettings
+    
+  } catch (error) {
+    console.warn('Failed to load settings from localStorage:', error)
+    return defaultSettings
+  }
+}
+
+/**
+ * Clears stored settings
+ */
+export function clearStoredSettings() {
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+    console.info('Cleared stored settings')
+  } catch (error) {
+    console.warn('Failed to clear stored settings:', error)
+  }
+}
@@ -0,0 +1,78 @@
+// Streaming CSV parse in a Web Worker with progress reporting and cancellation
+
+// Files from this size are parsed in the worker; smaller ones parse instantly on the main thread
+export const STREAMING_MIN_BYTES = 1024 * 1024
+
+/**
+ * Whether the browser can run the streaming worker
+ * @returns {boolean}
+ */
+export function canStreamParse() {
+  return typeof Worker !== 'undefined'
+}
+
+/**
+ * Parses a CSV file in a Web Worker, chunk by chunk. Resolves with the same
+ * {rows, rawRowCount, report} as parseCsvFile.
+ * @param {File} file 
+ * @param {Object} [options] - Same as parseCsvFile (columnMapping, exclusionRules, ...)
+ * @param {Object} [controls]
+ * @param {Function} [controls.onProgress] - ({fileName, processedRows, processedBytes, totalBytes, rowsPerSecond}) => void
+ * @param {AbortSignal} [controls.signal] - Aborting terminates the worker and rejects with an AbortError
+ * @returns {Promise<{rows: Array, rawRowCount: number, report: Object}>}
+ */
+export function parseCsvFileStreaming(file, options = {}, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+    
+    const worker = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' })
+    
+    const cleanup = () => {
+      worker.terminate()
+      signal?.removeEventListener('abort', handleAbort)
+    }
+    
+    function handleAbort() {
+      cleanup()
+      console.info(`Streaming parse of ${file.name} cancelled`)
+      reject(createAbortError())
+    }
+    
+    signal?.addEventListener('abort', handleAbort)
+    
+    worker.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'progress') {
+        onProgress?.(message)
+      } else if (message.type === 'done') {
+        cleanup()
+        resolve(message.result)
+      } else if (message.type === 'error') {
+        cleanup()
+        reject(Object.assign(new Error(message.error.message), message.error))
+      }
+    }
+    
+    worker.onerror = (event) => {
+      cleanup()
+      reject(new Error(event.message || 'Parse worker failed'))
+    }
+    
+    // Callbacks and signals cannot be cloned into the worker; everything else is plain settings data
+    const { onProgress: _onProgress, signal: _signal, ...workerOptions } = options
+    worker.postMessage({ file, options: workerOptions })
+  })
+}
+
+/**
+ * Builds the error thrown when the user cancels a parse
+ * @returns {Error}
+ */
+function createAbortError() {
+  const error = new Error('Parse cancelled')
+  error.name = 'AbortError'
+  return error
+}
@@ -0,0 +1,153 @@
+// Timesheet completeness: logged hours per member and working day against expected hours
+import dayjs from 'dayjs'
+import isoWeek from 'dayjs/plugin/isoWeek'
+import { DAY_HOURS } from './invariants.js'
+import { createWorkingCalendar } from './workingCalendar.js'
+import { createAvailabilityResolver } from './memberRoster.js'
+
+dayjs.extend(isoWeek)
+
+// Board categories whose hours are leave rather than logged work
+export const LEAVE_BOARD_CATEGORIES = ['Leave/Bank Holiday', 'Sick Leave']
+
+// Differences below this are rounding, not a short day
+const TOLERANCE_HOURS = 0.01
+
+/**
+ * Checks whether an entry is leave (reduces the expected hours for its day)
+ * @param {Object} row - Clean row
+ * @returns {boolean}
+ */
+export function isLeaveEntry(row) {
+  return LEAVE_BOARD_CATEGORIES.includes(row.boardWorkType) || row['Project/Ticket'] === 'Annual Leave'
+}
+
+/**
+ * Finds each member's team: the Role they logged most hours under
+ * @param {Array} rows
+ * @returns {Map<string, string>}
+ */
+function teamsByMember(rows) {
+  const hoursByMemberRole = new Map()
+  for (const row of rows) {
+    if (!hoursByMemberRole.has(row.Member)) hoursByMemberRole.set(row.Member, {})
+    const roles = hoursByMemberRole.get(row.Member)
+    roles[row.Role || 'Unknown'] = (roles[row.Role || 'Unknown'] || 0) + (row.Hours || 0)
+  }
+  const teams = new Map()
+  hoursByMemberRole.forEach((roles, member) => {
+    teams.set(member, Object.entries(roles).sort((a, b) => b[1] - a[1])[0][0])
+  })
+  return teams
+}
+
+/**
+ * Compares each member's logged hours per working day in a window with DAY_HOURS minus leave.
+ * Weekends, bank holidays and company closures are not expected.
+ * A member is checked from their first entry in the rows, so people who joined mid-period are not flagged before they started;
+ * with a roster, days outside a member's employment are not expected and part-time members are expected their FTE share.
+ * @param {Array} rows - Clean rows of the members to check (any dates; only the window is counted)
+ * @param {Object} window
+ * @param {dayjs.Dayjs} window.from - First day to check
+ * @param {dayjs.Dayjs} window.to - Last day to check
+ * @param {Object} [options]
+ * @param {Object} [options.calendar] - createWorkingCalendar output, defaults to England & Wales
+ * @param {number} [options.dayHours] - Expected hours per working day, defaults to DAY_HOURS
+ * @param {Array} [options.roster] - memberRoster from settings
+ * @returns {{members: Array, teams: Array}}
+ */
+export function computeCompleteness(rows, { from, to }, { calendar = createWorkingCalendar(), dayHours = DAY_HOURS, roster = [] } = {}) {
+  if (!from || !to || to.isBefore(from)) return { members: [], teams: [] }
+
+  const teams = teamsByMember(rows)
+  const availabilityFor = createAvailabilityResolver(roster)
+  const firstEntry = new Map()
+  // member -> date -> { logged, leave }
+  const days = new Map()
+
+  for (const row of rows) {
+    if (!row.dateObj || !row.Member) continue
+    const date = dayjs(row.dateObj).startOf('day')
+    const key = date.format('YYYY-MM-DD')
+    if (!firstEntry.has(row.Member) || key < firstEntry.get(row.Member)) firstEntry.set(row.Member, key)
+    if (date.isBefore(from) || date.isAfter(to)) continue
+
+    if (!days.has(row.Member)) days.set(row.Member, new Map())
+    const memberDays = days.get(row.Member)
+    if (!memberDays.has(key)) memberDays.set(key, { logged: 0, leave: 0 })
+    memberDays.get(key)[isLeaveEntry(row) ? 'leave' : 'logged'] += row.Hours || 0
+  }
+
+  const fromKey = from.format('YYYY-MM-DD')
+  const members = []
+
+  for (const [member, team] of teams) {
+    const startKey = firstEntry.get(member) > fromKey ? firstEntry.get(member) : fromKey
+    const memberDays = days.get(member) || new Map()
+    const weeks = new Map()
+    const missingDays = []
+    const shortDays = []
+    let expectedHours = 0
+    let creditedHours = 0
+    let workingDays = 0
+
+    for (let date = dayjs(startKey); !date.isAfter(to); date = date.add(1, 'day')) {
+      const key = date.format('YYYY-MM-DD')
+      const day = memberDays.get(key) || { logged: 0, leave: 0 }
+      const week = date.startOf('isoWeek').format('YYYY-MM-DD')
+      if (!weeks.has(week)) weeks.set(week, { week, logged: 0, expected: 0 })
+      // Weekend and holiday work counts towards the week but those days are not expected
+      weeks.get(week).logged += day.logged
+      const availability = availabilityFor(member, date)
+      if (!calendar.isWorkingDay(date) || availability <= 0) continue
+
+      const expected = Math.max(0, dayHours * availability - day.leave)
+      workingDays++
+      expectedHours += expected
+      creditedHours += Math.min(day.logged, expected)
+      weeks.get(week).expected += expected
+
+      if (expected <= 0) continue
+      if (day.logged <= 0) {
+        missingDays.push(key)
+      } else if (day.logged < expected - TOLERANCE_HOURS) {
+        shortDays.push({ date: key, logged: day.logged, expected })
+      }
+    }
+
+    if (workingDays === 0) continue
+
+    members.push({
+      member,
+      team,
+      workingDays,
+      expectedHours,
+      creditedHours,
+      completeness: expectedHours > 0 ? creditedHours / expectedHours : 1,
+      missingDays,
+      shortDays,
+      shortWeeks: [...weeks.values()].filter(week => week.expected > 0 && week.logged < week.expected - TOLERANCE_HOURS)
+    })
+  }
+
+  // Team completeness weights each member by their expected hours
+  const teamTotals = new Map()
+  for (const entry of members) {
+    if (!teamTotals.has(entry.team)) {
+      teamTotals.set(entry.team, { team: entry.team, members: 0, expectedHours: 0, creditedHours: 0, missingDays: 0 })
+    }
+    const total = teamTotals.get(entry.team)
+    total.members++
+    total.expectedHours += entry.expectedHours
+    total.creditedHours += entry.creditedHours
+    total.missingDays += entry.missingDays.length
+  }
+  const teamList = [...teamTotals.values()]
+    .map(total => ({ ...total, completeness: total.expectedHours > 0 ? total.creditedHours / total.expectedHours : 1 }))
+    .sort((a, b) => a.team.localeCompare(b.team))
+
+  return {
+    members: members.sort((a, b) => a.completeness - b.completeness || a.member.localeCompare(b.member)),
+    teams: teamList
+  }
+}
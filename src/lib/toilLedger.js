@@ -0,0 +1,113 @@
+// Time off in lieu (TOIL): hours accrued from overtime weeks less TOIL taken, as a running ledger per member
+import Papa from 'papaparse'
+import dayjs from 'dayjs'
+import { computeWeeklyOvertime } from './computeOvertime.js'
+import { normalizePolicy } from './overtimePolicy.js'
+
+const normalize = (value) => String(value || '').trim().toLowerCase()
+
+/**
+ * Builds each member's TOIL ledger. Every week with overtime under the policy accrues its total on the
+ * week's Sunday; every entry of the TOIL Work Type deducts its hours on its date. TOIL taken is time off,
+ * so it also counts as non-working time when that week's overtime is worked out.
+ * @param {Array} rows - Clean rows (all periods, so balances carry over)
+ * @param {Object} [options]
+ * @param {Array} [options.workSchedules] - Working schedules from settings
+ * @param {Object} [options.policy] - Overtime policy that accrues TOIL, defaults to DEFAULT_OVERTIME_POLICY
+ * @param {string} [options.toilWorkType] - Work Type of TOIL taken
+ * @returns {Array<{member: string, accrued: number, taken: number, balance: number, entries: Array}>}
+ */
+export function computeToilLedger(rows, { workSchedules = [], policy, toilWorkType = 'TOIL' } = {}) {
+  if (!rows || rows.length === 0) return []
+
+  const toilKey = normalize(toilWorkType)
+  const isToil = (row) => toilKey && normalize(row["Work Type"]) === toilKey
+  const rules = normalizePolicy(policy)
+  // Every spelling of the TOIL Work Type in the rows, as policies match Work Types exactly
+  const toilTypes = [...new Set(rows.filter(isToil).map(row => row["Work Type"]))]
+  const accrualPolicy = { ...rules, nonWorkingWorkTypes: [...new Set([...rules.nonWorkingWorkTypes, ...toilTypes])] }
+
+  const eventsByMember = new Map()
+  const addEvent = (member, event) => {
+    if (!eventsByMember.has(member)) eventsByMember.set(member, [])
+    eventsByMember.get(member).push(event)
+  }
+
+  for (const week of computeWeeklyOvertime(rows.filter(row => row.Member), workSchedules, accrualPolicy)) {
+    if (week.overtime.total <= 0) continue
+    addEvent(week.member, {
+      date: dayjs(week.weekStart).add(6, 'day').format('YYYY-MM-DD'),
+      type: 'Accrued',
+      reference: week.isoWeek,
+      hours: week.overtime.total
+    })
+  }
+
+  // TOIL taken, one event per member and day
+  const takenByMemberDay = new Map()
+  for (const row of rows) {
+    if (!isToil(row) || !row.Member || !row.dateObj || !(row.Hours > 0)) continue
+    const key = JSON.stringify([row.Member, dayjs(row.dateObj).format('YYYY-MM-DD')])
+    takenByMemberDay.set(key, (takenByMemberDay.get(key) || 0) + row.Hours)
+  }
+  for (const [key, hours] of takenByMemberDay) {
+    const [member, date] = JSON.parse(key)
+    addEvent(member, { date, type: 'Taken', reference: toilWorkType, hours: -hours })
+  }
+
+  const ledgers = []
+  for (const [member, events] of eventsByMember) {
+    // Chronological; on the same day, accruals first
+    events.sort((a, b) => a.date.localeCompare(b.date) || (a.type === 'Accrued' ? -1 : 1))
+    let balance = 0
+    const entries = events.map(event => {
+      balance += event.hours
+      return { ...event, member, balance }
+    })
+    ledgers.push({
+      member,
+      accrued: entries.filter(entry => entry.hours > 0).reduce((sum, entry) => sum + entry.hours, 0),
+      taken: -entries.filter(entry => entry.hours < 0).reduce((sum, entry) => sum + entry.hours, 0),
+      balance,
+      entries
+    })
+  }
+
+  return ledgers.sort((a, b) => a.member.localeCompare(b.member))
+}
+
+/**
+ * Formats ledger entries as CSV for payroll
+ * @param {Array} entries - Entries of one or more ledgers
+ * @returns {string}
+ */
+export function toilLedgerToCsv(entries) {
+  return Papa.unparse({
+    fields: ['Member', 'Date', 'Type', 'Reference', 'Hours', 'Balance'],
+    data: entries.map(entry => ({
+      'Member': entry.member,
+      'Date': dayjs(entry.date).format('DD/MM/YYYY'),
+      'Type': entry.type,
+      'Reference': entry.reference,
+      'Hours': entry.hours.toFixed(2),
+      'Balance': entry.balance.toFixed(2)
+    }))
+  })
+}
+
+/**
+ * Downloads ledger entries as a CSV file
+ * @param {Array} entries
+ * @param {string} filename
+ */
+export function downloadToilLedger(entries, filename = 'toil-ledger.csv') {
+  const blob = new Blob([toilLedgerToCsv(entries)], { type: 'text/csv;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  URL.revokeObjectURL(url)
+}
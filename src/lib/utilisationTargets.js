@@ -0,0 +1,70 @@
+// Utilisation targets per role (optionally per member), versioned by effective-from date
+import dayjs from 'dayjs'
+
+// Roles shown first, in this order, wherever roles are listed; any other role follows alphabetically
+const ROLE_ORDER = ['Cloud', 'Network', 'PM', 'Team Lead']
+
+const normalize = (value) => String(value || '').trim().toLowerCase()
+
+/**
+ * Sorts role names with the established teams first
+ * @param {Array<string>} roles
+ * @returns {Array<string>}
+ */
+export function sortRoles(roles) {
+  const rank = (role) => (ROLE_ORDER.includes(role) ? ROLE_ORDER.indexOf(role) : ROLE_ORDER.length)
+  return [...roles].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+}
+
+/**
+ * Builds a lookup of the target that applied to a role (and member) on a date.
+ * A member's own target beats their role's; among those, the latest Effective From on or before the date wins.
+ * @param {Array<{role: string, member: string, target: number, effectiveFrom: string}>} targets - target as a fraction (0.75), effectiveFrom YYYY-MM-DD or blank for "always"
+ * @returns {function(string, dayjs.Dayjs|Date, string=): number|null}
+ */
+export function createTargetResolver(targets = []) {
+  // Latest start first so the first entry on or before a date is the one in force
+  const sorted = targets
+    .filter(entry => normalize(entry.role) && Number.isFinite(entry.target))
+    .sort((a, b) => (b.effectiveFrom || '').localeCompare(a.effectiveFrom || ''))
+
+  return (role, date, member) => {
+    const dateKey = dayjs(date).format('YYYY-MM-DD')
+    const inForce = sorted.filter(entry => normalize(entry.role) === normalize(role) && (entry.effectiveFrom || '') <= dateKey)
+    const own = member && inForce.find(entry => normalize(entry.member) === normalize(member))
+    const roleWide = inForce.find(entry => !normalize(entry.member))
+    return (own || roleWide)?.target ?? null
+  }
+}
+
+/**
+ * Target for a set of rows: each row's target weighted by its hours, so a period spanning a
+ * target change or mixing members on their own targets is scored against what applied to each entry
+ * @param {Array} rows - Rows of one role
+ * @param {function} targetFor - createTargetResolver output
+ * @returns {number|null} - Fraction, or null when no row has a target
+ */
+export function weightedTarget(rows, targetFor) {
+  let hours = 0
+  let weighted = 0
+  for (const row of rows) {
+    if (!row.dateObj || !(row.Hours > 0)) continue
+    const target = targetFor(row.Role, row.dateObj, row.Member)
+    if (target === null) continue
+    hours += row.Hours
+    weighted += row.Hours * target
+  }
+  return hours > 0 ? weighted / hours : null
+}
+
+/**
+ * Roles in the rows that have a target at some point
+ * @param {Array} rows
+ * @param {Array} targets - utilisationTargets from settings
+ * @returns {Array<string>}
+ */
+export function rolesWithTargets(rows, targets) {
+  const targetRoles = new Set(targets.map(entry => normalize(entry.role)))
+  const roles = new Set(rows.map(row => row.Role).filter(role => role && targetRoles.has(normalize(role))))
+  return sortRoles([...roles])
+}
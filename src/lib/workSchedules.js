@@ -0,0 +1,142 @@
+// Per-member working schedules: baseline hours for each weekday, with effective dates
+import Papa from 'papaparse'
+import dayjs from 'dayjs'
+import isoWeek from 'dayjs/plugin/isoWeek'
+import customParseFormat from 'dayjs/plugin/customParseFormat'
+import { DAY_HOURS } from './invariants.js'
+
+dayjs.extend(isoWeek)
+dayjs.extend(customParseFormat)
+
+// Weekday keys in ISO order (isoWeekday 1..7)
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+// Hours for anyone without a schedule covering the date
+export const STANDARD_WEEK = { Mon: DAY_HOURS, Tue: DAY_HOURS, Wed: DAY_HOURS, Thu: DAY_HOURS, Fri: DAY_HOURS, Sat: 0, Sun: 0 }
+
+// Header names accepted for each weekday column of an imported CSV
+const WEEKDAY_HEADERS = {
+  Mon: ['mon', 'monday'],
+  Tue: ['tue', 'tues', 'tuesday'],
+  Wed: ['wed', 'wednesday'],
+  Thu: ['thu', 'thur', 'thurs', 'thursday'],
+  Fri: ['fri', 'friday'],
+  Sat: ['sat', 'saturday'],
+  Sun: ['sun', 'sunday']
+}
+
+const EFFECTIVE_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'D/M/YYYY', 'DD/MM/YY']
+
+/**
+ * Member key used to match schedules against rows (rows carry canonical names)
+ * @param {string} member
+ * @returns {string}
+ */
+function memberKey(member) {
+  return String(member || '').trim().toLowerCase()
+}
+
+/**
+ * Total scheduled hours in a week
+ * @param {Object} hours - { Mon: 7.5, ... }
+ * @returns {number}
+ */
+export function weeklyScheduleHours(hours) {
+  return WEEKDAYS.reduce((sum, day) => sum + (Number(hours?.[day]) || 0), 0)
+}
+
+/**
+ * Builds a lookup of each member's baseline hours on a date.
+ * Where several schedules cover a date, the one with the latest Effective From wins;
+ * members with no covering schedule work the STANDARD_WEEK.
+ * @param {Array<{member: string, hours: Object, effectiveFrom: string, effectiveTo: string}>} schedules - Dates as YYYY-MM-DD, blank for open-ended
+ * @returns {function(string, dayjs.Dayjs|Date): number}
+ */
+export function createScheduleResolver(schedules = []) {
+  const byMember = new Map()
+  for (const schedule of schedules) {
+    const key = memberKey(schedule.member)
+    if (!key) continue
+    if (!byMember.has(key)) byMember.set(key, [])
+    byMember.get(key).push(schedule)
+  }
+  // Latest start first so the first covering schedule is the current one
+  byMember.forEach(list => list.sort((a, b) => (b.effectiveFrom || '').localeCompare(a.effectiveFrom || '')))
+
+  return (member, date) => {
+    const day = dayjs(date)
+    const weekday = WEEKDAYS[day.isoWeekday() - 1]
+    const dateKey = day.format('YYYY-MM-DD')
+    const schedule = (byMember.get(memberKey(member)) || []).find(entry =>
+      (!entry.effectiveFrom || entry.effectiveFrom <= dateKey) && (!entry.effectiveTo || dateKey <= entry.effectiveTo)
+    )
+    return Number((schedule ? schedule.hours : STANDARD_WEEK)[weekday]) || 0
+  }
+}
+
+/**
+ * Reads an effective date from a CSV cell
+ * @param {string} value
+ * @returns {string|null} - YYYY-MM-DD, '' when blank, or null when unreadable
+ */
+function parseEffectiveDate(value) {
+  const text = String(value ?? '').trim()
+  if (!text) return ''
+  const date = dayjs(text, EFFECTIVE_DATE_FORMATS, true)
+  return date.isValid() ? date.format('YYYY-MM-DD') : null
+}
+
+/**
+ * Parses a schedule CSV with columns Member, Mon..Sun (or Monday..Sunday), Effective From and Effective To.
+ * Missing weekday columns take the STANDARD_WEEK hours; dates may be DD/MM/YYYY or YYYY-MM-DD.
+ * @param {string} text - CSV content
+ * @returns {{schedules: Array, errors: Array<string>}}
+ */
+export function parseScheduleCsv(text) {
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: 'greedy' })
+  const headers = meta.fields || []
+  const findHeader = (names) => headers.find(header => names.includes(header.trim().toLowerCase()))
+
+  const memberHeader = findHeader(['member', 'name'])
+  if (!memberHeader) return { schedules: [], errors: ['No "Member" column found'] }
+  const fromHeader = findHeader(['effective from', 'from'])
+  const toHeader = findHeader(['effective to', 'to'])
+  const dayHeaders = Object.fromEntries(WEEKDAYS.map(day => [day, findHeader(WEEKDAY_HEADERS[day])]))
+
+  const schedules = []
+  const errors = []
+  data.forEach((record, index) => {
+    const line = index + 2 // header is line 1
+    const member = String(record[memberHeader] ?? '').trim()
+    if (!member) {
+      errors.push(`Line ${line}: no member`)
+      return
+    }
+
+    const hours = {}
+    for (const day of WEEKDAYS) {
+      const cell = dayHeaders[day] ? String(record[dayHeaders[day]] ?? '').trim() : ''
+      const value = cell === '' ? STANDARD_WEEK[day] : Number(cell)
+      if (!Number.isFinite(value) || value < 0 || value > 24) {
+        errors.push(`Line ${line}: ${day} hours "${cell}" is not between 0 and 24`)
+        return
+      }
+      hours[day] = value
+    }
+
+    const effectiveFrom = parseEffectiveDate(fromHeader && record[fromHeader])
+    const effectiveTo = parseEffectiveDate(toHeader && record[toHeader])
+    if (effectiveFrom === null || effectiveTo === null) {
+      errors.push(`Line ${line}: effective dates must be DD/MM/YYYY or YYYY-MM-DD`)
+      return
+    }
+    if (effectiveFrom && effectiveTo && effectiveTo < effectiveFrom) {
+      errors.push(`Line ${line}: Effective To is before Effective From`)
+      return
+    }
+
+    schedules.push({ id: `schedule-${Date.now()}-${index}`, member, hours, effectiveFrom, effectiveTo })
+  })
+
+  return { schedules, errors }
+}
@@ -0,0 +1,253 @@
+// Working calendar: weekends, UK bank holidays and company closure days; the source of every capacity denominator
+import dayjs from 'dayjs'
+import isoWeek from 'dayjs/plugin/isoWeek'
+import { createScheduleResolver } from './workSchedules.js'
+import { createAvailabilityResolver } from './memberRoster.js'
+
+dayjs.extend(isoWeek)
+
+/**
+ * ISO week key of a date ("2026-W01"). The year is the ISO week-year, so the days of a week
+ * spanning New Year share one key.
+ * @param {dayjs.Dayjs|Date|string} date
+ * @returns {string}
+ */
+export function isoWeekKey(date) {
+  const day = dayjs(date)
+  return `${day.isoWeekYear()}-W${String(day.isoWeek()).padStart(2, '0')}`
+}
+
+// Bank holiday calendars offered in Settings
+export const BANK_HOLIDAY_REGIONS = {
+  'england-and-wales': 'England & Wales',
+  'scotland': 'Scotland',
+  'none': 'None (weekends only)'
+}
+
+// Years covered by the bundled calendars (from gov.uk/bank-holidays)
+export const BANK_HOLIDAY_YEARS = { from: 2023, to: 2027 }
+
+const BANK_HOLIDAYS = {
+  'england-and-wales': {
+    '2023-01-02': "New Year's Day (substitute day)",
+    '2023-04-07': 'Good Friday',
+    '2023-04-10': 'Easter Monday',
+    '2023-05-01': 'Early May bank holiday',
+    '2023-05-08': 'Bank holiday for the coronation of King Charles III',
+    '2023-05-29': 'Spring bank holiday',
+    '2023-08-28': 'Summer bank holiday',
+    '2023-12-25': 'Christmas Day',
+    '2023-12-26': 'Boxing Day',
+    '2024-01-01': "New Year's Day",
+    '2024-03-29': 'Good Friday',
+    '2024-04-01': 'Easter Monday',
+    '2024-05-06': 'Early May bank holiday',
+    '2024-05-27': 'Spring bank holiday',
+    '2024-08-26': 'Summer bank holiday',
+    '2024-12-25': 'Christmas Day',
+    '2024-12-26': 'Boxing Day',
+    '2025-01-01': "New Year's Day",
+    '2025-04-18': 'Good Friday',
+    '2025-04-21': 'Easter Monday',
+    '2025-05-05': 'Early May bank holiday',
+    '2025-05-26': 'Spring bank holiday',
+    '2025-08-25': 'Summer bank holiday',
+    '2025-12-25': 'Christmas Day',
+    '2025-12-26': 'Boxing Day',
+    '2026-01-01': "New Year's Day",
+    '2026-04-03': 'Good Friday',
+    '2026-04-06': 'Easter Monday',
+    '2026-05-04': 'Early May bank holiday',
+    '2026-05-25': 'Spring bank holiday',
+    '2026-08-31': 'Summer bank holiday',
+    '2026-12-25': 'Christmas Day',
+    '2026-12-28': 'Boxing Day (substitute day)',
+    '2027-01-01': "New Year's Day",
+    '2027-03-26': 'Good Friday',
+    '2027-03-29': 'Easter Monday',
+    '2027-05-03': 'Early May bank holiday',
+    '2027-05-31': 'Spring bank holiday',
+    '2027-08-30': 'Summer bank holiday',
+    '2027-12-27': 'Christmas Day (substitute day)',
+    '2027-12-28': 'Boxing Day (substitute day)'
+  },
+  'scotland': {
+    '2023-01-02': "New Year's Day (substitute day)",
+    '2023-01-03': '2nd January (substitute day)',
+    '2023-04-07': 'Good Friday',
+    '2023-05-01': 'Early May bank holiday',
+    '2023-05-08': 'Bank holiday for the coronation of King Charles III',
+    '2023-05-29': 'Spring bank holiday',
+    '2023-08-07': 'Summer bank holiday',
+    '2023-11-30': "St Andrew's Day",
+    '2023-12-25': 'Christmas Day',
+    '2023-12-26': 'Boxing Day',
+    '2024-01-01': "New Year's Day",
+    '2024-01-02': '2nd January',
+    '2024-03-29': 'Good Friday',
+    '2024-05-06': 'Early May bank holiday',
+    '2024-05-27': 'Spring bank holiday',
+    '2024-08-05': 'Summer bank holiday',
+    '2024-12-02': "St Andrew's Day (substitute day)",
+    '2024-12-25': 'Christmas Day',
+    '2024-12-26': 'Boxing Day',
+    '2025-01-01': "New Year's Day",
+    '2025-01-02': '2nd January',
+    '2025-04-18': 'Good Friday',
+    '2025-05-05': 'Early May bank holiday',
+    '2025-05-26': 'Spring bank holiday',
+    '2025-08-04': 'Summer bank holiday',
+    '2025-12-01': "St Andrew's Day (substitute day)",
+    '2025-12-25': 'Christmas Day',
+    '2025-12-26': 'Boxing Day',
+    '2026-01-01': "New Year's Day",
+    '2026-01-02': '2nd January',
+    '2026-04-03': 'Good Friday',
+    '2026-05-04': 'Early May bank holiday',
+    '2026-05-25': 'Spring bank holiday',
+    '2026-08-03': 'Summer bank holiday',
+    '2026-11-30': "St Andrew's Day",
+    '2026-12-25': 'Christmas Day',
+    '2026-12-28': 'Boxing Day (substitute day)',
+    '2027-01-01': "New Year's Day",
+    '2027-01-04': '2nd January (substitute day)',
+    '2027-03-26': 'Good Friday',
+    '2027-05-03': 'Early May bank holiday',
+    '2027-05-31': 'Spring bank holiday',
+    '2027-08-02': 'Summer bank holiday',
+    '2027-11-30': "St Andrew's Day",
+    '2027-12-27': 'Christmas Day (substitute day)',
+    '2027-12-28': 'Boxing Day (substitute day)'
+  }
+}
+
+/**
+ * Lists the bundled bank holidays for a region
+ * @param {string} region - Key of BANK_HOLIDAY_REGIONS
+ * @returns {Array<{date: string, name: string}>}
+ */
+export function bankHolidaysFor(region) {
+  return Object.entries(BANK_HOLIDAYS[region] || {}).map(([date, name]) => ({ date, name }))
+}
+
+/**
+ * Builds the working calendar for a bank holiday region plus company closure days
+ * @param {Object} [options]
+ * @param {string} [options.region] - Key of BANK_HOLIDAY_REGIONS
+ * @param {Array<{date: string, name: string}>} [options.closures] - Company closure days (YYYY-MM-DD)
+ * @returns {{region: string, holidayName: function, isWorkingDay: function, workingDaysBetween: function}}
+ */
+export function createWorkingCalendar({ region = 'england-and-wales', closures = [] } = {}) {
+  const holidays = new Map(Object.entries(BANK_HOLIDAYS[region] || {}))
+  for (const closure of closures) {
+    if (closure.date) holidays.set(closure.date, closure.name || 'Company closure')
+  }
+
+  // Name of the bank holiday or closure on a date, or null
+  const holidayName = (date) => holidays.get(dayjs(date).format('YYYY-MM-DD')) || null
+
+  // Mon-Fri and not a bank holiday or closure
+  const isWorkingDay = (date) => {
+    const day = dayjs(date)
+    return day.isoWeekday() <= 5 && !holidays.has(day.format('YYYY-MM-DD'))
+  }
+
+  // Working days from one date to another, inclusive
+  const workingDaysBetween = (from, to) => {
+    let days = 0
+    for (let date = dayjs(from).startOf('day'); !date.isAfter(to, 'day'); date = date.add(1, 'day')) {
+      if (isWorkingDay(date)) days++
+    }
+    return days
+  }
+
+  return { region, holidayName, isWorkingDay, workingDaysBetween }
+}
+
+/**
+ * Sums a member's scheduled hours on the working days of a date range (inclusive)
+ * @param {function} baselineFor - createScheduleResolver output
+ * @param {string} member
+ * @param {dayjs.Dayjs} from
+ * @param {dayjs.Dayjs} to
+ * @param {Object} calendar - createWorkingCalendar output
+ * @param {function} [availabilityFor] - createAvailabilityResolver output; scales each day by the member's FTE
+ * @returns {number}
+ */
+export function scheduledHoursBetween(baselineFor, member, from, to, calendar, availabilityFor = () => 1) {
+  let hours = 0
+  for (let date = from.startOf('day'); !date.isAfter(to, 'day'); date = date.add(1, 'day')) {
+    // Weekend hours still count for anyone scheduled to work weekends
+    if (date.isoWeekday() <= 5 ? calendar.isWorkingDay(date) : !calendar.holidayName(date)) {
+      hours += baselineFor(member, date) * availabilityFor(member, date)
+    }
+  }
+  return hours
+}
+
+/**
+ * Scheduled capacity in hours for each member of each group of rows: every member's working schedule
+ * over the months they logged time in, limited to the dates the rows span (so a part-month filter is not
+ * charged a whole month), skipping bank holidays and closures, and prorated by the roster (days before
+ * a start date or after an end date count nothing, the rest count at the member's FTE).
+ * @param {Array} rows - Filtered timesheet rows
+ * @param {function(Object): string} groupOf - Group key of a row, e.g. row => row.Role
+ * @param {Object} options
+ * @param {Array} [options.workSchedules] - Working schedules from settings
+ * @param {Object} [options.calendar] - createWorkingCalendar output
+ * @param {Array} [options.roster] - memberRoster from settings
+ * @returns {Object} - { [group]: { [member]: { hours, fullHours } } }, fullHours being the capacity before roster proration
+ */
+export function scheduledCapacityByMember(rows, groupOf, { workSchedules = [], calendar = createWorkingCalendar(), roster = [] } = {}) {
+  const dailyBaselineFor = createScheduleResolver(workSchedules)
+  const availabilityFor = createAvailabilityResolver(roster)
+  const monthsByGroupMember = new Map()
+  let spanFrom = null
+  let spanTo = null
+
+  for (const row of rows) {
+    const group = groupOf(row)
+    if (!group || !row.Member || !row.dateObj) continue
+    const date = dayjs(row.dateObj)
+    if (!spanFrom || date.isBefore(spanFrom)) spanFrom = date
+    if (!spanTo || date.isAfter(spanTo)) spanTo = date
+
+    const key = JSON.stringify([group, row.Member])
+    if (!monthsByGroupMember.has(key)) monthsByGroupMember.set(key, new Set())
+    monthsByGroupMember.get(key).add(date.format('YYYY-MM'))
+  }
+
+  const capacity = {}
+  for (const [key, months] of monthsByGroupMember) {
+    const [group, member] = JSON.parse(key)
+    if (!capacity[group]) capacity[group] = {}
+    const memberCapacity = { hours: 0, fullHours: 0 }
+    for (const month of months) {
+      const monthStart = dayjs(`${month}-01`)
+      const monthEnd = monthStart.endOf('month')
+      const from = monthStart.isBefore(spanFrom, 'day') ? spanFrom : monthStart
+      const to = monthEnd.isAfter(spanTo, 'day') ? spanTo : monthEnd
+      memberCapacity.hours += scheduledHoursBetween(dailyBaselineFor, member, from, to, calendar, availabilityFor)
+      memberCapacity.fullHours += scheduledHoursBetween(dailyBaselineFor, member, from, to, calendar)
+    }
+    capacity[group][member] = memberCapacity
+  }
+
+  return capacity
+}
+
+/**
+ * Scheduled capacity in hours for each group of rows (see scheduledCapacityByMember)
+ * @param {Array} rows - Filtered timesheet rows
+ * @param {function(Object): string} groupOf - Group key of a row, e.g. row => row.Role
+ * @param {Object} options - Same as scheduledCapacityByMember
+ * @returns {Object} - { [group]: hours }
+ */
+export function scheduledCapacity(rows, groupOf, options) {
+  const byMember = scheduledCapacityByMember(rows, groupOf, options)
+  const capacity = {}
+  for (const group in byMember) {
+    capacity[group] = Object.values(byMember[group]).reduce((sum, member) => sum + member.hours, 0)
+  }
+  return capacity
+}
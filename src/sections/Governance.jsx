@@ -1,8 +1,10 @@
 import AdminMeetingsTrend from '../components/AdminMeetingsTrend.jsx'
 import OvertimeIncidence from '../components/OvertimeIncidence.jsx'
+import ToilLedger from '../components/ToilLedger.jsx'
 import OutlierDaysTable from '../components/OutlierDaysTable.jsx'
+import DataQualityReview from '../components/DataQualityReview.jsx'
 
-export default function Governance({ filteredRows }) {
+export default function Governance({ filteredRows, rows, filters, workSchedules, overtimePolicies, toilWorkType, qualityFlags, excludedQualityFlags, onExcludedQualityFlagsChange }) {
   try {
     console.log('Governance - Rendering with', filteredRows?.length, 'rows')
     
@@ -24,7 +26,21 @@ export default function Governance({ filteredRows }) {
 
         {/* OvertimeIncidence */}
         <section>
-          <OvertimeIncidence filteredRows={filteredRows} />
+          <OvertimeIncidence filteredRows={filteredRows} workSchedules={workSchedules} overtimePolicies={overtimePolicies} />
+        </section>
+
+        {/* ToilLedger - balances run across all loaded dates */}
+        <section>
+          <ToilLedger rows={rows} filters={filters} workSchedules={workSchedules} overtimePolicies={overtimePolicies} toilWorkType={toilWorkType} />
+        </section>
+
+        {/* DataQualityReview - flags cover all loaded rows, not just the filtered ones */}
+        <section>
+          <DataQualityReview
+            flags={qualityFlags}
+            excludedIds={excludedQualityFlags}
+            onExcludedIdsChange={onExcludedQualityFlagsChange}
+          />
         </section>
 
         {/* STILL DISABLED - Testing one at a time */}
@@ -5,7 +5,7 @@ import BillableVsNonbillableArea from '../components/BillableVsNonbillableArea.j
 import TopCompaniesBar from '../components/TopCompaniesBar.jsx'
 import ClientPareto from '../components/ClientPareto.jsx'
 
-export default function Overview({ filteredRows, onCompanyFilter }) {
+export default function Overview({ filteredRows, workSchedules, workingCalendar, memberRoster, utilisationTargets, onCompanyFilter }) {
   return (
     <div className="space-y-6">
       {/* KPI Tiles */}
@@ -16,7 +16,7 @@ export default function Overview({ filteredRows, onCompanyFilter }) {
           </span>
           <span style={{ color: '#EFECD2' }}>Key Performance Indicators</span>
         </h2>
-        <KpiTiles filteredRows={filteredRows} />
+        <KpiTiles filteredRows={filteredRows} workSchedules={workSchedules} workingCalendar={workingCalendar} memberRoster={memberRoster} utilisationTargets={utilisationTargets} />
       </section>
 
       {/* Full Width Charts - Stacked */}
@@ -30,10 +30,16 @@ export default function Overview({ filteredRows, onCompanyFilter }) {
       {/* Charts Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Role Utilisation Chart */}
-        <RoleUtilBullet filteredRows={filteredRows} />
+        <RoleUtilBullet
+          filteredRows={filteredRows}
+          workSchedules={workSchedules}
+          workingCalendar={workingCalendar}
+          memberRoster={memberRoster}
+          utilisationTargets={utilisationTargets}
+        />
         
         {/* Department Utilisation Trend */}
-        <DeptUtilTrend filteredRows={filteredRows} />
+        <DeptUtilTrend filteredRows={filteredRows} workSchedules={workSchedules} workingCalendar={workingCalendar} memberRoster={memberRoster} />
       </div>
 
       {/* Full Width Charts */}
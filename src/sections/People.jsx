@@ -1,10 +1,11 @@
 import HoursByPerson from '../components/HoursByPerson.jsx'
+import TimesheetCompleteness from '../components/TimesheetCompleteness.jsx'
 import WorkMixPerPerson from '../components/WorkMixPerPerson.jsx'
 import DailyHoursBoxplot from '../components/DailyHoursBoxplot.jsx'
 import CalendarHeatmap from '../components/CalendarHeatmap.jsx'
 import RoleUtilTrend from '../components/RoleUtilTrend.jsx'
 
-export default function People({ filteredRows, onCompanyFilter, onReset }) {
+export default function People({ filteredRows, rows, filters, dateRange, workSchedules, workingCalendar, memberRoster, fiscalOptions, utilisationTargets, onCompanyFilter, onReset }) {
   return (
     <div className="space-y-6">
       {/* Hours by Person */}
@@ -29,6 +30,11 @@ export default function People({ filteredRows, onCompanyFilter, onReset }) {
         <HoursByPerson filteredRows={filteredRows} onReset={onReset} />
       </section>
 
+      {/* Timesheet Completeness - Full Width */}
+      <section>
+        <TimesheetCompleteness rows={rows} filters={filters} dateRange={dateRange} workingCalendar={workingCalendar} memberRoster={memberRoster} fiscalOptions={fiscalOptions} />
+      </section>
+
       {/* Work Mix per Person - Full Width */}
       <section>
         <WorkMixPerPerson filteredRows={filteredRows} onReset={onReset} />
@@ -41,12 +47,12 @@ export default function People({ filteredRows, onCompanyFilter, onReset }) {
 
       {/* Calendar Heatmap - Full Width */}
       <section>
-        <CalendarHeatmap filteredRows={filteredRows} onReset={onReset} />
+        <CalendarHeatmap filteredRows={filteredRows} workSchedules={workSchedules} onReset={onReset} />
       </section>
 
       {/* Role Utilisation Trend - Full Width */}
       <section>
-        <RoleUtilTrend filteredRows={filteredRows} onReset={onReset} />
+        <RoleUtilTrend filteredRows={filteredRows} utilisationTargets={utilisationTargets} onReset={onReset} />
       </section>
     </div>
   )
@@ -0,0 +1,183 @@
+import ExclusionRulesEditor from '../components/ExclusionRulesEditor.jsx'
+import AliasEditor from '../components/AliasEditor.jsx'
+import WorkTypeMappingEditor from '../components/WorkTypeMappingEditor.jsx'
+import InternalWorkEditor from '../components/InternalWorkEditor.jsx'
+import BillabilityRulesEditor from '../components/BillabilityRulesEditor.jsx'
+import AdapterRoleEditor from '../components/AdapterRoleEditor.jsx'
+import WorkScheduleEditor from '../components/WorkScheduleEditor.jsx'
+import MemberRosterEditor from '../components/MemberRosterEditor.jsx'
+import WorkingCalendarEditor from '../components/WorkingCalendarEditor.jsx'
+import FiscalYearEditor from '../components/FiscalYearEditor.jsx'
+import UtilisationTargetsEditor from '../components/UtilisationTargetsEditor.jsx'
+import OvertimePoliciesEditor from '../components/OvertimePoliciesEditor.jsx'
+import { canonicalMemberName } from '../lib/memberIdentity.js'
+
+/**
+ * Distinct trimmed values of a field across the loaded rows
+ * @param {Array} rows
+ * @param {string} field
+ * @returns {Array<string>}
+ */
+function distinctFieldValues(rows, field) {
+  return [...new Set(rows.map(row => String(row[field] ?? '').trim()).filter(Boolean))].sort()
+}
+
+export default function Settings({ settings, onSettingsChange, rows, members, memberSuggestions, companies, companySuggestions }) {
+  // Shallow-merges a patch into the stored settings
+  const update = (patch) => onSettingsChange(prev => ({ ...prev, ...patch }))
+
+  return (
+    <div className="space-y-6">
+      <section>
+        <AliasEditor
+          title="Member Identities"
+          icon="👥"
+          description={'"Last, First" names are read as "First Last" automatically. Aliases merge any other spelling into one member across every chart and filter.'}
+          aliasPlaceholder="Alias, e.g. M Bolton"
+          targetPlaceholder="Canonical member"
+          targetLabel="Canonical Member"
+          listId="member-alias-targets"
+          aliases={settings.memberAliases}
+          options={members}
+          suggestions={memberSuggestions}
+          normalizeName={canonicalMemberName}
+          onAliasesChange={(memberAliases) => update({ memberAliases })}
+          onDismissSuggestion={(suggestion) => update({
+            dismissedMemberSuggestions: [
+              ...settings.dismissedMemberSuggestions,
+              `${suggestion.alias}|${suggestion.canonical}`
+            ]
+          })}
+        />
+      </section>
+
+      <section>
+        <AliasEditor
+          title="Company Aliases"
+          icon="🏢"
+          description="Merge client names that differ by suffix, casing or spelling (e.g. Acme Ltd / ACME Limited). Merges apply to every chart; each row keeps its raw export name for audit."
+          aliasPlaceholder="Raw name, e.g. ACME Limited"
+          targetPlaceholder="Canonical company"
+          aliasLabel="Raw Name"
+          targetLabel="Canonical Company"
+          listId="company-alias-targets"
+          aliases={settings.companyAliases}
+          options={companies}
+          suggestions={companySuggestions}
+          onAliasesChange={(companyAliases) => update({ companyAliases })}
+          onDismissSuggestion={(suggestion) => update({
+            dismissedCompanySuggestions: [
+              ...settings.dismissedCompanySuggestions,
+              `${suggestion.alias}|${suggestion.canonical}`
+            ]
+          })}
+        />
+      </section>
+
+      <section>
+        <WorkTypeMappingEditor
+          rows={rows}
+          mapping={settings.workTypeMapping}
+          categories={settings.boardCategories}
+          onMappingChange={(workTypeMapping) => update({ workTypeMapping })}
+          onCategoriesChange={(boardCategories) => update({ boardCategories })}
+        />
+      </section>
+
+      <section>
+        <InternalWorkEditor
+          companies={settings.internalCompanies}
+          projectTypePatterns={settings.internalProjectTypePatterns}
+          companyOptions={companies}
+          onCompaniesChange={(internalCompanies) => update({ internalCompanies })}
+          onPatternsChange={(internalProjectTypePatterns) => update({ internalProjectTypePatterns })}
+        />
+      </section>
+
+      <section>
+        <BillabilityRulesEditor
+          billableValues={settings.billableProductivityValues}
+          nonBillableValues={settings.nonBillableProductivityValues}
+          overrides={settings.billabilityOverrides}
+          defaultBillable={settings.defaultBillable}
+          productivityOptions={distinctFieldValues(rows, 'Productivity')}
+          workTypeOptions={distinctFieldValues(rows, 'Work Type')}
+          companyOptions={companies}
+          onBillableValuesChange={(billableProductivityValues) => update({ billableProductivityValues })}
+          onNonBillableValuesChange={(nonBillableProductivityValues) => update({ nonBillableProductivityValues })}
+          onOverridesChange={(billabilityOverrides) => update({ billabilityOverrides })}
+          onDefaultBillableChange={(defaultBillable) => update({ defaultBillable })}
+        />
+      </section>
+
+      <section>
+        <AdapterRoleEditor
+          role={settings.adapterRole}
+          onRoleChange={(adapterRole) => update({ adapterRole })}
+        />
+      </section>
+
+      <section>
+        <WorkScheduleEditor
+          schedules={settings.workSchedules}
+          memberOptions={members}
+          onSchedulesChange={(workSchedules) => update({ workSchedules })}
+        />
+      </section>
+
+      <section>
+        <MemberRosterEditor
+          roster={settings.memberRoster}
+          memberOptions={members}
+          onRosterChange={(memberRoster) => update({ memberRoster })}
+        />
+      </section>
+
+      <section>
+        <WorkingCalendarEditor
+          region={settings.bankHolidayRegion}
+          closures={settings.companyClosures}
+          onRegionChange={(bankHolidayRegion) => update({ bankHolidayRegion })}
+          onClosuresChange={(companyClosures) => update({ companyClosures })}
+        />
+      </section>
+
+      <section>
+        <FiscalYearEditor
+          startMonth={settings.fiscalYearStartMonth}
+          labelStyle={settings.fiscalYearLabelStyle}
+          onStartMonthChange={(fiscalYearStartMonth) => update({ fiscalYearStartMonth })}
+          onLabelStyleChange={(fiscalYearLabelStyle) => update({ fiscalYearLabelStyle })}
+        />
+      </section>
+
+      <section>
+        <UtilisationTargetsEditor
+          targets={settings.utilisationTargets}
+          roleOptions={distinctFieldValues(rows, 'Role')}
+          memberOptions={members}
+          onTargetsChange={(utilisationTargets) => update({ utilisationTargets })}
+        />
+      </section>
+
+      <section>
+        <OvertimePoliciesEditor
+          policies={settings.overtimePolicies}
+          workTypeOptions={distinctFieldValues(rows, 'Work Type')}
+          toilWorkType={settings.toilWorkType}
+          onPoliciesChange={(overtimePolicies) => update({ overtimePolicies })}
+          onToilWorkTypeChange={(toilWorkType) => update({ toilWorkType })}
+        />
+      </section>
+
+      <section>
+        <ExclusionRulesEditor
+          rules={settings.exclusionRules}
+          excludeZeroHours={settings.excludeZeroHours}
+          onRulesChange={(exclusionRules) => update({ exclusionRules })}
+          onExcludeZeroHoursChange={(excludeZeroHours) => update({ excludeZeroHours })}
+        />
+      </section>
+    </div>
+  )
+}
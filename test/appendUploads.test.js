@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest'
+import { appendReplaceRange, getRowDateWindow } from '../src/lib/appendUploads.js'
+
+const row = (Member, day, Hours) => ({ Member, Hours, dateObj: new Date(2025, 3, day) })
+
+describe('getRowDateWindow', () => {
+  it('finds the first and last entry day', () => {
+    const { from, to } = getRowDateWindow([row('A', 9, 1), row('A', 7, 1), { Member: 'A', Hours: 1 }, row('A', 11, 1)])
+    expect([from.format('YYYY-MM-DD'), to.format('YYYY-MM-DD')]).toEqual(['2025-04-07', '2025-04-11'])
+  })
+})
+
+describe('appendReplaceRange', () => {
+  const existing = [
+    row('Mark Bolton', 1, 7.5),
+    row('Mark Bolton', 8, 7.5),
+    row('Chris Botha', 8, 6),
+    row('Chris Botha', 15, 7)
+  ]
+
+  it('replaces the uploaded members\' rows inside the window and keeps the rest', () => {
+    const upload = [row('Mark Bolton', 7, 8), row('Chris Botha', 9, 7.5)]
+    const { rows, changelog } = appendReplaceRange(existing, upload)
+
+    expect(rows).toEqual([existing[0], existing[3], ...upload])
+    expect(changelog).toMatchObject({ from: '07/04/2025', to: '09/04/2025', removedRows: 2, addedRows: 2 })
+    expect(changelog.members).toEqual([
+      { member: 'Chris Botha', hoursRemoved: 6, hoursAdded: 7.5, rowsRemoved: 1, rowsAdded: 1, netHours: 1.5 },
+      { member: 'Mark Bolton', hoursRemoved: 7.5, hoursAdded: 8, rowsRemoved: 1, rowsAdded: 1, netHours: 0.5 }
+    ])
+  })
+
+  it('leaves members the export does not include untouched', () => {
+    // One subcontractor's weekly export covering the week Chris also logged time in
+    const upload = [row('Mark Bolton', 7, 8), row('Mark Bolton', 9, 7)]
+    const { rows, changelog } = appendReplaceRange(existing, upload)
+
+    expect(rows).toContain(existing[2])
+    expect(rows).not.toContain(existing[1])
+    expect(changelog.removedRows).toBe(1)
+    expect(changelog.members.map(entry => entry.member)).toEqual(['Mark Bolton'])
+  })
+
+  it('keeps every stored row when the export has no dated entries', () => {
+    const { rows, changelog } = appendReplaceRange(existing, [])
+    expect(rows).toBe(existing)
+    expect(changelog.removedRows).toBe(0)
+  })
+})
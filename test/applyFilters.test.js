@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest'
+import { applyPeopleFilters } from '../src/lib/applyFilters.js'
+
+const rows = [
+  { Member: 'Chris Botha', Role: 'Network', Company: 'Acme', 'Project Type': 'Support', boardWorkType: 'Remote Support', calendarMonth: '2025-04', isBillable: true },
+  { Member: 'Chris Botha', Role: 'Network', Company: 'Internal', 'Project Type': 'Admin', boardWorkType: 'Admin', calendarMonth: '2025-03', isBillable: false },
+  { Member: 'Sam Lee', Role: 'Cloud', Company: 'Acme', 'Project Type': 'Support', boardWorkType: 'Remote Support', calendarMonth: '2025-04', isBillable: true }
+]
+
+describe('applyPeopleFilters', () => {
+  it('applies the team and member filters and ignores the rest', () => {
+    const filters = {
+      period: 'Month',
+      month: '2025-04',
+      roles: ['Network'],
+      members: 'ALL',
+      companies: ['Acme'],
+      projectTypes: ['Support'],
+      workTypesBoard: ['Remote Support'],
+      productivity: 'Productive'
+    }
+    expect(applyPeopleFilters(rows, filters)).toEqual(rows.slice(0, 2))
+    expect(applyPeopleFilters(rows, { ...filters, roles: [], members: ['Sam Lee'] })).toEqual([rows[2]])
+  })
+})
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest'
+import { createBillabilityClassifier, DEFAULT_BILLABLE_RULE } from '../src/lib/billability.js'
+import { rederiveRows } from '../src/lib/deriveFields.js'
+
+describe('createBillabilityClassifier', () => {
+  const classify = createBillabilityClassifier({
+    billabilityOverrides: [
+      { id: 'presales', field: 'Work Type', value: 'Pre-Sales', billable: true },
+      { id: 'internal', field: 'Company', value: 'OryxAlign', billable: false },
+      { id: 'off', field: 'Company', value: 'Acme', billable: true, enabled: false }
+    ],
+    defaultBillable: false
+  })
+
+  it('matches Productivity values trimmed and case-insensitively', () => {
+    expect(classify({ Productivity: 'productive ' })).toEqual({ isBillable: true, billableRule: 'Productivity is "Productive"' })
+    expect(classify({ Productivity: 'UNPRODUCTIVE' })).toEqual({ isBillable: false, billableRule: 'Productivity is "Unproductive"' })
+  })
+
+  it('tries Productivity before any override', () => {
+    expect(classify({ Productivity: 'Unproductive', 'Work Type': 'Pre-Sales' }).isBillable).toBe(false)
+  })
+
+  it('then tries enabled overrides in list order', () => {
+    expect(classify({ Productivity: '', 'Work Type': 'pre-sales', Company: 'OryxAlign' })).toEqual({
+      isBillable: true,
+      billableRule: 'Override: Work Type is "Pre-Sales"'
+    })
+    expect(classify({ Productivity: 'N/A', Company: 'oryxalign' }).isBillable).toBe(false)
+  })
+
+  it('falls back to the default when nothing else applies', () => {
+    expect(classify({ Productivity: 'N/A', Company: 'Acme' })).toEqual({ isBillable: false, billableRule: DEFAULT_BILLABLE_RULE })
+    expect(createBillabilityClassifier({ defaultBillable: true })({ Productivity: '' }).isBillable).toBe(true)
+  })
+
+  it('lets a value listed as both billable and non-billable count as billable', () => {
+    const both = createBillabilityClassifier({ billableProductivityValues: ['Chargeable'], nonBillableProductivityValues: ['chargeable'] })
+    expect(both({ Productivity: 'Chargeable' }).isBillable).toBe(true)
+  })
+})
+
+describe('rederiveRows billability', () => {
+  it('reclassifies loaded rows when the rules change', () => {
+    const rows = rederiveRows([{ Member: 'Mark Bolton', Productivity: 'Internal', 'Work Type': 'Admin', Company: 'Acme' }], {})
+    expect(rows[0].isBillable).toBe(false)
+
+    const [row] = rederiveRows(rows, { billableProductivityValues: ['Productive', 'Internal'] })
+    expect(row).toMatchObject({ isBillable: true, billableRule: 'Productivity is "Internal"' })
+  })
+})
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest'
+import { companyMatchKey, createCompanyResolver, suggestCompanyMerges } from '../src/lib/companyIdentity.js'
+import { editDistance } from '../src/lib/fuzzyMatch.js'
+
+describe('companyMatchKey', () => {
+  it('ignores casing, punctuation, a leading "The" and legal-form suffixes', () => {
+    expect(companyMatchKey('ACME Limited')).toBe('acme')
+    expect(companyMatchKey('Acme Ltd.')).toBe('acme')
+    expect(companyMatchKey('The Smith & Sons Co Ltd')).toBe('smith and sons')
+  })
+
+  it('keeps a name that is only a suffix word', () => {
+    expect(companyMatchKey('Company')).toBe('company')
+  })
+})
+
+describe('createCompanyResolver', () => {
+  it('maps accepted aliases case-insensitively and trims other names', () => {
+    const resolve = createCompanyResolver({ 'Acme Ltd.': 'Acme Limited' })
+    expect(resolve(' acme ltd. ')).toBe('Acme Limited')
+    expect(resolve(' Globex ')).toBe('Globex')
+  })
+})
+
+describe('suggestCompanyMerges', () => {
+  it('folds the name with fewer hours into the busier one', () => {
+    const rows = [
+      { Company: 'Acme Limited', Hours: 10 },
+      { Company: 'ACME Ltd', Hours: 2 },
+      { Company: 'Northwind Traders', Hours: 1 },
+      { Company: 'Northwind Tradres', Hours: 4 },
+      { Company: 'Globex', Hours: 3 }
+    ]
+    expect(suggestCompanyMerges(rows)).toEqual([
+      { alias: 'ACME Ltd', canonical: 'Acme Limited', reason: 'Same name apart from suffix, casing or punctuation' },
+      { alias: 'Northwind Traders', canonical: 'Northwind Tradres', reason: 'Names differ by one or two characters' }
+    ])
+  })
+})
+
+describe('editDistance', () => {
+  it('counts single-character edits', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3)
+    expect(editDistance('', 'abc')).toBe(3)
+  })
+})
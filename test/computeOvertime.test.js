@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest'
+import { rederiveRows } from '../src/lib/deriveFields.js'
+import { computeDailyOvertime, computeWeeklyOvertime } from '../src/lib/computeOvertime.js'
+
+// Clean rows for one member on the standard 7.5h day, classified by the default billability rules
+const rows = (entries) => rederiveRows(entries.map(([date, hours, productivity, workType = 'Remote Support']) => ({
+  Member: 'Chris Botha',
+  dateObj: new Date(date),
+  Hours: hours,
+  Productivity: productivity,
+  'Work Type': workType,
+  Company: 'Acme'
+})), {})
+
+describe('computeWeeklyOvertime', () => {
+  it('counts productive hours however the Productivity value is written', () => {
+    const [week] = computeWeeklyOvertime(rows([
+      ['2025-04-07', 9, 'productive '],
+      ['2025-04-08', 8.5, 'PRODUCTIVE']
+    ]))
+    expect(week.overtime.dailyWeekday).toBe(2.5)
+  })
+
+  it('counts rows a billability override makes billable', () => {
+    const entries = rederiveRows(rows([['2025-04-12', 3, 'N/A', 'Pre-Sales']]), {
+      billabilityOverrides: [{ id: 'presales', field: 'Work Type', value: 'Pre-Sales', billable: true }]
+    })
+    const [week] = computeWeeklyOvertime(entries)
+    expect(week.overtime.weekendHoliday).toBe(3)
+  })
+
+  it('leaves non-billable hours out', () => {
+    const [week] = computeWeeklyOvertime(rows([['2025-04-07', 10, 'Unproductive']]))
+    expect(week.overtime.total).toBe(0)
+  })
+})
+
+describe('computeWeeklyOvertime schedules', () => {
+  it('measures daily overtime against the member\'s working schedule', () => {
+    const schedules = [{ member: 'Chris Botha', hours: { Mon: 6, Tue: 6, Wed: 6, Thu: 6, Fri: 6, Sat: 0, Sun: 0 }, effectiveFrom: '2025-04-01', effectiveTo: '' }]
+    const entries = rows([['2025-04-07', 7.5, 'Productive']])
+    expect(computeWeeklyOvertime(entries)[0].overtime.dailyWeekday).toBe(0)
+    expect(computeWeeklyOvertime(entries, schedules)[0].overtime.dailyWeekday).toBe(1.5)
+  })
+})
+
+describe('computeWeeklyOvertime policies', () => {
+  // Mon 7 April 2025: 9h productive, 2h unproductive; Sat 12 April: 2h productive
+  const entries = rows([
+    ['2025-04-07', 9, 'Productive'],
+    ['2025-04-07', 2, 'Unproductive'],
+    ['2025-04-12', 2, 'Productive']
+  ])
+
+  it('applies the standard rules by default', () => {
+    expect(computeWeeklyOvertime(entries)[0].overtime).toEqual({ dailyWeekday: 1.5, weeklyOverflow: 0, weekendHoliday: 2, total: 3.5 })
+  })
+
+  it('counts unproductive hours and weights weekends when the policy says so', () => {
+    const [week] = computeWeeklyOvertime(entries, [], { countUnproductive: true, weekendMultiplier: 1.5 })
+    expect(week.overtime).toEqual({ dailyWeekday: 3.5, weeklyOverflow: 0, weekendHoliday: 3, total: 6.5 })
+  })
+
+  it('measures weekly overflow against a fixed threshold', () => {
+    const week = rows(['07', '08', '09', '10', '11'].map(day => [`2025-04-${day}`, 7.5, 'Productive']))
+    expect(computeWeeklyOvertime(week)[0].overtime.weeklyOverflow).toBe(0)
+    expect(computeWeeklyOvertime(week, [], { weeklyThreshold: 35 })[0].overtime.weeklyOverflow).toBe(2.5)
+  })
+
+  it('rounds to the policy increment, or not at all', () => {
+    const odd = rows([['2025-04-07', 8.6, 'Productive']])
+    expect(computeWeeklyOvertime(odd, [], { roundingIncrement: 0.5 })[0].overtime.dailyWeekday).toBe(1)
+    expect(computeWeeklyOvertime(odd, [], { roundingIncrement: 0 })[0].overtime.dailyWeekday).toBeCloseTo(1.1)
+  })
+
+  it('treats the policy\'s non-working Work Types as reducing the week, not as work', () => {
+    const [week] = computeWeeklyOvertime(rows([['2025-04-07', 7.5, 'Productive', 'Onboarding']]), [], { nonWorkingWorkTypes: ['Onboarding'] })
+    expect(week.overtime.total).toBe(0)
+  })
+})
+
+describe('computeWeeklyOvertime week keys', () => {
+  it('keys a week spanning New Year by its ISO week-year', () => {
+    const results = computeWeeklyOvertime(rows([['2025-12-31', 9, 'Productive'], ['2026-01-02', 9, 'Productive']]))
+    expect(results.map(week => [week.isoWeek, week.overtime.dailyWeekday])).toEqual([['2026-W01', 3]])
+  })
+})
+
+describe('computeDailyOvertime', () => {
+  it('places daily and weekend overtime on their days', () => {
+    expect(computeDailyOvertime(rows([['2025-04-07', 9, 'Productive'], ['2025-04-08', 7, 'Productive'], ['2025-04-12', 2, 'Productive']]))).toEqual({
+      '2025-04-07': { 'Chris Botha': 1.5 },
+      '2025-04-12': { 'Chris Botha': 2 }
+    })
+  })
+})
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest'
+import { detectQualityIssues, getExcludedRows } from '../src/lib/dataQuality.js'
+
+const row = (overrides = {}) => ({
+  Member: 'Chris Botha',
+  rawMember: 'Chris Botha',
+  Date: '07/04/2025',
+  dateObj: new Date(2025, 3, 7),
+  Ticket: '1001',
+  'Work Type': 'Remote Support',
+  Hours: 1,
+  ...overrides
+})
+
+const types = flags => flags.map(flag => flag.type)
+
+describe('detectQualityIssues', () => {
+  it('flags only the later copy of an exact duplicate', () => {
+    const rows = [row(), row()]
+    const flags = detectQualityIssues(rows)
+    expect(types(flags)).toEqual(['EXACT_DUPLICATE'])
+    expect(flags[0].row).toBe(rows[1])
+    expect(flags[0].id).toBe('EXACT_DUPLICATE|Chris Botha|2025-04-07|1001|1|Remote Support#2')
+  })
+
+  it('flags entries on the same ticket and day with nearly the same hours', () => {
+    const flags = detectQualityIssues([row(), row({ 'Work Type': 'Onsite Support', Hours: 1.1 }), row({ 'Work Type': 'Admin', Hours: 1.5 })])
+    expect(types(flags)).toEqual(['NEAR_DUPLICATE', 'ODD_GRANULARITY'])
+    expect(flags[0].detail).toBe('Similar to 1h Remote Support entry')
+  })
+
+  it('does not pair entries of different tickets or members as near-duplicates', () => {
+    expect(detectQualityIssues([row(), row({ Ticket: '1002', Hours: 1.25 }), row({ Member: 'Sam Lee', rawMember: 'Sam Lee', Hours: 1.25 })])).toEqual([])
+  })
+
+  it('flags odd granularity and long entries', () => {
+    expect(types(detectQualityIssues([row({ Hours: 0.2 }), row({ Ticket: '1002', Hours: 10 })]))).toEqual(['ODD_GRANULARITY', 'LONG_ENTRY'])
+  })
+
+  it('keys flag ids on the exported member, so they survive an alias change', () => {
+    const before = detectQualityIssues([row({ Member: 'Chris B', rawMember: 'Chris B' }), row({ Member: 'Chris B', rawMember: 'Chris B' })])
+    const after = detectQualityIssues([row({ rawMember: 'Chris B' }), row({ rawMember: 'Chris B' })])
+    expect(after.map(flag => flag.id)).toEqual(before.map(flag => flag.id))
+  })
+})
+
+describe('getExcludedRows', () => {
+  it('returns the rows of excluded flags', () => {
+    const rows = [row(), row(), row({ Ticket: '1002', Hours: 12 })]
+    const flags = detectQualityIssues(rows)
+    const excluded = getExcludedRows(flags, [flags[1].id])
+    expect([...excluded]).toEqual([rows[2]])
+  })
+})
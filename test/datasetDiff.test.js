@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest'
+import { diffDatasets, diffKey, rowsInDateWindowOf } from '../src/lib/datasetDiff.js'
+
+const row = (overrides = {}) => ({
+  Member: 'Chris Botha',
+  Date: '07/04/2025',
+  dateObj: new Date(2025, 3, 7),
+  Ticket: '1001',
+  'Work Type': 'Remote Support',
+  Hours: 2,
+  Company: 'Acme Ltd',
+  ...overrides
+})
+
+describe('diffKey', () => {
+  it('identifies an entry by member, day, ticket and work type, not its hours', () => {
+    expect(diffKey(row())).toBe('Chris Botha|2025-04-07|1001|Remote Support')
+    expect(diffKey(row({ Hours: 5 }))).toBe(diffKey(row()))
+  })
+})
+
+describe('diffDatasets', () => {
+  it('splits entries into added, removed, changed and unchanged', () => {
+    const before = [row(), row({ Ticket: '1002' }), row({ Ticket: '1003', Hours: 1 })]
+    const after = [row(), row({ Ticket: '1003', Hours: 3 }), row({ Ticket: '1004' })]
+    const diff = diffDatasets(before, after)
+
+    expect(diff.unchangedCount).toBe(1)
+    expect(diff.added.map(entry => entry.Ticket)).toEqual(['1004'])
+    expect(diff.removed.map(entry => entry.Ticket)).toEqual(['1002'])
+    expect(diff.changed).toHaveLength(1)
+    expect(diff.changed[0].changes).toEqual([{ field: 'Hours', before: 1, after: 3 }])
+  })
+
+  it('pairs identical repeats of a key before counting the rest as changed', () => {
+    const diff = diffDatasets([row({ Hours: 1 }), row({ Hours: 2 })], [row({ Hours: 2 }), row({ Hours: 4 })])
+    expect(diff.unchangedCount).toBe(1)
+    expect(diff.changed[0].changes).toEqual([{ field: 'Hours', before: 1, after: 4 }])
+  })
+
+  it('groups movements per member and ISO week with the net hours change', () => {
+    const diff = diffDatasets([row()], [row({ Hours: 3 }), row({ Ticket: '1002', dateObj: new Date(2025, 3, 13) })])
+    expect(diff.groups).toEqual([
+      expect.objectContaining({ member: 'Chris Botha', week: '2025-04-07', hoursDelta: 3 })
+    ])
+    expect(diff.byCompany).toEqual([{ name: 'Acme Ltd', before: 2, after: 5, delta: 3 }])
+  })
+})
+
+describe('rowsInDateWindowOf', () => {
+  it('keeps the rows inside the date range of the other rows', () => {
+    const stored = [row({ dateObj: new Date(2025, 3, 1) }), row({ dateObj: new Date(2025, 3, 7) }), row({ dateObj: new Date(2025, 3, 20) })]
+    const upload = [row({ dateObj: new Date(2025, 3, 5) }), row({ dateObj: new Date(2025, 3, 10) })]
+    expect(rowsInDateWindowOf(stored, upload).map(entry => entry.dateObj.getDate())).toEqual([7])
+    expect(rowsInDateWindowOf(stored, [])).toEqual([])
+  })
+})
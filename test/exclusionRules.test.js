@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest'
+import { compileExclusionRules, describeRule, validateRule } from '../src/lib/exclusionRules.js'
+
+describe('validateRule', () => {
+  it('accepts exact values and valid Ticket patterns', () => {
+    expect(validateRule({ field: 'Role', pattern: 'HoPS' })).toBeNull()
+    expect(validateRule({ field: 'Ticket', pattern: '^INT-\\d+$' })).toBeNull()
+  })
+
+  it('rejects unknown fields, blank values and invalid regular expressions', () => {
+    expect(validateRule({ field: 'Hours', pattern: '0' })).toMatch(/Unknown field/)
+    expect(validateRule({ field: 'Member', pattern: '  ' })).toMatch(/Enter a value/)
+    expect(validateRule({ field: 'Ticket', pattern: '(' })).toMatch(/Invalid regular expression/)
+  })
+})
+
+describe('compileExclusionRules', () => {
+  const match = compileExclusionRules([
+    { id: 'role', field: 'Role', pattern: ' hops ' },
+    { id: 'ticket', field: 'Ticket', pattern: '^INT-' },
+    { id: 'off', field: 'Member', pattern: 'Mark Bolton', enabled: false },
+    { id: 'bad', field: 'Ticket', pattern: '(' }
+  ])
+
+  it('matches exact fields case-insensitively, ignoring whitespace', () => {
+    expect(match({ Role: 'HoPS', Ticket: '1303372' })?.id).toBe('role')
+  })
+
+  it('matches Ticket rules as regular expressions', () => {
+    expect(match({ Role: 'Network', Ticket: 'int-204' })?.id).toBe('ticket')
+  })
+
+  it('skips disabled and invalid rules', () => {
+    expect(match({ Role: 'Network', Member: 'Mark Bolton', Ticket: '(1)' })).toBeNull()
+  })
+
+  it('describes rules for the ingestion report', () => {
+    expect(describeRule({ field: 'Role', pattern: 'HoPS' })).toBe('Role is "HoPS"')
+    expect(describeRule({ field: 'Ticket', pattern: '^INT-' })).toBe('Ticket matches /^INT-/')
+  })
+})
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest'
+import { createFiscalCalendar } from '../src/lib/fiscalYear.js'
+import { rederiveRows } from '../src/lib/deriveFields.js'
+
+describe('createFiscalCalendar', () => {
+  it('names an April-start year after the calendar year it starts in', () => {
+    const fiscal = createFiscalCalendar()
+    expect(fiscal.fiscalYearOf(new Date(2025, 3, 1))).toBe('FY25')
+    expect(fiscal.fiscalYearOf(new Date(2026, 2, 31))).toBe('FY25')
+    expect(fiscal.fiscalMonthOf(new Date(2026, 0, 15))).toBe('FY25-10')
+    expect(fiscal.fiscalQuarterOf(new Date(2025, 6, 1))).toBe('FY25-Q2')
+  })
+
+  it('supports other start months and the long label style', () => {
+    const july = createFiscalCalendar({ fiscalYearStartMonth: 7, fiscalYearLabelStyle: 'long' })
+    expect(july.fiscalYearOf(new Date(2025, 5, 30))).toBe('FY2024/25')
+    expect(july.fiscalMonthOf(new Date(2025, 6, 1))).toBe('FY2025/26-01')
+
+    const january = createFiscalCalendar({ fiscalYearStartMonth: 1, fiscalYearLabelStyle: 'long' })
+    expect(january.fiscalYearOf(new Date(2025, 11, 31))).toBe('FY2025')
+    expect(createFiscalCalendar({ fiscalYearStartMonth: 'x' }).startMonth).toBe(4)
+  })
+
+  it('gives the date window of a year or quarter label in either style', () => {
+    const fiscal = createFiscalCalendar()
+    const year = fiscal.fiscalYearWindow('FY2025/26')
+    expect([year.from.format('YYYY-MM-DD'), year.to.format('YYYY-MM-DD')]).toEqual(['2025-04-01', '2026-03-31'])
+    const quarter = fiscal.fiscalQuarterWindow('FY25-Q4')
+    expect([quarter.from.format('YYYY-MM-DD'), quarter.to.format('YYYY-MM-DD')]).toEqual(['2026-01-01', '2026-03-31'])
+    expect(fiscal.fiscalYearWindow('2025')).toBeNull()
+    expect(fiscal.fiscalQuarterWindow('FY25')).toBeNull()
+  })
+})
+
+describe('rederiveRows fiscal periods', () => {
+  it('recomputes fiscal fields when the start month changes', () => {
+    const [row] = rederiveRows([{ Member: 'Chris Botha', dateObj: new Date(2025, 0, 15), fiscalYear: 'FY24' }], { fiscalYearStartMonth: 1 })
+    expect(row).toMatchObject({ fiscalYear: 'FY25', fiscalMonth: 'FY25-01', fiscalQuarter: 'FY25-Q1' })
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest'
+import { FORMAT_ADAPTERS, detectFormatAdapter, matchDashboardRole } from '../src/lib/formatAdapters.js'
+import { normalizeRawRows } from '../src/lib/parseTimesheets.js'
+
+const harvestRow = (overrides = {}) => ({
+  'Date': '2025-04-07', 'Client': 'Acme', 'Project': 'Network Refresh', 'Task': 'Engineering',
+  'Notes': 'Switch swap', 'Hours': '2.5', 'Billable?': 'Yes', 'First Name': 'Sam', 'Last Name': 'Jones',
+  'Roles': 'Contractor', ...overrides
+})
+
+const togglRow = {
+  'User': 'Alex Green', 'Email': 'alex@example.com', 'Client': 'Acme', 'Project': 'Cloud Migration',
+  'Description': 'Tenant setup', 'Billable': 'No', 'Start date': '2025-04-08', 'Duration': '01:45:00'
+}
+
+const clockifyRow = {
+  'Project': 'Support', 'Client': 'Globex', 'User': 'Priya Shah', 'Email': 'priya@example.com',
+  'Description': 'Firewall rules', 'Billable': 'Yes', 'Start Date': '04/09/2025', 'Duration (decimal)': '3.00',
+  'Group': 'cloud'
+}
+
+describe('detectFormatAdapter', () => {
+  it('recognises each tool from its header row', () => {
+    expect(detectFormatAdapter(Object.keys(harvestRow()))?.id).toBe('harvest')
+    expect(detectFormatAdapter(Object.keys(togglRow))?.id).toBe('toggl')
+    expect(detectFormatAdapter(Object.keys(clockifyRow))?.id).toBe('clockify')
+  })
+
+  it('leaves our own PSA layout to the column mapping', () => {
+    expect(detectFormatAdapter(['Member', 'Date', 'Ticket', 'Hours', 'Role', 'Productivity'])).toBeNull()
+    expect(FORMAT_ADAPTERS.map(adapter => adapter.id)).toEqual(['harvest', 'toggl', 'clockify'])
+  })
+})
+
+describe('matchDashboardRole', () => {
+  it('returns the dashboard spelling of a known role, or null', () => {
+    expect(matchDashboardRole(' cloud ')).toBe('Cloud')
+    expect(matchDashboardRole('Contractor')).toBeNull()
+    expect(matchDashboardRole('')).toBeNull()
+  })
+})
+
+describe('adapted rows', () => {
+  const pick = (row) => [row.Member, row.Date, row.Hours, row['Work Type'], row.Company, row.Productivity, row.Role]
+
+  it('maps Harvest, Toggl and Clockify rows onto the canonical columns', () => {
+    expect(normalizeRawRows([harvestRow()]).rows.map(pick)).toEqual([['Sam Jones', '07/04/2025', 2.5, 'Engineering', 'Acme', 'Productive', 'Network']])
+    expect(normalizeRawRows([togglRow]).rows.map(pick)).toEqual([['Alex Green', '08/04/2025', 1.75, 'Unknown', 'Acme', 'Unproductive', 'Network']])
+    // Clockify dates are MM/DD/YYYY
+    expect(normalizeRawRows([clockifyRow]).rows.map(pick)).toEqual([['Priya Shah', '09/04/2025', 3, 'Unknown', 'Globex', 'Productive', 'Cloud']])
+  })
+
+  it('gives rows without a dashboard role the configured role and counts them on the report', () => {
+    const { rows, report } = normalizeRawRows([harvestRow(), harvestRow({ 'Roles': 'PM' })], { adapterRole: 'Cloud' })
+    expect(rows.map(row => row.Role)).toEqual(['Cloud', 'PM'])
+    expect(report.adapter).toEqual({ id: 'harvest', name: 'Harvest', defaultRole: 'Cloud', defaultRoleRows: 1 })
+  })
+
+  it('reports rejected adapted rows with their original values', () => {
+    const { report } = normalizeRawRows([harvestRow({ 'Date': 'yesterday' })])
+    expect(report.rejectedRows[0]).toMatchObject({ reason: 'INVALID_DATE', values: { 'First Name': 'Sam', 'Date': 'yesterday' } })
+  })
+})
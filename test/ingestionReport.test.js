@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest'
+import Papa from 'papaparse'
+import { createIngestionReport, recordRejection, rejectedRowsToCsv, sumCountsByReason } from '../src/lib/ingestionReport.js'
+import { parseCsvFile } from '../src/lib/parseTimesheets.js'
+
+const HEADER = 'Member,Date,Ticket,Work Role,Work Type,Company,Hours,Project/Ticket,Project Type,Role,Productivity'
+
+describe('parseCsvFile ingestion report', () => {
+  it('records each rejected row with its spreadsheet row number and reason', async () => {
+    const csv = [
+      HEADER,
+      'Mark Bolton,07/04/2025,1303372,Engineer,Remote Support,Acme,1.5,Support,Service,Network,Productive',
+      'Mark Bolton,08/04/2025,1303372,Engineer,Remote Support,Acme,0,Support,Service,Network,Productive',
+      'Chris Botha,2025-04-09,1228362,Engineer,Remote Support,Acme,2,Support,Service,Cloud,Productive'
+    ].join('\n')
+
+    const { rows, report } = await parseCsvFile(csv)
+
+    expect(rows).toHaveLength(1)
+    expect(report.totalRows).toBe(3)
+    expect(report.acceptedRows).toBe(1)
+    expect(report.rejectedRows.map(rejected => [rejected.rowNumber, rejected.reason, rejected.detail])).toEqual([
+      [3, 'ZERO_HOURS', '0'],
+      [4, 'INVALID_DATE', '2025-04-09']
+    ])
+    expect(report.rejectedRows[1].values.Member).toBe('Chris Botha')
+  })
+})
+
+describe('rejectedRowsToCsv', () => {
+  it('lists rejections of every file with their original columns', () => {
+    const first = createIngestionReport('april.csv')
+    recordRejection(first, { rowNumber: 3, reason: 'ZERO_HOURS', detail: '0', values: { Member: 'Mark Bolton', Hours: '0' } })
+    const second = createIngestionReport('may.csv')
+    recordRejection(second, { rowNumber: 7, reason: 'INVALID_DATE', detail: '31/02/2025', values: { Member: 'Chris Botha', Date: '31/02/2025' } })
+
+    const { data, meta } = Papa.parse(rejectedRowsToCsv([first, second]), { header: true })
+
+    expect(meta.fields).toEqual(['Source File', 'Row Number', 'Reason Code', 'Reason', 'Detail', 'Member', 'Hours', 'Date'])
+    expect(data.map(row => [row['Source File'], row['Row Number'], row['Reason Code'], row.Member, row.Date])).toEqual([
+      ['april.csv', '3', 'ZERO_HOURS', 'Mark Bolton', ''],
+      ['may.csv', '7', 'INVALID_DATE', 'Chris Botha', '31/02/2025']
+    ])
+    expect(sumCountsByReason([first, second])).toEqual({ ZERO_HOURS: 1, INVALID_DATE: 1 })
+  })
+})
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest'
+import { LEGACY_COLUMN_MAPPING, buildColumnMapping, createInternalClassifier, mapWorkTypeToBoard } from '../src/lib/mapping.js'
+import { rederiveRows } from '../src/lib/deriveFields.js'
+import { parseCsvFile } from '../src/lib/parseTimesheets.js'
+
+const HEADER = 'Member,Date,Ticket,Work Role,Work Type,Company,Hours,Project/Ticket,Project Type,Role,Productivity'
+
+describe('buildColumnMapping', () => {
+  it('starts from the legacy aliases', () => {
+    expect(buildColumnMapping()).toEqual(LEGACY_COLUMN_MAPPING)
+  })
+
+  it('adds every saved profile, later profiles winning', () => {
+    const mapping = buildColumnMapping({
+      'Old export': { 'Engineer': 'Member', 'Client': 'Company' },
+      'New export': { 'Client': 'Project/Ticket' }
+    })
+    expect(mapping).toMatchObject({ 'Team': 'Role', 'Engineer': 'Member', 'Client': 'Project/Ticket' })
+  })
+})
+
+describe('parseCsvFile column mapping', () => {
+  const csv = `${HEADER.replace('Member', 'Engineer')}\nMark Bolton,07/04/2025,1303372,Engineer,Remote Support,Acme,1.5,Support,Service,Network,Productive\n`
+
+  it('reports missing headers with the file headers and a preview for the wizard', async () => {
+    const error = await parseCsvFile(csv).catch(e => e)
+    expect(error.missingHeaders).toEqual(['Member'])
+    expect(error.availableHeaders).toContain('Engineer')
+    expect(error.previewRows).toHaveLength(1)
+  })
+
+  it('parses the file once a profile maps the missing header', async () => {
+    const { rows } = await parseCsvFile(csv, { columnMapping: buildColumnMapping({ Export: { 'Engineer': 'Member' } }) })
+    expect(rows.map(row => [row.Member, row.Hours])).toEqual([['Mark Bolton', 1.5]])
+  })
+})
+
+describe('mapWorkTypeToBoard', () => {
+  it('uses the default mapping, with unmapped Work Types as Other', () => {
+    expect(mapWorkTypeToBoard('Project Installation & Engineering')).toBe('Tech Delivery')
+    expect(mapWorkTypeToBoard('Something New')).toBe('Other')
+  })
+
+  it('uses the saved mapping in place of the default', () => {
+    const mapping = { 'Something New': 'PM Delivery' }
+    expect(mapWorkTypeToBoard('Something New', mapping)).toBe('PM Delivery')
+    expect(mapWorkTypeToBoard('Project Installation & Engineering', mapping)).toBe('Other')
+  })
+
+  it('re-categorises loaded rows when the mapping is edited', () => {
+    const [row] = rederiveRows([{ Member: 'Mark Bolton', 'Work Type': 'Something New' }], { workTypeMapping: { 'Something New': 'Training' } })
+    expect(row.boardWorkType).toBe('Training')
+  })
+})
+
+describe('createInternalClassifier', () => {
+  it('flags internal companies case-insensitively and Project Types matching a pattern', () => {
+    const isInternal = createInternalClassifier({ companies: ['OryxAlign Ltd'], projectTypePatterns: ['^Internal', 'R&D$'] })
+    expect(isInternal({ Company: ' oryxalign ltd ', 'Project Type': 'Service' })).toBe(true)
+    expect(isInternal({ Company: 'Acme', 'Project Type': 'internal - admin' })).toBe(true)
+    expect(isInternal({ Company: 'Acme', 'Project Type': 'Product R&D' })).toBe(true)
+    expect(isInternal({ Company: 'Acme', 'Project Type': 'Service' })).toBe(false)
+  })
+
+  it('ignores invalid patterns instead of failing', () => {
+    const isInternal = createInternalClassifier({ companies: [], projectTypePatterns: ['(', '^Internal'] })
+    expect(isInternal({ Company: 'Acme', 'Project Type': 'Internal' })).toBe(true)
+  })
+})
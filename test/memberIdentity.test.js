@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest'
+import { canonicalMemberName, createMemberResolver, suggestMemberDuplicates } from '../src/lib/memberIdentity.js'
+import { rederiveRows } from '../src/lib/deriveFields.js'
+
+describe('canonicalMemberName', () => {
+  it('turns "Last, First" into "First Last" and tidies whitespace', () => {
+    expect(canonicalMemberName('Bolton,  Mark ')).toBe('Mark Bolton')
+    expect(canonicalMemberName(' Mark   Bolton')).toBe('Mark Bolton')
+    expect(canonicalMemberName('')).toBe('Unknown')
+  })
+})
+
+describe('createMemberResolver', () => {
+  it('resolves aliases in any name format, case-insensitively', () => {
+    const resolve = createMemberResolver({ 'M Bolton': 'Mark Bolton' })
+    expect(resolve('Bolton, M')).toBe('Mark Bolton')
+    expect(resolve('m bolton')).toBe('Mark Bolton')
+    expect(resolve('Chris Botha')).toBe('Chris Botha')
+  })
+})
+
+describe('suggestMemberDuplicates', () => {
+  const rows = [
+    ...Array(3).fill({ Member: 'Mark Bolton' }),
+    { Member: 'M Bolton' },
+    ...Array(2).fill({ Member: 'John Smith' }),
+    { Member: 'Jon Smith' },
+    { Member: 'Chris Botha' }
+  ]
+
+  it('folds the less-used name into the more-used one', () => {
+    expect(suggestMemberDuplicates(rows)).toEqual([
+      { alias: 'M Bolton', canonical: 'Mark Bolton', reason: 'Same surname and first initial' },
+      { alias: 'Jon Smith', canonical: 'John Smith', reason: 'Names differ by one or two characters' }
+    ])
+  })
+})
+
+describe('rederiveRows', () => {
+  it('re-resolves members from the original export name when aliases change', () => {
+    const [row] = rederiveRows([{ Member: 'Bolton, M' }], {})
+    expect(row).toMatchObject({ Member: 'M Bolton', rawMember: 'Bolton, M' })
+
+    const [merged] = rederiveRows([row], { memberAliases: { 'M Bolton': 'Mark Bolton' } })
+    expect(merged).toMatchObject({ Member: 'Mark Bolton', rawMember: 'Bolton, M' })
+  })
+})
@@ -0,0 +1,59 @@
+import dayjs from 'dayjs'
+import { describe, expect, it } from 'vitest'
+import { createAvailabilityResolver, normalizeFte } from '../src/lib/memberRoster.js'
+import { scheduledCapacity, scheduledCapacityByMember } from '../src/lib/workingCalendar.js'
+import { computeCompleteness } from '../src/lib/timesheetCompleteness.js'
+
+const roster = [
+  { member: 'Sam Lee', startDate: '2025-04-09', endDate: '', fte: 1 },
+  { member: 'Ali Khan', startDate: '', endDate: '2025-04-10', fte: 0.5 },
+  { member: 'Ali Khan', startDate: '2025-06-01', endDate: '', fte: 1 }
+]
+
+describe('normalizeFte', () => {
+  it('clamps to 0..1 and treats blanks as full time', () => {
+    expect(normalizeFte('0.6')).toBe(0.6)
+    expect(normalizeFte(1.5)).toBe(1)
+    expect(normalizeFte(-1)).toBe(0)
+    expect(normalizeFte('')).toBe(1)
+  })
+})
+
+describe('createAvailabilityResolver', () => {
+  const availabilityFor = createAvailabilityResolver(roster)
+
+  it('is full time for members not on the roster', () => {
+    expect(availabilityFor('Chris Botha', dayjs('2025-04-07'))).toBe(1)
+  })
+
+  it('is nothing outside a member\'s employment and their FTE inside it', () => {
+    expect(availabilityFor('sam lee', dayjs('2025-04-08'))).toBe(0)
+    expect(availabilityFor('Sam Lee', dayjs('2025-04-09'))).toBe(1)
+    expect(availabilityFor('Ali Khan', dayjs('2025-04-10'))).toBe(0.5)
+    expect(availabilityFor('Ali Khan', dayjs('2025-05-01'))).toBe(0)
+    expect(availabilityFor('Ali Khan', dayjs('2025-06-02'))).toBe(1)
+  })
+})
+
+describe('roster proration', () => {
+  // Mon 7 to Fri 11 April 2025
+  const rows = ['Chris Botha', 'Sam Lee', 'Ali Khan'].flatMap(Member => [
+    { Member, Role: 'Network', dateObj: new Date(2025, 3, 7), Hours: 7.5, boardWorkType: 'Remote Support' },
+    { Member, Role: 'Network', dateObj: new Date(2025, 3, 11), Hours: 7.5, boardWorkType: 'Remote Support' }
+  ])
+
+  it('prorates each member\'s scheduled capacity and keeps the unprorated hours', () => {
+    const { Network } = scheduledCapacityByMember(rows, row => row.Role, { roster })
+    expect(Network['Chris Botha']).toEqual({ hours: 37.5, fullHours: 37.5 })
+    expect(Network['Sam Lee']).toEqual({ hours: 22.5, fullHours: 37.5 })
+    expect(Network['Ali Khan']).toEqual({ hours: 15, fullHours: 37.5 })
+    expect(scheduledCapacity(rows, row => row.Role, { roster })).toEqual({ Network: 75 })
+  })
+
+  it('expects nothing of a member before they start', () => {
+    const window = { from: dayjs('2025-04-07'), to: dayjs('2025-04-11') }
+    const sam = computeCompleteness(rows, window, { roster }).members.find(entry => entry.member === 'Sam Lee')
+    expect(sam.workingDays).toBe(3)
+    expect(sam.missingDays).toEqual(['2025-04-09', '2025-04-10'])
+  })
+})
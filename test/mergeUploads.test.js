@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest'
+import { entryKey, mergeParsedFiles } from '../src/lib/mergeUploads.js'
+
+const row = (overrides = {}) => ({
+  Member: 'Mark Bolton',
+  Date: '07/04/2025',
+  dateObj: new Date(2025, 3, 7),
+  Ticket: '1303372',
+  Hours: 1.5,
+  'Work Type': 'Remote Support',
+  ...overrides
+})
+
+describe('entryKey', () => {
+  it('keys an entry by member, date, ticket, hours and work type', () => {
+    expect(entryKey(row())).toBe('Mark Bolton|2025-04-07|1303372|1.5|Remote Support')
+  })
+
+  it('ignores surrounding whitespace in text fields', () => {
+    expect(entryKey(row({ Member: ' Mark Bolton ' }))).toBe(entryKey(row()))
+  })
+})
+
+describe('mergeParsedFiles', () => {
+  it('drops entries an earlier file already supplied', () => {
+    const first = { fileName: 'april.csv', rows: [row(), row({ Hours: 2 })], rawRowCount: 3 }
+    const second = { fileName: 'april-late.csv', rows: [row(), row({ Ticket: '1228362' })], rawRowCount: 2 }
+
+    const { rows, summary } = mergeParsedFiles([first, second])
+
+    expect(rows).toHaveLength(3)
+    expect(summary).toEqual([
+      { fileName: 'april.csv', format: 'PSA', defaultRoleRows: 0, defaultRole: null, rawRows: 3, added: 2, skipped: 1, duplicates: 0 },
+      { fileName: 'april-late.csv', format: 'PSA', defaultRoleRows: 0, defaultRole: null, rawRows: 2, added: 1, skipped: 0, duplicates: 1 }
+    ])
+  })
+
+  it('keeps repeats within one file and only removes the overlap', () => {
+    const first = { fileName: 'a.csv', rows: [row(), row()], rawRowCount: 2 }
+    const second = { fileName: 'b.csv', rows: [row(), row(), row()], rawRowCount: 3 }
+
+    const { rows, summary } = mergeParsedFiles([first, second])
+
+    expect(rows).toHaveLength(3)
+    expect(summary.map(file => [file.added, file.duplicates])).toEqual([[2, 0], [1, 2]])
+  })
+})
+
+describe('mergeParsedFiles formats', () => {
+  it('reports the adapter each file was read with and its rows given the default role', () => {
+    const report = { adapter: { id: 'harvest', name: 'Harvest', defaultRole: 'Network', defaultRoleRows: 4 } }
+    const { summary } = mergeParsedFiles([{ fileName: 'harvest.csv', rows: [row()], rawRowCount: 4, report }])
+    expect(summary[0]).toMatchObject({ format: 'Harvest', defaultRoleRows: 4, defaultRole: 'Network' })
+  })
+})
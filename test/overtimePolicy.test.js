@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_OVERTIME_POLICY, describePolicy, normalizePolicy } from '../src/lib/overtimePolicy.js'
+
+describe('normalizePolicy', () => {
+  it('fills missing or unreadable settings from the default policy', () => {
+    expect(normalizePolicy()).toEqual(DEFAULT_OVERTIME_POLICY)
+    expect(normalizePolicy({ id: 'p', name: 'Lenient', weeklyThreshold: '', weekendMultiplier: 'x', roundingIncrement: -1, nonWorkingWorkTypes: 'Training' }))
+      .toEqual({ ...DEFAULT_OVERTIME_POLICY, id: 'p', name: 'Lenient' })
+  })
+
+  it('keeps valid settings, including a zero threshold', () => {
+    expect(normalizePolicy({ weeklyThreshold: '0', weekendMultiplier: '2', roundingIncrement: 0, nonWorkingWorkTypes: [] }))
+      .toMatchObject({ weeklyThreshold: 0, weekendMultiplier: 2, roundingIncrement: 0, nonWorkingWorkTypes: [] })
+  })
+})
+
+describe('describePolicy', () => {
+  it('summarises the rules in one line', () => {
+    expect(describePolicy(DEFAULT_OVERTIME_POLICY)).toBe('scheduled week, productive hours, weekends ×1, rounded to 0.25h')
+    expect(describePolicy({ weeklyThreshold: 40, countUnproductive: true, weekendMultiplier: 1.5, roundingIncrement: 0 }))
+      .toBe('40h week, all hours, weekends ×1.5, unrounded')
+  })
+})
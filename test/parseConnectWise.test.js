@@ -0,0 +1,75 @@
+import { readFileSync } from 'node:fs'
+import { describe, expect, it } from 'vitest'
+import { connectWiseEntryToRow, parseConnectWiseFile, readConnectWiseEntries } from '../src/lib/parseConnectWise.js'
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+
+const entriesJson = fixture('connectwise-time-entries.json')
+
+describe('readConnectWiseEntries', () => {
+  it('reads every entry of the saved array', () => {
+    const entries = readConnectWiseEntries(entriesJson)
+    expect(entries).toHaveLength(6)
+    expect(entries.map(entry => entry.id)).toEqual([884201, 884202, 884203, 884204, 884205, 884206])
+  })
+
+  it('flattens pages saved one after another', () => {
+    const entries = JSON.parse(entriesJson)
+    const paged = JSON.stringify([entries.slice(0, 2), entries.slice(2)])
+    expect(readConnectWiseEntries(paged)).toEqual(entries)
+  })
+
+  it('rejects a file that is not a list of time entries', () => {
+    expect(() => readConnectWiseEntries(fixture('connectwise-error-response.json'))).toThrow(/Not a ConnectWise time entries file/)
+    expect(() => readConnectWiseEntries('[{"id": 1}]')).toThrow(/Not a ConnectWise time entries file/)
+    expect(() => readConnectWiseEntries('not json')).toThrow(SyntaxError)
+  })
+})
+
+describe('connectWiseEntryToRow', () => {
+  const [billable, lateStart, chargeCode, doNotBill] = JSON.parse(entriesJson)
+
+  it('maps member, date, hours, work type and productivity', () => {
+    expect(connectWiseEntryToRow(billable)).toMatchObject({
+      "Member": 'Mark Bolton',
+      "Date": '17/04/2025',
+      "Hours": 0.5,
+      "Work Type": 'Project Installation & Engineering',
+      "Productivity": 'Productive',
+      "Project Type": 'Project Ticket',
+      "Role": 'Network'
+    })
+  })
+
+  it('dates an entry by its local start day', () => {
+    // 23:30 UTC on 3 April is 00:30 BST on 4 April
+    expect(connectWiseEntryToRow(lateStart).Date).toBe('04/04/2025')
+  })
+
+  it('treats every non-billable option as unproductive', () => {
+    expect(connectWiseEntryToRow(chargeCode)).toMatchObject({ "Work Type": 'Internal Meeting', "Productivity": 'Unproductive', "Project Type": 'Charge Code' })
+    expect(connectWiseEntryToRow(doNotBill).Productivity).toBe('Unproductive')
+  })
+})
+
+describe('parseConnectWiseFile', () => {
+  it('parses the fixture to clean rows, rejecting zero-hour and undated entries', async () => {
+    const file = new File([entriesJson], 'connectwise-time-entries.json', { type: 'application/json' })
+    const { rows, rawRowCount, report } = await parseConnectWiseFile(file)
+
+    expect(rawRowCount).toBe(6)
+    expect(report.fileName).toBe('connectwise-time-entries.json')
+    expect(report.adapter).toEqual({ id: 'connectwise', name: 'ConnectWise Manage' })
+    expect(report.countsByReason).toEqual({ ZERO_HOURS: 1, INVALID_DATE: 1 })
+    expect(rows.map(row => [row.Member, row.Date, row.Hours, row["Work Type"], row.Productivity])).toEqual([
+      ['Mark Bolton', '17/04/2025', 0.5, 'Project Installation & Engineering', 'Productive'],
+      ['Chris Botha', '04/04/2025', 5.5, 'Project Installation & Engineering', 'Productive'],
+      ['Chris Botha', '07/04/2025', 1, 'Internal Meeting', 'Unproductive'],
+      ['Dan Cotterell', '08/04/2025', 1.25, 'Project Management', 'Unproductive']
+    ])
+  })
+
+  it('throws on a file that is not a list of time entries', async () => {
+    await expect(parseConnectWiseFile(fixture('connectwise-error-response.json'))).rejects.toThrow(/Not a ConnectWise time entries file/)
+  })
+})
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest'
+import { createRowNormalizer, normalizeRawRows } from '../src/lib/parseTimesheets.js'
+
+const rawRow = (Member, Date, Hours) => ({
+  Member, Date, Hours,
+  Ticket: '1303372',
+  'Work Role': 'Engineer',
+  'Work Type': 'Remote Support',
+  Company: 'Acme',
+  'Project/Ticket': 'Support',
+  'Project Type': 'Service',
+  Role: 'Network',
+  Productivity: 'Productive'
+})
+
+const rawRows = [
+  rawRow('Mark Bolton', '07/04/2025', '1.5'),
+  rawRow('Mark Bolton', '08/04/2025', '0'),
+  rawRow('Chris Botha', '08/04/2025', '7'),
+  rawRow('Chris Botha', 'not a date', '2'),
+  rawRow('Dan Cotterell', '09/04/2025', '3.25')
+]
+
+// Streaming parses push the rows chunk by chunk as the worker reads them
+describe('createRowNormalizer', () => {
+  it('gives the same rows and report whether rows arrive at once or in chunks', () => {
+    const whole = normalizeRawRows(rawRows, { fileName: 'april.csv' })
+
+    const normalizer = createRowNormalizer({ fileName: 'april.csv' })
+    const accepted = [rawRows.slice(0, 2), rawRows.slice(2, 3), [], rawRows.slice(3)].map(chunk => normalizer.push(chunk))
+    const chunked = normalizer.finish()
+
+    expect(accepted).toEqual([1, 1, 0, 1])
+    expect(chunked.rows).toEqual(whole.rows)
+    expect(chunked.rawRowCount).toBe(5)
+    expect(chunked.report).toEqual(whole.report)
+    // Row numbers continue across chunks
+    expect(chunked.report.rejectedRows.map(rejected => rejected.rowNumber)).toEqual([3, 5])
+  })
+
+  it('checks the headers of the first chunk', () => {
+    const normalizer = createRowNormalizer()
+    const withoutMember = { ...rawRows[0] }
+    delete withoutMember.Member
+    expect(() => normalizer.push([withoutMember])).toThrow(/Missing required headers: Member/)
+  })
+})
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import * as XLSX from 'xlsx'
+import { listXlsxSheets, parseXlsxFile } from '../src/lib/parseXlsx.js'
+
+const HEADER = ['Member', 'Date', 'Ticket', 'Work Role', 'Work Type', 'Company', 'Hours', 'Project/Ticket', 'Project Type', 'Role', 'Productivity']
+
+// Workbook as saved by Excel: dates as serial numbers, hours as numbers
+function workbookBuffer(sheets) {
+  const workbook = XLSX.utils.book_new()
+  for (const [name, rows] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([HEADER, ...rows]), name)
+  }
+  return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' })
+}
+
+// 7 April 2025
+const APRIL_7_SERIAL = 45754
+
+const entry = ['Mark Bolton', APRIL_7_SERIAL, 1303372, 'Engineer', 'Remote Support', 'Acme', 1.5, 'Support', 'Service', 'Network', 'Productive']
+
+describe('parseXlsxFile', () => {
+  it('reads a single-sheet workbook, converting date serials to DD/MM/YYYY', async () => {
+    const { rows, sheetName } = await parseXlsxFile(workbookBuffer({ Timesheet: [entry] }))
+    expect(sheetName).toBe('Timesheet')
+    expect(rows.map(row => [row.Member, row.Date, row.Hours, row.Ticket])).toEqual([['Mark Bolton', '07/04/2025', 1.5, '1303372']])
+  })
+
+  it('asks which sheet to read when the workbook has several', async () => {
+    const buffer = workbookBuffer({ Summary: [], Entries: [entry] })
+    expect(await listXlsxSheets(buffer)).toEqual(['Summary', 'Entries'])
+
+    const error = await parseXlsxFile(buffer).catch(e => e)
+    expect(error.sheetNames).toEqual(['Summary', 'Entries'])
+
+    const { rows } = await parseXlsxFile(buffer, { sheetName: 'Entries' })
+    expect(rows).toHaveLength(1)
+  })
+})
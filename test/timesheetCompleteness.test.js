@@ -0,0 +1,67 @@
+import dayjs from 'dayjs'
+import { describe, expect, it } from 'vitest'
+import { computeCompleteness, isLeaveEntry } from '../src/lib/timesheetCompleteness.js'
+import { createWorkingCalendar } from '../src/lib/workingCalendar.js'
+
+const row = (day, hours, overrides = {}) => ({
+  Member: 'Chris Botha',
+  Role: 'Network',
+  dateObj: new Date(2025, 3, day),
+  Hours: hours,
+  boardWorkType: 'Remote Support',
+  ...overrides
+})
+
+// Mon 7 April to Sun 13 April 2025
+const week = { from: dayjs('2025-04-07'), to: dayjs('2025-04-13') }
+
+describe('isLeaveEntry', () => {
+  it('treats leave board categories and Annual Leave tickets as leave', () => {
+    expect(isLeaveEntry({ boardWorkType: 'Sick Leave' })).toBe(true)
+    expect(isLeaveEntry({ boardWorkType: 'Admin', 'Project/Ticket': 'Annual Leave' })).toBe(true)
+    expect(isLeaveEntry({ boardWorkType: 'Remote Support' })).toBe(false)
+  })
+})
+
+describe('computeCompleteness', () => {
+  it('flags missing and short working days, not weekends', () => {
+    const rows = [row(7, 7.5), row(8, 7.5), row(9, 4), row(11, 7.5), row(12, 3)]
+    const [member] = computeCompleteness(rows, week, { dayHours: 7.5 }).members
+
+    expect(member.workingDays).toBe(5)
+    expect(member.missingDays).toEqual(['2025-04-10'])
+    expect(member.shortDays).toEqual([{ date: '2025-04-09', logged: 4, expected: 7.5 }])
+    // Weekend hours count towards the week total but are not credited to a day
+    expect(member.creditedHours).toBe(26.5)
+    expect(member.completeness).toBeCloseTo(26.5 / 37.5)
+  })
+
+  it('lowers the expected hours of a day by its leave', () => {
+    const rows = [row(7, 7.5), row(8, 7.5), row(9, 3.75, { boardWorkType: 'Sick Leave' }), row(9, 3.75), row(10, 7.5), row(11, 7.5)]
+    const [member] = computeCompleteness(rows, week, { dayHours: 7.5 }).members
+    expect(member.expectedHours).toBe(33.75)
+    expect(member.completeness).toBe(1)
+    expect(member.shortWeeks).toEqual([])
+  })
+
+  it('checks a member from their first entry and weights teams by expected hours', () => {
+    const rows = [row(7, 7.5), row(8, 7.5), row(9, 7.5), row(10, 7.5), row(11, 7.5), row(10, 7.5, { Member: 'Sam Lee' }), row(11, 0.5, { Member: 'Sam Lee' })]
+    const { members, teams } = computeCompleteness(rows, week, { dayHours: 7.5 })
+
+    expect(members.map(entry => [entry.member, entry.workingDays])).toEqual([['Sam Lee', 2], ['Chris Botha', 5]])
+    expect(teams).toEqual([expect.objectContaining({ team: 'Network', members: 2, expectedHours: 52.5, creditedHours: 45.5 })])
+  })
+
+  it('does not expect bank holidays or company closures', () => {
+    // Easter week 2025: Good Friday 18 April, and a closure on Thursday 17 April
+    const calendar = createWorkingCalendar({ closures: [{ date: '2025-04-17', name: 'Office move' }] })
+    const rows = [row(14, 7.5), row(15, 7.5), row(16, 7.5)]
+    const [member] = computeCompleteness(rows, { from: dayjs('2025-04-14'), to: dayjs('2025-04-20') }, { calendar, dayHours: 7.5 }).members
+    expect(member.workingDays).toBe(3)
+    expect(member.missingDays).toEqual([])
+  })
+
+  it('returns nothing for an empty window', () => {
+    expect(computeCompleteness([row(7, 7.5)], { from: week.to, to: week.from })).toEqual({ members: [], teams: [] })
+  })
+})
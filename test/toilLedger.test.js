@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest'
+import { rederiveRows } from '../src/lib/deriveFields.js'
+import { computeToilLedger, toilLedgerToCsv } from '../src/lib/toilLedger.js'
+
+const rows = (entries) => rederiveRows(entries.map(([member, date, hours, workType = 'Remote Support', productivity = 'Productive']) => ({
+  Member: member,
+  dateObj: new Date(date),
+  Hours: hours,
+  Productivity: productivity,
+  'Work Type': workType,
+  Company: 'Acme'
+})), {})
+
+describe('computeToilLedger', () => {
+  it('accrues each overtime week on its Sunday and deducts TOIL taken on its date', () => {
+    const [ledger] = computeToilLedger(rows([
+      ['Chris Botha', '2025-04-07', 9.5],
+      ['Chris Botha', '2025-04-12', 3],
+      ['Chris Botha', '2025-04-22', 4, 'toil', 'Unproductive'],
+      ['Chris Botha', '2025-04-22', 3.5]
+    ]))
+
+    expect(ledger.entries.map(({ date, type, reference, hours, balance }) => [date, type, reference, hours, balance])).toEqual([
+      ['2025-04-13', 'Accrued', '2025-W15', 5, 5],
+      ['2025-04-22', 'Taken', 'TOIL', -4, 1]
+    ])
+    expect(ledger).toMatchObject({ member: 'Chris Botha', accrued: 5, taken: 4, balance: 1 })
+  })
+
+  it('treats TOIL taken as time off, not as worked hours that week', () => {
+    const [ledger] = computeToilLedger(rows([
+      ['Chris Botha', '2025-04-07', 7.5, 'TOIL', 'Productive'],
+      ['Chris Botha', '2025-04-08', 7.5]
+    ]))
+    expect(ledger.accrued).toBe(0)
+    expect(ledger.balance).toBe(-7.5)
+  })
+
+  it('accrues under the given policy and Work Type', () => {
+    const ledgers = computeToilLedger(rows([
+      ['Sam Lee', '2025-04-12', 2],
+      ['Ali Khan', '2025-04-09', 2, 'Time Off In Lieu', 'Unproductive']
+    ]), { policy: { weekendMultiplier: 1.5 }, toilWorkType: 'Time Off In Lieu' })
+
+    expect(ledgers.map(ledger => [ledger.member, ledger.balance])).toEqual([['Ali Khan', -2], ['Sam Lee', 3]])
+  })
+
+  it('returns no ledgers without rows', () => {
+    expect(computeToilLedger([])).toEqual([])
+  })
+})
+
+describe('toilLedgerToCsv', () => {
+  it('writes one line per entry with UK dates', () => {
+    const csv = toilLedgerToCsv([{ member: 'Chris Botha', date: '2025-04-13', type: 'Accrued', reference: '2025-W15', hours: 5, balance: 5 }])
+    expect(csv.split('\r\n')).toEqual(['Member,Date,Type,Reference,Hours,Balance', 'Chris Botha,13/04/2025,Accrued,2025-W15,5.00,5.00'])
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest'
+import { createTargetResolver, rolesWithTargets, sortRoles, weightedTarget } from '../src/lib/utilisationTargets.js'
+
+const targets = [
+  { role: 'Network', member: '', target: 0.7, effectiveFrom: '' },
+  { role: 'Network', member: '', target: 0.75, effectiveFrom: '2025-04-01' },
+  { role: 'network', member: 'Sam Lee', target: 0.5, effectiveFrom: '2025-01-01' }
+]
+
+describe('createTargetResolver', () => {
+  const targetFor = createTargetResolver(targets)
+
+  it('uses the latest role target in force on the date', () => {
+    expect(targetFor('Network', new Date(2025, 2, 31))).toBe(0.7)
+    expect(targetFor('Network', new Date(2025, 3, 1))).toBe(0.75)
+  })
+
+  it('prefers a member\'s own target over their role\'s', () => {
+    expect(targetFor('Network', new Date(2025, 5, 1), 'sam lee')).toBe(0.5)
+    expect(targetFor('Network', new Date(2024, 11, 1), 'Sam Lee')).toBe(0.7)
+  })
+
+  it('returns null for a role without targets', () => {
+    expect(targetFor('Cloud', new Date(2025, 5, 1))).toBeNull()
+  })
+})
+
+describe('weightedTarget', () => {
+  it('weights each row\'s target by its hours', () => {
+    const rows = [
+      { Role: 'Network', Member: 'Chris Botha', dateObj: new Date(2025, 2, 31), Hours: 3 },
+      { Role: 'Network', Member: 'Chris Botha', dateObj: new Date(2025, 3, 1), Hours: 1 },
+      { Role: 'Cloud', Member: 'Ali Khan', dateObj: new Date(2025, 3, 1), Hours: 8 }
+    ]
+    expect(weightedTarget(rows, createTargetResolver(targets))).toBeCloseTo(0.7125)
+    expect(weightedTarget(rows.slice(2), createTargetResolver(targets))).toBeNull()
+  })
+})
+
+describe('sortRoles and rolesWithTargets', () => {
+  it('lists the established teams first and the rest alphabetically', () => {
+    expect(sortRoles(['Security', 'PM', 'Cloud', 'Apps'])).toEqual(['Cloud', 'PM', 'Apps', 'Security'])
+  })
+
+  it('keeps only roles that have a target', () => {
+    expect(rolesWithTargets([{ Role: 'Network' }, { Role: 'Cloud' }, { Role: '' }], targets)).toEqual(['Network'])
+  })
+})
@@ -0,0 +1,55 @@
+import dayjs from 'dayjs'
+import { describe, expect, it } from 'vitest'
+import { STANDARD_WEEK, createScheduleResolver, parseScheduleCsv, weeklyScheduleHours } from '../src/lib/workSchedules.js'
+
+const week = (hours) => ({ ...STANDARD_WEEK, ...hours })
+
+describe('createScheduleResolver', () => {
+  const schedules = [
+    { member: 'Mark Bolton', hours: week({ Mon: 8.25, Tue: 8.25, Wed: 8.25, Thu: 8.25, Fri: 4.5 }), effectiveFrom: '2025-01-01', effectiveTo: '' },
+    { member: 'mark bolton ', hours: week({ Fri: 0 }), effectiveFrom: '2025-06-01', effectiveTo: '2025-06-30' }
+  ]
+  const baselineFor = createScheduleResolver(schedules)
+
+  it('uses the standard week for members without a covering schedule', () => {
+    expect(baselineFor('Chris Botha', dayjs('2025-04-07'))).toBe(7.5)
+    expect(baselineFor('Mark Bolton', dayjs('2024-12-30'))).toBe(7.5)
+    expect(baselineFor('Chris Botha', dayjs('2025-04-12'))).toBe(0)
+  })
+
+  it('matches members case-insensitively and prefers the latest effective schedule', () => {
+    expect(baselineFor('Mark Bolton', dayjs('2025-04-11'))).toBe(4.5)
+    expect(baselineFor('Mark Bolton', dayjs('2025-06-06'))).toBe(0)
+    expect(baselineFor('Mark Bolton', dayjs('2025-06-05'))).toBe(7.5)
+    expect(baselineFor('Mark Bolton', dayjs('2025-07-04'))).toBe(4.5)
+  })
+
+  it('totals a schedule\'s week', () => {
+    expect(weeklyScheduleHours(STANDARD_WEEK)).toBe(37.5)
+    expect(weeklyScheduleHours(schedules[0].hours)).toBe(37.5)
+  })
+})
+
+describe('parseScheduleCsv', () => {
+  it('reads weekday columns and effective dates, filling missing days from the standard week', () => {
+    const { schedules, errors } = parseScheduleCsv('Member,Monday,Fri,Effective From,Effective To\nMark Bolton,8.25,4.5,01/01/2025,\n')
+    expect(errors).toEqual([])
+    expect(schedules).toEqual([expect.objectContaining({
+      member: 'Mark Bolton',
+      hours: week({ Mon: 8.25, Fri: 4.5 }),
+      effectiveFrom: '2025-01-01',
+      effectiveTo: ''
+    })])
+  })
+
+  it('reports bad lines and a missing member column', () => {
+    const { schedules, errors } = parseScheduleCsv('Member,Mon,From,To\n,7,,\nSam Lee,7,2025-05-01,2025-04-01\nAli Khan,7,soon,\n')
+    expect(schedules).toEqual([])
+    expect(errors).toEqual([
+      'Line 2: no member',
+      'Line 3: Effective To is before Effective From',
+      'Line 4: effective dates must be DD/MM/YYYY or YYYY-MM-DD'
+    ])
+    expect(parseScheduleCsv('Name X\n1').errors).toEqual(['No "Member" column found'])
+  })
+})
@@ -0,0 +1,67 @@
+import dayjs from 'dayjs'
+import { describe, expect, it } from 'vitest'
+import { bankHolidaysFor, createWorkingCalendar, isoWeekKey, scheduledCapacity, scheduledHoursBetween } from '../src/lib/workingCalendar.js'
+import { STANDARD_WEEK, createScheduleResolver } from '../src/lib/workSchedules.js'
+import { rederiveRows } from '../src/lib/deriveFields.js'
+
+describe('createWorkingCalendar', () => {
+  it('skips weekends and the region\'s bank holidays', () => {
+    const calendar = createWorkingCalendar({ region: 'england-and-wales' })
+    expect(calendar.isWorkingDay('2025-04-18')).toBe(false)
+    expect(calendar.holidayName('2025-04-21')).toBe('Easter Monday')
+    expect(calendar.isWorkingDay('2025-04-19')).toBe(false)
+    // Easter week: Mon-Thu are working days, Good Friday is not
+    expect(calendar.workingDaysBetween('2025-04-14', '2025-04-20')).toBe(4)
+  })
+
+  it('uses the Scotland calendar and company closures', () => {
+    const calendar = createWorkingCalendar({ region: 'scotland', closures: [{ date: '2025-12-24', name: 'Christmas Eve' }] })
+    expect(calendar.isWorkingDay('2025-04-21')).toBe(true)
+    expect(calendar.holidayName('2025-12-24')).toBe('Christmas Eve')
+    expect(createWorkingCalendar({ region: 'none' }).isWorkingDay('2025-12-25')).toBe(true)
+  })
+
+  it('lists the bundled holidays for a region', () => {
+    expect(bankHolidaysFor('england-and-wales')).toContainEqual({ date: '2025-12-26', name: 'Boxing Day' })
+    expect(bankHolidaysFor('unknown')).toEqual([])
+  })
+})
+
+describe('scheduledHoursBetween', () => {
+  const calendar = createWorkingCalendar()
+
+  it('leaves bank holidays out of a member\'s scheduled hours', () => {
+    const baselineFor = createScheduleResolver([])
+    expect(scheduledHoursBetween(baselineFor, 'Chris Botha', dayjs('2025-04-14'), dayjs('2025-04-20'), calendar)).toBe(30)
+  })
+
+  it('counts weekend hours for members scheduled to work weekends', () => {
+    const baselineFor = createScheduleResolver([{ member: 'Sam Lee', hours: { ...STANDARD_WEEK, Sat: 4 }, effectiveFrom: '', effectiveTo: '' }])
+    expect(scheduledHoursBetween(baselineFor, 'Sam Lee', dayjs('2025-04-07'), dayjs('2025-04-13'), calendar)).toBe(41.5)
+  })
+})
+
+describe('scheduledCapacity', () => {
+  it('charges each member only the part of a month the rows span', () => {
+    const rows = [
+      { Member: 'Chris Botha', Role: 'Network', dateObj: new Date(2025, 3, 14) },
+      { Member: 'Sam Lee', Role: 'Network', dateObj: new Date(2025, 3, 17) },
+      { Member: 'Ali Khan', Role: 'Security', dateObj: new Date(2025, 3, 15) }
+    ]
+    expect(scheduledCapacity(rows, row => row.Role)).toEqual({ Network: 60, Security: 30 })
+  })
+})
+
+describe('isoWeekKey', () => {
+  it('uses the ISO week-year, so a week spanning New Year has one key', () => {
+    expect(isoWeekKey(new Date(2025, 11, 29))).toBe('2026-W01')
+    expect(isoWeekKey(new Date(2026, 0, 4))).toBe('2026-W01')
+    expect(isoWeekKey(new Date(2021, 0, 1))).toBe('2020-W53')
+    expect(isoWeekKey('2025-04-07')).toBe('2025-W15')
+  })
+
+  it('rekeys restored rows that were stored with calendar-year keys', () => {
+    const [row] = rederiveRows([{ Member: 'Chris Botha', dateObj: new Date(2025, 11, 30), isoWeek: '2025-W01' }], {})
+    expect(row.isoWeek).toBe('2026-W01')
+  })
+})
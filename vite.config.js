@@ -4,4 +4,9 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   base: '/',
   plugins: [react()],
+  test: {
+    include: ['test/**/*.test.js'],
+    // Importers date entries by their local day, as in the UK office
+    env: { TZ: 'Europe/London' },
+  },
 })